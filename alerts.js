@@ -0,0 +1,342 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import dotenv from "dotenv";
+import { requireRole } from "./auth.js";
+import { db, writeWhenAvailable } from "./db.js";
+import { notify } from "./notifications.js";
+
+dotenv.config();
+
+const alerts = db.collection("alerts");
+
+export const ALERT_THRESHOLDS = {
+  overVoltage: Number(process.env.ALERT_OVER_VOLTAGE) || 250, // V
+  underVoltage: Number(process.env.ALERT_UNDER_VOLTAGE) || 190, // V
+  overCurrent: Number(process.env.ALERT_OVER_CURRENT) || 16, // A
+  // Consecutive failed polls before a device is reported offline
+  offlineAfterFailures: Number(process.env.ALERT_OFFLINE_AFTER_FAILURES) || 6,
+  // Consecutive poll rounds where every device failed
+  pollingFailures: Number(process.env.ALERT_POLLING_FAILURES) || 12,
+};
+
+const STATUSES = ["active", "acknowledged", "resolved"];
+
+// Alerts that are still open (active or acknowledged) by key, so that
+// resolving a condition that never raised an alert costs no database call,
+// and alerts can be raised and resolved while MongoDB is unreachable
+const openAlerts = new Map();
+
+function toAlert(doc) {
+  if (!doc) return null;
+  const { _id, open, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+function parseId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+export function alertKey(type, deviceId = null) {
+  return deviceId ? `${type}:${deviceId}` : type;
+}
+
+export async function initAlerts() {
+  await alerts.createIndex(
+    { key: 1 },
+    { unique: true, partialFilterExpression: { open: true } },
+  );
+  await alerts.createIndex({ status: 1, lastSeenAt: -1 });
+
+  const open = await alerts.find({ open: true }).toArray();
+  open.forEach((doc) => openAlerts.set(doc.key, toAlert(doc)));
+}
+
+async function upsertOpenAlert(key, update) {
+  try {
+    return await alerts.findOneAndUpdate({ key, open: true }, update, {
+      upsert: true,
+      returnDocument: "after",
+    });
+  } catch (error) {
+    // Lost an upsert race against the same key; the other insert won
+    if (error.code !== 11000) throw error;
+    return alerts.findOneAndUpdate({ key, open: true }, update, {
+      returnDocument: "after",
+    });
+  }
+}
+
+// Raises an alert, or bumps the open alert with the same key. Only a newly
+// raised alert is sent to the notification channels. While MongoDB is
+// unreachable the alert is notified from memory and stored once it is back.
+export async function raiseAlert({
+  type,
+  deviceId = null,
+  key = alertKey(type, deviceId),
+  severity = "warning",
+  message,
+  value = null,
+}) {
+  const now = new Date();
+  const update = {
+    $setOnInsert: {
+      key,
+      type,
+      deviceId,
+      severity,
+      message,
+      status: "active",
+      open: true,
+      firstSeenAt: now,
+    },
+    $set: { lastSeenAt: now, value },
+    $inc: { count: 1 },
+  };
+
+  const known = openAlerts.get(key);
+  // Deferred bumps of one open alert replace each other
+  const doc = await writeWhenAvailable(
+    () => upsertOpenAlert(key, update),
+    `alert:${key}:${(known?.firstSeenAt ?? now).getTime()}`,
+  );
+  const alert = doc
+    ? toAlert(doc)
+    : {
+        ...(known ?? {
+          id: null,
+          key,
+          type,
+          deviceId,
+          severity,
+          message,
+          status: "active",
+          firstSeenAt: now,
+        }),
+        lastSeenAt: now,
+        value,
+        count: (known?.count ?? 0) + 1,
+      };
+
+  openAlerts.set(key, alert);
+  if (alert.count === 1) {
+    console.warn(`🔔 Alert raised: ${message}`);
+    await notify("raised", alert);
+  }
+  return alert;
+}
+
+function resolvedFields({ resolution, note = null, resolvedBy = null }) {
+  return {
+    status: "resolved",
+    resolvedAt: new Date(),
+    resolution,
+    resolutionNote: note,
+    resolvedBy,
+  };
+}
+
+async function finishResolved(alert) {
+  openAlerts.delete(alert.key);
+  console.log(`✅ Alert resolved: ${alert.message}`);
+  await notify("resolved", alert);
+  return alert;
+}
+
+async function closeAlert(filter, resolution) {
+  const doc = await alerts.findOneAndUpdate(
+    { ...filter, open: true },
+    { $set: { ...resolvedFields(resolution), open: false } },
+    { returnDocument: "after" },
+  );
+  if (!doc) return null;
+  return finishResolved(toAlert(doc));
+}
+
+// Resolves the open alert with this key once its condition has cleared
+export async function resolveAlert(key) {
+  const known = openAlerts.get(key);
+  if (!known) return null;
+
+  const fields = resolvedFields({ resolution: "auto" });
+  const doc = await writeWhenAvailable(() =>
+    alerts.findOneAndUpdate(
+      { key, open: true },
+      { $set: { ...fields, open: false } },
+      { returnDocument: "after" },
+    ),
+  );
+  if (doc === null) {
+    // Closed some other way meanwhile
+    openAlerts.delete(key);
+    return null;
+  }
+  return finishResolved(doc ? toAlert(doc) : { ...known, ...fields });
+}
+
+// Raises or clears the electrical alerts for one reading
+// ({ deviceId, power, voltage, current })
+export async function checkReadingAlerts({ deviceId, voltage, current }) {
+  const { overVoltage, underVoltage, overCurrent } = ALERT_THRESHOLDS;
+
+  const checks = [
+    {
+      type: "over_voltage",
+      active: voltage > overVoltage,
+      severity: "critical",
+      message: `Voltage ${voltage} V above ${overVoltage} V on ${deviceId}`,
+      value: voltage,
+    },
+    {
+      type: "under_voltage",
+      active: voltage > 0 && voltage < underVoltage,
+      severity: "warning",
+      message: `Voltage ${voltage} V below ${underVoltage} V on ${deviceId}`,
+      value: voltage,
+    },
+    {
+      type: "over_current",
+      active: current > overCurrent,
+      severity: "critical",
+      message: `Current ${current} A above ${overCurrent} A on ${deviceId}`,
+      value: current,
+    },
+  ];
+
+  for (const { type, active, ...alert } of checks) {
+    if (active) await raiseAlert({ type, deviceId, ...alert });
+    else await resolveAlert(alertKey(type, deviceId));
+  }
+}
+
+export const alertsRouter = express.Router();
+
+alertsRouter.get("/alerts", requireRole("viewer"), async (req, res) => {
+  try {
+    const { status, deviceId, type } = req.query;
+    const filter = {};
+
+    if (status === "open") filter.open = true;
+    else if (status) {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status parameter. Must be one of: open, ${STATUSES.join(", ")}`,
+        });
+      }
+      filter.status = status;
+    }
+    if (deviceId) filter.deviceId = deviceId;
+    if (type) filter.type = type;
+
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 100, 1000);
+    const docs = await alerts
+      .find(filter)
+      .sort({ lastSeenAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({ success: true, data: docs.map(toAlert) });
+  } catch (error) {
+    console.error("Error listing alerts:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list alerts",
+      details: error.message,
+    });
+  }
+});
+
+// Resolves :id to a stored alert document
+async function loadAlert(req, res, next) {
+  const id = parseId(req.params.id);
+  const doc = id && (await alerts.findOne({ _id: id }));
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: `Alert ${req.params.id} not found`,
+    });
+  }
+  req.alert = doc;
+  next();
+}
+
+alertsRouter.get(
+  "/alerts/:id",
+  requireRole("viewer"),
+  loadAlert,
+  (req, res) => {
+    res.json({ success: true, data: toAlert(req.alert) });
+  },
+);
+
+alertsRouter.post(
+  "/alerts/:id/acknowledge",
+  requireRole("operator"),
+  loadAlert,
+  async (req, res) => {
+    try {
+      const doc = await alerts.findOneAndUpdate(
+        { _id: req.alert._id, status: "active" },
+        {
+          $set: {
+            status: "acknowledged",
+            acknowledgedAt: new Date(),
+            acknowledgeNote: req.body?.note ?? null,
+            acknowledgedBy: req.auth.name,
+          },
+        },
+        { returnDocument: "after" },
+      );
+      if (!doc) {
+        return res.status(409).json({
+          success: false,
+          error: `Alert is already ${req.alert.status}`,
+        });
+      }
+
+      if (openAlerts.has(doc.key)) openAlerts.set(doc.key, toAlert(doc));
+      await notify("acknowledged", toAlert(doc));
+      res.json({ success: true, data: toAlert(doc) });
+    } catch (error) {
+      console.error("Error acknowledging alert:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to acknowledge alert",
+        details: error.message,
+      });
+    }
+  },
+);
+
+alertsRouter.post(
+  "/alerts/:id/resolve",
+  requireRole("operator"),
+  loadAlert,
+  async (req, res) => {
+    try {
+      const alert = await closeAlert(
+        { _id: req.alert._id },
+        {
+          resolution: "manual",
+          note: req.body?.note ?? null,
+          resolvedBy: req.auth.name,
+        },
+      );
+      if (!alert) {
+        return res.status(409).json({
+          success: false,
+          error: "Alert is already resolved",
+        });
+      }
+
+      res.json({ success: true, data: alert });
+    } catch (error) {
+      console.error("Error resolving alert:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to resolve alert",
+        details: error.message,
+      });
+    }
+  },
+);
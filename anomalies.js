@@ -0,0 +1,596 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import dotenv from "dotenv";
+import { requireRole } from "./auth.js";
+import { db, writeWhenAvailable } from "./db.js";
+import { listDevices, loadDevice } from "./devices.js";
+import { publishEvent } from "./realtime.js";
+import { aggregateRollups } from "./rollups.js";
+import {
+  addDays,
+  DEFAULT_TIMEZONE,
+  getIsoWeekday,
+  getPeriod,
+  getZonedParts,
+  startOfDay,
+} from "./timezone.js";
+
+dotenv.config();
+
+const deviceData = db.collection("device_data");
+const baselines = db.collection("baselines");
+const anomalies = db.collection("anomalies");
+
+// Weeks of history a baseline is learned from, and how often it is relearned
+const BASELINE_WEEKS = Number(process.env.BASELINE_WEEKS) || 4;
+const RELEARN_AFTER_MS = 24 * 60 * 60 * 1000;
+const JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+// Expected range: mean ± ANOMALY_SIGMA standard deviations, and never
+// narrower than RELATIVE_TOLERANCE of the mean or ACTIVE_WATTS
+const SIGMA = Number(process.env.ANOMALY_SIGMA) || 3;
+const RELATIVE_TOLERANCE = 0.25;
+// Power above which a device counts as running
+const ACTIVE_WATTS = Number(process.env.ANOMALY_ACTIVE_WATTS) || 5;
+// Hours of the week where the device ran less often than this "never run"
+const RARELY_ACTIVE_RATIO = 0.02;
+// Readings must stay out of range this long to be an anomaly
+const MIN_DURATION_MS =
+  (Number(process.env.ANOMALY_MIN_MINUTES) || 5) * 60 * 1000;
+// An hour of the week needs this many readings from this many weeks before
+// it is trusted
+const MIN_HOUR_SAMPLES = 60;
+const MIN_HOUR_WEEKS = 2;
+// Same weekdays needed before days are judged
+const MIN_DAY_SAMPLES = 3;
+
+const TYPES = ["high", "low", "unexpected_activity"];
+const KINDS = ["reading", "day"];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Baselines by device, and the out-of-range streak each device is in
+const loaded = new Map();
+const streaks = new Map();
+
+function toAnomaly(doc) {
+  if (!doc) return null;
+  const { _id, open, ...rest } = doc;
+  return { id: _id.toString(), ...rest, ongoing: open };
+}
+
+function toBaseline(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { deviceId: _id, ...rest };
+}
+
+function round(value) {
+  return Number(value.toFixed(3));
+}
+
+// 0 (Monday 00:00) to 167 (Sunday 23:00), local to `timezone`
+function getHourOfWeek(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  return (getIsoWeekday(parts) - 1) * 24 + parts.hour;
+}
+
+function expectedRange(mean, stddev) {
+  const tolerance = Math.max(
+    SIGMA * stddev,
+    RELATIVE_TOLERANCE * mean,
+    ACTIVE_WATTS,
+  );
+  return {
+    mean: round(mean),
+    low: round(Math.max(0, mean - tolerance)),
+    high: round(mean + tolerance),
+    tolerance,
+  };
+}
+
+// Readings of the last BASELINE_WEEKS grouped by local hour of the week.
+// Only readings with normalized values are used; run `npm run
+// readings:normalize` to include older ones.
+async function learnHours(deviceId, timezone, since) {
+  const groups = await deviceData
+    .aggregate([
+      {
+        $match: {
+          deviceId,
+          timestamp: { $gte: since },
+          "normalized.power": { $type: "number" },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            day: { $isoDayOfWeek: { date: "$timestamp", timezone } },
+            hour: { $hour: { date: "$timestamp", timezone } },
+          },
+          samples: { $sum: 1 },
+          mean: { $avg: "$normalized.power" },
+          stddev: { $stdDevPop: "$normalized.power" },
+          activeRatio: {
+            $avg: {
+              $cond: [{ $gt: ["$normalized.power", ACTIVE_WATTS] }, 1, 0],
+            },
+          },
+          weeks: {
+            $addToSet: {
+              $dateToString: { format: "%G-%V", date: "$timestamp", timezone },
+            },
+          },
+        },
+      },
+    ])
+    .toArray();
+
+  const hours = Array.from({ length: 168 }, (_, hourOfWeek) => ({
+    hourOfWeek,
+    samples: 0,
+    weeks: 0,
+    mean: null,
+    stddev: null,
+    activeRatio: null,
+  }));
+  for (const { _id, samples, mean, stddev, activeRatio, weeks } of groups) {
+    hours[(_id.day - 1) * 24 + _id.hour] = {
+      hourOfWeek: (_id.day - 1) * 24 + _id.hour,
+      samples,
+      weeks: weeks.length,
+      mean: round(mean),
+      stddev: round(stddev),
+      activeRatio: round(activeRatio),
+    };
+  }
+  return hours;
+}
+
+// Daily energy per ISO weekday over complete past days. Days with less than
+// half the readings of a typical day are left out.
+async function learnDays(deviceId, timezone, since, until) {
+  const days = await aggregateRollups(
+    "quarter",
+    deviceId,
+    since,
+    new Date(until.getTime() - 1),
+    { $dateToString: { format: "%Y-%m-%d", date: "$bucket", timezone } },
+  );
+  const counts = days.map((d) => d.count).sort((a, b) => a - b);
+  const typical = counts[Math.floor(counts.length / 2)] ?? 0;
+
+  const byWeekday = Array.from({ length: 7 }, () => []);
+  for (const day of days) {
+    if (day.count < typical / 2) continue;
+    const [year, month, date] = day._id.split("-").map(Number);
+    byWeekday[getIsoWeekday({ year, month, day: date }) - 1].push(day.energy);
+  }
+
+  return byWeekday.map((energies, i) => {
+    const n = energies.length;
+    const mean = n > 0 ? energies.reduce((a, b) => a + b, 0) / n : null;
+    const variance =
+      n > 0 ? energies.reduce((sum, e) => sum + (e - mean) ** 2, 0) / n : null;
+    return {
+      isoWeekday: i + 1,
+      samples: n,
+      mean: mean === null ? null : round(mean),
+      stddev: variance === null ? null : round(Math.sqrt(variance)),
+    };
+  });
+}
+
+export async function learnBaseline(deviceId, timezone = DEFAULT_TIMEZONE) {
+  const today = getPeriod("today", timezone);
+  const since = new Date(
+    today.start.getTime() - BASELINE_WEEKS * 7 * 24 * 60 * 60 * 1000,
+  );
+  const [hours, days] = await Promise.all([
+    learnHours(deviceId, timezone, since),
+    learnDays(deviceId, timezone, since, today.start),
+  ]);
+
+  const doc = {
+    _id: deviceId,
+    timezone,
+    weeks: BASELINE_WEEKS,
+    from: since,
+    to: new Date(),
+    learnedAt: new Date(),
+    hours,
+    days,
+  };
+  await baselines.replaceOne({ _id: deviceId }, doc, { upsert: true });
+  loaded.set(deviceId, doc);
+  return toBaseline(doc);
+}
+
+async function storeAnomaly(doc) {
+  const inserted = { ...doc };
+  await writeWhenAvailable(() => anomalies.insertOne(inserted));
+}
+
+// Logs a detected anomaly and pushes it to WebSocket clients, once it has
+// been stored (or its write deferred)
+function announceAnomaly(doc) {
+  console.log(
+    `🔍 ${doc.deviceId} ${doc.kind} anomaly: ${doc.type} (score ${doc.score})`,
+  );
+  publishEvent(
+    "anomaly",
+    { event: "detected", anomaly: toAnomaly(doc) },
+    doc.deviceId,
+  );
+}
+
+async function closeStreak(deviceId, streak, endedAt) {
+  streaks.delete(deviceId);
+  if (!streak.anomaly) return;
+  const update = {
+    endedAt,
+    durationSec: Math.round((endedAt - streak.anomaly.startedAt) / 1000),
+    open: false,
+  };
+  const { _id } = streak.anomaly;
+  await writeWhenAvailable(() =>
+    anomalies.updateOne({ _id }, { $set: update }),
+  );
+  Object.assign(streak.anomaly, update);
+  publishEvent(
+    "anomaly",
+    { event: "ended", anomaly: toAnomaly(streak.anomaly) },
+    deviceId,
+  );
+}
+
+// How a reading compares to its hour of the week: null when it is within
+// range or the hour has too little history to tell
+function judgeReading(hour, power) {
+  if (hour.samples < MIN_HOUR_SAMPLES || hour.weeks < MIN_HOUR_WEEKS) {
+    return null;
+  }
+  const range = expectedRange(hour.mean, hour.stddev);
+  const score = round(
+    Math.abs(power - hour.mean) / Math.max(range.tolerance / SIGMA, 1e-9),
+  );
+
+  if (hour.activeRatio < RARELY_ACTIVE_RATIO && power > ACTIVE_WATTS) {
+    return { type: "unexpected_activity", range, score };
+  }
+  if (power > range.high) return { type: "high", range, score };
+  if (power < range.low) return { type: "low", range, score };
+  return null;
+}
+
+// Follows each polled reading ({ deviceId, timestamp, power }) against the
+// device's baseline. Readings that stay out of range for MIN_DURATION_MS
+// open an anomaly, which stays open until readings are back in range.
+export async function checkReadingAnomaly({ deviceId, timestamp, power }) {
+  const baseline = loaded.get(deviceId);
+  if (!baseline || typeof power !== "number") return;
+
+  const hourOfWeek = getHourOfWeek(timestamp, baseline.timezone);
+  const verdict = judgeReading(baseline.hours[hourOfWeek], power);
+  let streak = streaks.get(deviceId);
+
+  if (streak && streak.type !== verdict?.type) {
+    await closeStreak(deviceId, streak, timestamp);
+    streak = null;
+  }
+  if (!verdict) return;
+
+  if (!streak) {
+    streak = {
+      type: verdict.type,
+      since: timestamp,
+      hourOfWeek,
+      expected: verdict.range,
+      peakPower: power,
+      score: verdict.score,
+      anomaly: null,
+    };
+    streaks.set(deviceId, streak);
+  } else {
+    streak.score = Math.max(streak.score, verdict.score);
+    streak.peakPower =
+      verdict.type === "low"
+        ? Math.min(streak.peakPower, power)
+        : Math.max(streak.peakPower, power);
+  }
+
+  if (streak.anomaly) {
+    const { _id } = streak.anomaly;
+    const progress = {
+      score: streak.score,
+      observed: streak.peakPower,
+      lastSeenAt: timestamp,
+    };
+    await writeWhenAvailable(
+      () => anomalies.updateOne({ _id }, { $set: progress }),
+      `anomaly:${_id}`,
+    );
+    return;
+  }
+  if (timestamp - streak.since < MIN_DURATION_MS) return;
+
+  const { tolerance, ...expected } = streak.expected;
+  // With its id set here, updates deferred while MongoDB is unreachable can
+  // refer to the anomaly before it is inserted
+  streak.anomaly = {
+    _id: new ObjectId(),
+    deviceId,
+    kind: "reading",
+    type: streak.type,
+    metric: "power",
+    startedAt: streak.since,
+    endedAt: null,
+    durationSec: null,
+    hourOfWeek: streak.hourOfWeek,
+    expected,
+    observed: streak.peakPower,
+    score: streak.score,
+    lastSeenAt: timestamp,
+    open: true,
+  };
+  await storeAnomaly(streak.anomaly);
+  announceAnomaly(streak.anomaly);
+}
+
+// Compares the energy of the last complete local day with its weekday
+function judgeDay(baseline, date, energy) {
+  const [year, month, day] = date.split("-").map(Number);
+  const weekday = baseline.days[getIsoWeekday({ year, month, day }) - 1];
+  if (weekday.samples < MIN_DAY_SAMPLES) return null;
+
+  const tolerance = Math.max(
+    SIGMA * weekday.stddev,
+    RELATIVE_TOLERANCE * weekday.mean,
+  );
+  const expected = {
+    mean: weekday.mean,
+    low: round(Math.max(0, weekday.mean - tolerance)),
+    high: round(weekday.mean + tolerance),
+  };
+  if (energy >= expected.low && energy <= expected.high) return null;
+  return {
+    type: energy > expected.high ? "high" : "low",
+    expected,
+    score: round(
+      Math.abs(energy - weekday.mean) / Math.max(tolerance / SIGMA, 1e-9),
+    ),
+  };
+}
+
+async function checkYesterday(deviceId, baseline) {
+  const { timezone } = baseline;
+  const yesterday = addDays(getZonedParts(new Date(), timezone), -1);
+  const start = startOfDay(yesterday, timezone);
+  const end = startOfDay(addDays(yesterday, 1), timezone);
+  const [day] = await aggregateRollups(
+    "quarter",
+    deviceId,
+    start,
+    new Date(end.getTime() - 1),
+    { $dateToString: { format: "%Y-%m-%d", date: "$bucket", timezone } },
+  );
+  if (!day) return;
+
+  const date = day._id;
+  const verdict = judgeDay(baseline, date, day.energy);
+  if (!verdict) return;
+
+  const doc = {
+    deviceId,
+    kind: "day",
+    type: verdict.type,
+    metric: "energy",
+    date,
+    startedAt: start,
+    endedAt: end,
+    durationSec: null,
+    expected: verdict.expected,
+    observed: round(day.energy),
+    score: verdict.score,
+    open: false,
+  };
+  // One day anomaly per device and date, however often the job runs
+  const { upsertedId } = await anomalies.updateOne(
+    { deviceId, kind: "day", date },
+    { $setOnInsert: doc },
+    { upsert: true },
+  );
+  if (upsertedId) announceAnomaly({ _id: upsertedId, ...doc });
+}
+
+let jobRunning = false;
+
+async function runAnomalyJob() {
+  if (jobRunning) return;
+  jobRunning = true;
+  try {
+    const devices = await listDevices({ enabledOnly: true });
+    for (const device of devices) {
+      try {
+        let baseline = loaded.get(device.id);
+        if (!baseline || Date.now() - baseline.learnedAt >= RELEARN_AFTER_MS) {
+          await learnBaseline(device.id, baseline?.timezone);
+          baseline = loaded.get(device.id);
+        }
+        await checkYesterday(device.id, baseline);
+      } catch (error) {
+        console.error(`❌ Anomaly job failed for ${device.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Anomaly job failed:", error.message);
+  } finally {
+    jobRunning = false;
+  }
+}
+
+export async function startAnomalyDetection() {
+  await anomalies.createIndex({ deviceId: 1, startedAt: -1 });
+  await anomalies.createIndex(
+    { deviceId: 1, kind: 1, date: 1 },
+    { unique: true, partialFilterExpression: { kind: "day" } },
+  );
+
+  for (const doc of await baselines.find({}).toArray()) {
+    loaded.set(doc._id, doc);
+  }
+  // Streaks live in memory, so reading anomalies left open by a restart end
+  // at the last reading seen out of range
+  await anomalies.updateMany({ kind: "reading", open: true }, [
+    {
+      $set: {
+        open: false,
+        endedAt: "$lastSeenAt",
+        durationSec: {
+          $round: [
+            {
+              $divide: [{ $subtract: ["$lastSeenAt", "$startedAt"] }, 1000],
+            },
+          ],
+        },
+      },
+    },
+  ]);
+
+  setInterval(runAnomalyJob, JOB_INTERVAL_MS);
+  runAnomalyJob();
+}
+
+// Returns { filter } for an anomaly query, or { error }
+function buildAnomalyFilter(query, deviceId = query.deviceId) {
+  const filter = {};
+  if (deviceId) filter.deviceId = deviceId;
+
+  if (query.type !== undefined) {
+    if (!TYPES.includes(query.type)) {
+      return {
+        error: `Invalid type parameter. Must be one of: ${TYPES.join(", ")}`,
+      };
+    }
+    filter.type = query.type;
+  }
+  if (query.kind !== undefined) {
+    if (!KINDS.includes(query.kind)) {
+      return {
+        error: `Invalid kind parameter. Must be one of: ${KINDS.join(", ")}`,
+      };
+    }
+    filter.kind = query.kind;
+  }
+  if (query.open !== undefined) {
+    if (!["true", "false"].includes(query.open)) {
+      return { error: "Invalid open parameter. Must be true or false" };
+    }
+    filter.open = query.open === "true";
+  }
+  if (query.minScore !== undefined) {
+    const minScore = Number(query.minScore);
+    if (!Number.isFinite(minScore)) {
+      return { error: "Invalid minScore parameter. Must be a number" };
+    }
+    filter.score = { $gte: minScore };
+  }
+
+  for (const [param, op] of [
+    ["from", "$gte"],
+    ["to", "$lte"],
+  ]) {
+    if (query[param] === undefined) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Invalid ${param} parameter. Must be an ISO date` };
+    }
+    filter.startedAt = { ...filter.startedAt, [op]: date };
+  }
+  return { filter };
+}
+
+async function handleAnomalies(req, res) {
+  try {
+    const { filter, error } = buildAnomalyFilter(req.query, req.device?.id);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const limit = Math.min(
+      Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT,
+      MAX_LIMIT,
+    );
+    const docs = await anomalies
+      .find(filter)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({ success: true, data: docs.map(toAnomaly) });
+  } catch (error) {
+    console.error("Error listing anomalies:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list anomalies",
+      details: error.message,
+    });
+  }
+}
+
+export const anomaliesRouter = express.Router();
+
+anomaliesRouter.get("/anomalies", requireRole("viewer"), handleAnomalies);
+anomaliesRouter.get(
+  "/devices/:id/anomalies",
+  requireRole("viewer"),
+  loadDevice,
+  handleAnomalies,
+);
+
+anomaliesRouter.get(
+  "/devices/:id/baseline",
+  requireRole("viewer"),
+  loadDevice,
+  async (req, res) => {
+    try {
+      const doc =
+        loaded.get(req.device.id) ??
+        (await baselines.findOne({ _id: req.device.id }));
+      if (!doc) {
+        return res.status(404).json({
+          success: false,
+          error: "No baseline has been learned for this device yet",
+        });
+      }
+      res.json({ success: true, data: toBaseline(doc) });
+    } catch (error) {
+      console.error("Error fetching baseline:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch baseline",
+        details: error.message,
+      });
+    }
+  },
+);
+
+anomaliesRouter.post(
+  "/devices/:id/baseline/relearn",
+  requireRole("admin"),
+  loadDevice,
+  async (req, res) => {
+    try {
+      const baseline = await learnBaseline(
+        req.device.id,
+        loaded.get(req.device.id)?.timezone,
+      );
+      res.json({ success: true, data: baseline });
+    } catch (error) {
+      console.error("Error learning baseline:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to learn baseline",
+        details: error.message,
+      });
+    }
+  },
+);
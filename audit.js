@@ -0,0 +1,213 @@
+import express from "express";
+import { isDeepStrictEqual } from "util";
+import { ObjectId } from "mongodb";
+import dotenv from "dotenv";
+import { requireRole } from "./auth.js";
+import { db } from "./db.js";
+
+dotenv.config();
+
+const auditLog = db.collection("audit_log");
+
+export const AUDIT_SOURCES = ["api", "schedule", "rule", "websocket", "mqtt"];
+const STATUSES = ["accepted", "rejected", "failed"];
+const CONFIRMATIONS = ["pending", "confirmed", "mismatch", "unconfirmed"];
+
+// Devices report their new state a moment after accepting a command
+const CONFIRM_DELAY_MS = Number(process.env.AUDIT_CONFIRM_DELAY_MS) || 3000;
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function toAuditEntry(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+function parseId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+export async function initAudit() {
+  await auditLog.createIndex({ requestedAt: -1 });
+  await auditLog.createIndex({ deviceId: 1, requestedAt: -1 });
+}
+
+// Reads back the device state and records whether it matches the command
+async function confirmEntry(id, value, confirm) {
+  let update;
+  try {
+    const confirmedState = await confirm();
+    update = {
+      confirmedState,
+      confirmation: isDeepStrictEqual(confirmedState, value)
+        ? "confirmed"
+        : "mismatch",
+    };
+  } catch (error) {
+    update = { confirmation: "unconfirmed", confirmationError: error.message };
+  }
+  await auditLog.updateOne(
+    { _id: id },
+    { $set: { ...update, confirmedAt: new Date() } },
+  );
+}
+
+// Runs a device command and stores it in the audit log:
+//   origin  { source, actor: { type, id, name } | null, ip }
+//   execute () => Tuya response
+//   confirm () => resulting device state, compared against `value`
+// The command's own result or error is passed through unchanged; a failure to
+// write the log never fails the command.
+export async function auditCommand(
+  { deviceId, command, value, origin = {} },
+  execute,
+  confirm,
+) {
+  const requestedAt = new Date();
+  const entry = {
+    deviceId,
+    command,
+    value,
+    source: origin.source ?? "api",
+    actor: origin.actor ?? null,
+    ip: origin.ip ?? null,
+    requestedAt,
+  };
+
+  let response;
+  let failure;
+  try {
+    response = await execute();
+  } catch (error) {
+    failure = error;
+  }
+
+  const accepted = !failure && response && response.success !== false;
+  Object.assign(entry, {
+    latencyMs: Date.now() - requestedAt.getTime(),
+    status: failure ? "failed" : accepted ? "accepted" : "rejected",
+    response: response ?? null,
+    error: failure?.message ?? (accepted ? null : (response?.msg ?? null)),
+    confirmation: accepted ? "pending" : null,
+    confirmedState: null,
+  });
+
+  try {
+    const { insertedId } = await auditLog.insertOne(entry);
+    if (accepted) {
+      setTimeout(() => {
+        confirmEntry(insertedId, value, confirm).catch((error) =>
+          console.error("Error confirming audited command:", error.message),
+        );
+      }, CONFIRM_DELAY_MS);
+    }
+  } catch (error) {
+    console.error("❌ Failed to write audit log entry:", error.message);
+  }
+
+  if (failure) throw failure;
+  return response;
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export const auditRouter = express.Router();
+
+auditRouter.get("/audit", requireRole("admin"), async (req, res) => {
+  try {
+    const { deviceId, source, status, confirmation, command, actor } =
+      req.query;
+    const filter = {};
+
+    if (source) {
+      if (!AUDIT_SOURCES.includes(source)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid source parameter. Must be one of: ${AUDIT_SOURCES.join(", ")}`,
+        });
+      }
+      filter.source = source;
+    }
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status parameter. Must be one of: ${STATUSES.join(", ")}`,
+        });
+      }
+      filter.status = status;
+    }
+    if (confirmation) {
+      if (!CONFIRMATIONS.includes(confirmation)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid confirmation parameter. Must be one of: ${CONFIRMATIONS.join(", ")}`,
+        });
+      }
+      filter.confirmation = confirmation;
+    }
+    if (deviceId) filter.deviceId = deviceId;
+    if (command) filter.command = command;
+    // Matches the actor's id or name (username, API key, schedule or rule)
+    if (actor) filter.$or = [{ "actor.id": actor }, { "actor.name": actor }];
+
+    for (const [param, op] of [
+      ["from", "$gte"],
+      ["to", "$lte"],
+    ]) {
+      if (req.query[param] === undefined) continue;
+      const date = parseDate(req.query[param]);
+      if (!date) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid ${param} parameter. Must be an ISO date`,
+        });
+      }
+      filter.requestedAt = { ...filter.requestedAt, [op]: date };
+    }
+
+    const limit = Math.min(
+      Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT,
+      MAX_LIMIT,
+    );
+    const docs = await auditLog
+      .find(filter)
+      .sort({ requestedAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({ success: true, data: docs.map(toAuditEntry) });
+  } catch (error) {
+    console.error("Error listing audit log:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list audit log",
+      details: error.message,
+    });
+  }
+});
+
+auditRouter.get("/audit/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const doc = await auditLog.findOne({ _id: parseId(req.params.id) });
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: `Audit entry ${req.params.id} not found`,
+      });
+    }
+    res.json({ success: true, data: toAuditEntry(doc) });
+  } catch (error) {
+    console.error("Error fetching audit entry:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch audit entry",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,531 @@
+import express from "express";
+import crypto from "crypto";
+import { promisify } from "util";
+import { ObjectId } from "mongodb";
+import dotenv from "dotenv";
+import { db, isConnectionError, isDatabaseAvailable } from "./db.js";
+
+dotenv.config();
+
+const users = db.collection("users");
+const apiKeys = db.collection("api_keys");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most privileged; each role can do everything the
+// roles before it can
+export const ROLES = ["viewer", "operator", "admin"];
+
+const TOKEN_TTL_SECONDS = Number(process.env.JWT_TTL_SECONDS) || 12 * 60 * 60;
+const API_KEY_PREFIX = "tpk_";
+const MIN_PASSWORD_LENGTH = 8;
+
+let jwtSecret = process.env.JWT_SECRET;
+
+// Last successful credential lookups by API key hash or user id. While
+// MongoDB is unreachable, clients seen before the outage can still sign in
+// and keep the live stream going. Revoking a key or updating a user evicts
+// its entry, so that it cannot outlive the change during an outage.
+const knownCredentials = new Map();
+
+function parseId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+function toUser(doc) {
+  if (!doc) return null;
+  const { _id, passwordHash, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+function toApiKey(doc) {
+  if (!doc) return null;
+  const { _id, keyHash, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+// Passwords are stored as "scrypt$<salt>$<hash>", both base64
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored?.split("$") ?? [];
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), 64);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// API keys are only ever shown once; we keep a SHA-256 of them
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+function getJwtSecret() {
+  if (!jwtSecret) {
+    jwtSecret = crypto.randomBytes(32).toString("hex");
+    console.warn(
+      "⚠️ JWT_SECRET is not set; using a random secret, so sessions end when the server restarts",
+    );
+  }
+  return jwtSecret;
+}
+
+function signToken(payload) {
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto
+    .createHmac("sha256", getJwtSecret())
+    .update(`${header}.${body}`)
+    .digest("base64url");
+  return `${header}.${body}.${signature}`;
+}
+
+// Payload of a valid, unexpired HS256 token, or null
+function verifyToken(token) {
+  const [header, body, signature] = token.split(".");
+  if (!header || !body || !signature) return null;
+
+  const expected = crypto
+    .createHmac("sha256", getJwtSecret())
+    .update(`${header}.${body}`)
+    .digest();
+  const actual = Buffer.from(signature, "base64url");
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, "base64url").toString());
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (alg !== "HS256") return null;
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+export function hasRole(auth, role) {
+  return ROLES.indexOf(auth?.role) >= ROLES.indexOf(role);
+}
+
+async function authenticateToken(token) {
+  if (token.startsWith(API_KEY_PREFIX)) {
+    const keyHash = hashApiKey(token);
+    return withKnownCredentials(keyHash, () => authenticateApiKey(keyHash));
+  }
+
+  const payload = verifyToken(token);
+  if (!payload) return { error: "Invalid or expired token" };
+  return withKnownCredentials(payload.sub, () => authenticateUser(payload));
+}
+
+// Runs a credential lookup, answering from knownCredentials when MongoDB
+// cannot be reached
+async function withKnownCredentials(cacheKey, lookup) {
+  const known = knownCredentials.get(cacheKey);
+  if (known && !isDatabaseAvailable()) return { auth: known };
+  try {
+    const result = await lookup();
+    if (result.auth) knownCredentials.set(cacheKey, result.auth);
+    else knownCredentials.delete(cacheKey);
+    return result;
+  } catch (error) {
+    if (known && isConnectionError(error)) return { auth: known };
+    throw error;
+  }
+}
+
+async function authenticateApiKey(keyHash) {
+  const key = await apiKeys.findOne({ keyHash, revokedAt: null });
+  if (!key) return { error: "Invalid or revoked API key" };
+
+  apiKeys
+    .updateOne({ _id: key._id }, { $set: { lastUsedAt: new Date() } })
+    .catch((error) =>
+      console.error("Error updating API key usage:", error.message),
+    );
+  return {
+    auth: {
+      type: "apiKey",
+      id: key._id.toString(),
+      name: key.name,
+      role: key.role,
+    },
+  };
+}
+
+async function authenticateUser(payload) {
+  // Roles and disabled accounts take effect without waiting for expiry
+  const user = await users.findOne({ _id: parseId(payload.sub) });
+  if (!user || user.disabled) return { error: "Account is disabled" };
+  return {
+    auth: {
+      type: "user",
+      id: user._id.toString(),
+      name: user.username,
+      role: user.role,
+    },
+  };
+}
+
+// Resolves the credentials of an HTTP or WebSocket upgrade request:
+// "Authorization: Bearer <token or API key>" or "X-API-Key: <key>". Browsers
+// cannot set headers on WebSocket connections, so those may pass ?token=.
+// Returns { auth }, { error } for bad credentials, or {} when there are none.
+export async function authenticateRequest(
+  req,
+  { allowQueryToken = false } = {},
+) {
+  let token = null;
+  const header = req.headers.authorization;
+  if (header?.startsWith("Bearer ")) {
+    token = header.slice("Bearer ".length).trim();
+  } else if (req.headers["x-api-key"]) {
+    token = req.headers["x-api-key"];
+  } else if (allowQueryToken) {
+    token = new URL(req.url, "http://localhost").searchParams.get("token");
+  }
+
+  if (!token) return {};
+  return authenticateToken(token);
+}
+
+// Rejects requests without credentials for at least `role`, and exposes the
+// caller as req.auth = { type: "user" | "apiKey", id, name, role }
+export function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      const { auth, error } = await authenticateRequest(req);
+      if (!auth) {
+        return res.status(401).json({
+          success: false,
+          error: error ?? "Authentication required",
+        });
+      }
+      if (!hasRole(auth, role)) {
+        return res.status(403).json({
+          success: false,
+          error: `Requires ${role} role`,
+        });
+      }
+      req.auth = auth;
+      next();
+    } catch (error) {
+      console.error("Error authenticating request:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to authenticate request",
+        details: error.message,
+      });
+    }
+  };
+}
+
+function validateRole(role) {
+  return ROLES.includes(role)
+    ? null
+    : `Invalid role parameter. Must be one of: ${ROLES.join(", ")}`;
+}
+
+function validatePassword(password) {
+  return typeof password === "string" && password.length >= MIN_PASSWORD_LENGTH
+    ? null
+    : `Invalid password parameter. Must be at least ${MIN_PASSWORD_LENGTH} characters`;
+}
+
+export async function initAuth() {
+  await users.createIndex({ username: 1 }, { unique: true });
+  await apiKeys.createIndex({ keyHash: 1 }, { unique: true });
+
+  getJwtSecret();
+
+  // First admin account, so that the API can be reached at all
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (await users.findOne({ role: "admin" }, { projection: { _id: 1 } })) {
+    return;
+  }
+  if (!ADMIN_USERNAME || validatePassword(ADMIN_PASSWORD)) {
+    console.warn(
+      `⚠️ No admin account exists. Set ADMIN_USERNAME and ADMIN_PASSWORD (at least ${MIN_PASSWORD_LENGTH} characters) to create one.`,
+    );
+    return;
+  }
+  const now = new Date();
+  await users.updateOne(
+    { username: ADMIN_USERNAME },
+    {
+      $set: {
+        role: "admin",
+        disabled: false,
+        passwordHash: await hashPassword(ADMIN_PASSWORD),
+        updatedAt: now,
+      },
+      $setOnInsert: { username: ADMIN_USERNAME, createdAt: now },
+    },
+    { upsert: true },
+  );
+  console.log(`✅ Admin account ${ADMIN_USERNAME} created from environment`);
+}
+
+export const authRouter = express.Router();
+
+authRouter.post("/auth/login", async (req, res) => {
+  try {
+    const { username, password } = req.body ?? {};
+    if (typeof username !== "string" || typeof password !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "username and password are required",
+      });
+    }
+
+    const user = await users.findOne({ username });
+    if (
+      !user ||
+      user.disabled ||
+      !(await verifyPassword(password, user.passwordHash))
+    ) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid username or password",
+      });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const expiresAt = now + TOKEN_TTL_SECONDS;
+    const token = signToken({
+      sub: user._id.toString(),
+      role: user.role,
+      iat: now,
+      exp: expiresAt,
+    });
+    await users.updateOne(
+      { _id: user._id },
+      { $set: { lastLoginAt: new Date() } },
+    );
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        expiresAt: new Date(expiresAt * 1000).toISOString(),
+        user: toUser(user),
+      },
+    });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to log in",
+      details: error.message,
+    });
+  }
+});
+
+authRouter.get("/auth/me", requireRole("viewer"), (req, res) => {
+  res.json({ success: true, data: req.auth });
+});
+
+authRouter.get("/users", requireRole("admin"), async (req, res) => {
+  try {
+    const docs = await users.find({}).sort({ createdAt: 1 }).toArray();
+    res.json({ success: true, data: docs.map(toUser) });
+  } catch (error) {
+    console.error("Error listing users:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list users",
+      details: error.message,
+    });
+  }
+});
+
+authRouter.post("/users", requireRole("admin"), async (req, res) => {
+  try {
+    const { username, password, role = "viewer" } = req.body ?? {};
+    if (typeof username !== "string" || username.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid username parameter. Must be a non-empty string",
+      });
+    }
+    const error = validateRole(role) ?? validatePassword(password);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const now = new Date();
+    const doc = {
+      username: username.trim(),
+      role,
+      disabled: false,
+      passwordHash: await hashPassword(password),
+      createdAt: now,
+      updatedAt: now,
+    };
+    const { insertedId } = await users.insertOne(doc);
+
+    res.status(201).json({
+      success: true,
+      data: toUser({ _id: insertedId, ...doc }),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: `User ${req.body.username} already exists`,
+      });
+    }
+    console.error("Error creating user:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create user",
+      details: error.message,
+    });
+  }
+});
+
+authRouter.patch("/users/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const { role, password, disabled } = req.body ?? {};
+    const update = {};
+
+    if (role !== undefined) {
+      const error = validateRole(role);
+      if (error) return res.status(400).json({ success: false, error });
+      update.role = role;
+    }
+    if (password !== undefined) {
+      const error = validatePassword(password);
+      if (error) return res.status(400).json({ success: false, error });
+      update.passwordHash = await hashPassword(password);
+    }
+    if (disabled !== undefined) {
+      if (typeof disabled !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid disabled parameter. Must be true or false",
+        });
+      }
+      update.disabled = disabled;
+    }
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Nothing to update. Allowed fields: role, password, disabled",
+      });
+    }
+
+    const doc = await users.findOneAndUpdate(
+      { _id: parseId(req.params.id) },
+      { $set: { ...update, updatedAt: new Date() } },
+      { returnDocument: "after" },
+    );
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: `User ${req.params.id} not found`,
+      });
+    }
+    knownCredentials.delete(doc._id.toString());
+
+    res.json({ success: true, data: toUser(doc) });
+  } catch (error) {
+    console.error("Error updating user:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update user",
+      details: error.message,
+    });
+  }
+});
+
+authRouter.get("/api-keys", requireRole("admin"), async (req, res) => {
+  try {
+    const docs = await apiKeys.find({}).sort({ createdAt: -1 }).toArray();
+    res.json({ success: true, data: docs.map(toApiKey) });
+  } catch (error) {
+    console.error("Error listing API keys:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list API keys",
+      details: error.message,
+    });
+  }
+});
+
+// The key itself is only returned here; store it safely
+authRouter.post("/api-keys", requireRole("admin"), async (req, res) => {
+  try {
+    const { name, role = "viewer" } = req.body ?? {};
+    if (typeof name !== "string" || name.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid name parameter. Must be a non-empty string",
+      });
+    }
+    const error = validateRole(role);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+    const doc = {
+      name: name.trim(),
+      role,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      keyHash: hashApiKey(key),
+      createdBy: req.auth.name,
+      createdAt: new Date(),
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+    const { insertedId } = await apiKeys.insertOne(doc);
+
+    res.status(201).json({
+      success: true,
+      data: { ...toApiKey({ _id: insertedId, ...doc }), key },
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create API key",
+      details: error.message,
+    });
+  }
+});
+
+authRouter.delete("/api-keys/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const doc = await apiKeys.findOneAndUpdate(
+      { _id: parseId(req.params.id), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.auth.name } },
+      { returnDocument: "after" },
+    );
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: `Active API key ${req.params.id} not found`,
+      });
+    }
+    knownCredentials.delete(doc.keyHash);
+
+    res.json({ success: true, data: toApiKey(doc) });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke API key",
+      details: error.message,
+    });
+  }
+});
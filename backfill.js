@@ -0,0 +1,411 @@
+import express from "express";
+import dotenv from "dotenv";
+import { requireRole } from "./auth.js";
+import { getBufferStatus } from "./buffer.js";
+import { db } from "./db.js";
+import { getDevice, listDevices, loadDevice } from "./devices.js";
+import { getDeviceScales, METRIC_CODES, normalizeStatus } from "./readings.js";
+import { applyBackfillToRollups } from "./rollups.js";
+import { fetchDeviceLogs } from "./tuya.js";
+
+dotenv.config();
+
+const deviceData = db.collection("device_data");
+const backfillRuns = db.collection("backfill_runs");
+
+// Readings further apart than this leave a gap (devices are polled every 5s)
+const GAP_MIN_MS = (Number(process.env.GAP_MIN_SECONDS) || 60) * 1000;
+// Spacing of the readings rebuilt inside a gap
+const STEP_MS = (Number(process.env.BACKFILL_STEP_SECONDS) || 60) * 1000;
+// The background job looks back this far, every interval (0 disables it)
+const LOOKBACK_MS =
+  (Number(process.env.BACKFILL_LOOKBACK_HOURS) || 24) * 3600 * 1000;
+const JOB_INTERVAL_MS =
+  Number(process.env.BACKFILL_INTERVAL_MINUTES ?? 60) * 60 * 1000;
+
+// Tuya keeps device logs for about a week
+const MAX_WINDOW_MS = 7 * 24 * 3600 * 1000;
+const DEFAULT_WINDOW_MS = 24 * 3600 * 1000;
+
+const LOG_EVENTS = { online: 1, offline: 2, report: 7 };
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Devices with a backfill in progress
+const running = new Set();
+
+function toRun(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+// Intervals in [from, to] where consecutive readings are more than
+// GAP_MIN_MS apart: [{ start, end, durationSec }], oldest first. The window
+// bounds count as readings, so missing data at either end (or a window
+// without any reading) is a gap too. The window starts no earlier than
+// `trackedSince`, as there is nothing to miss before the device's first
+// reading or registration; without it there are no gaps.
+export function gapsInWindow(timestamps, from, to, trackedSince) {
+  if (!trackedSince || trackedSince >= to) return [];
+  const gaps = [];
+  let last = trackedSince > from ? trackedSince : from;
+  const addGap = (end) => {
+    if (end < last) return;
+    if (end - last > GAP_MIN_MS) {
+      gaps.push({
+        start: last,
+        end,
+        durationSec: Math.round((end - last) / 1000),
+      });
+    }
+    last = end;
+  };
+  for (const timestamp of timestamps) addGap(timestamp);
+  addGap(to);
+  return gaps;
+}
+
+// The earlier of a device's first reading and its registration
+async function getTrackedSince(deviceId) {
+  const [first, device] = await Promise.all([
+    deviceData.findOne(
+      { deviceId },
+      { sort: { timestamp: 1 }, projection: { timestamp: 1 } },
+    ),
+    getDevice(deviceId),
+  ]);
+  const times = [first?.timestamp, device?.createdAt].filter(Boolean);
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+// Gaps in the stored readings of a device, see gapsInWindow
+export async function findGaps(deviceId, from, to) {
+  const [readings, trackedSince] = await Promise.all([
+    deviceData
+      .find(
+        { deviceId, timestamp: { $gte: from, $lte: to } },
+        { projection: { _id: 0, timestamp: 1 } },
+      )
+      .sort({ timestamp: 1 })
+      .toArray(),
+    getTrackedSince(deviceId),
+  ]);
+  return gapsInWindow(
+    readings.map((doc) => doc.timestamp),
+    from,
+    to,
+    trackedSince,
+  );
+}
+
+// Tuya logs every value as a string
+function parseLogValue(value) {
+  if (value === "true" || value === "false") return value === "true";
+  if (value !== "" && !Number.isNaN(Number(value))) return Number(value);
+  return value;
+}
+
+// Readings every STEP_MS inside the gap, replayed from the device's event
+// log on top of the status stored before it. Devices only report changes, so
+// values hold until the next report; nothing is rebuilt while the device was
+// offline. Each add_ele report is the energy metered since the previous one,
+// so when the device reports it, every reading carries the sum of the
+// reports since the previous step as `meteredEnergy` (kWh).
+export function buildReadings(deviceId, gap, logs, previousStatus, scales) {
+  const values = new Map(
+    (previousStatus ?? []).map(({ code, value }) => [code, value]),
+  );
+  const energyCode = METRIC_CODES.energyTotal;
+  const metersEnergy = logs.some(
+    ({ event_id, code }) =>
+      event_id === LOG_EVENTS.report && code === energyCode,
+  );
+  let online = true;
+  let metered = 0;
+  let next = 0;
+  const docs = [];
+
+  const end = gap.end.getTime();
+  for (let t = gap.start.getTime() + STEP_MS; t < end; t += STEP_MS) {
+    for (; next < logs.length && logs[next].event_time <= t; next++) {
+      const { event_id, code, value } = logs[next];
+      if (event_id === LOG_EVENTS.online) online = true;
+      else if (event_id === LOG_EVENTS.offline) online = false;
+      else if (event_id === LOG_EVENTS.report && code) {
+        const parsed = parseLogValue(value);
+        values.set(code, parsed);
+        if (code === energyCode) {
+          const report = [{ code, value: parsed }];
+          metered += normalizeStatus(report, scales).energyTotal ?? 0;
+        }
+      }
+    }
+
+    if (online) {
+      const status = [...values].map(([code, value]) => ({ code, value }));
+      const doc = {
+        deviceId,
+        timestamp: new Date(t),
+        status,
+        normalized: normalizeStatus(status, scales),
+        backfilled: true,
+      };
+      if (metersEnergy) doc.meteredEnergy = Number(metered.toPrecision(12));
+      docs.push(doc);
+    }
+    metered = 0;
+  }
+  return docs;
+}
+
+async function backfillGap(deviceId, gap) {
+  const run = {
+    deviceId,
+    start: gap.start,
+    end: gap.end,
+    status: "done",
+    events: 0,
+    inserted: 0,
+    error: null,
+    startedAt: new Date(),
+  };
+
+  try {
+    const logs = await fetchDeviceLogs(deviceId, {
+      startTime: gap.start.getTime(),
+      endTime: gap.end.getTime(),
+    });
+    run.events = logs.length;
+
+    // Without a single event there is nothing telling what the device did.
+    // Such runs are recorded as "no_data" rather than "done", so that later
+    // runs try the gap again in case Tuya's logs catch up.
+    if (logs.length === 0) {
+      run.status = "no_data";
+    } else {
+      const [before, after] = await Promise.all([
+        deviceData.findOne(
+          { deviceId, timestamp: { $lte: gap.start } },
+          { sort: { timestamp: -1 }, projection: { status: 1 } },
+        ),
+        deviceData.findOne(
+          { deviceId, timestamp: { $gte: gap.end } },
+          {
+            sort: { timestamp: 1 },
+            projection: {
+              deviceId: 1,
+              timestamp: 1,
+              status: 1,
+              normalized: 1,
+            },
+          },
+        ),
+      ]);
+      const docs = buildReadings(
+        deviceId,
+        gap,
+        logs,
+        before?.status,
+        await getDeviceScales(deviceId),
+      );
+      if (docs.length > 0) {
+        await deviceData.insertMany(docs);
+        await applyBackfillToRollups(docs, after);
+      }
+      run.inserted = docs.length;
+    }
+  } catch (error) {
+    run.status = "failed";
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  const { insertedId } = await backfillRuns.insertOne(run);
+  return toRun({ _id: insertedId, ...run });
+}
+
+// Readings buffered on disk fill the gaps after the oldest of them once they
+// are replayed, so those gaps count as covered
+function isBuffered(gap) {
+  const { buffering, since } = getBufferStatus();
+  return buffering && (since === null || gap.end > since);
+}
+
+// Finds the gaps of a device in [from, to] and backfills the ones no earlier
+// run has completed and no buffered reading will fill
+export async function backfillDevice(deviceId, from, to) {
+  if (running.has(deviceId)) {
+    throw new Error(`A backfill is already running for ${deviceId}`);
+  }
+  running.add(deviceId);
+  try {
+    const gaps = await findGaps(deviceId, from, to);
+    const runs = [];
+    let skipped = 0;
+
+    for (const gap of gaps) {
+      if (isBuffered(gap)) {
+        skipped++;
+        continue;
+      }
+      const covered = await backfillRuns.findOne({
+        deviceId,
+        status: "done",
+        start: { $lte: gap.start },
+        end: { $gte: gap.end },
+      });
+      if (covered) {
+        skipped++;
+        continue;
+      }
+      runs.push(await backfillGap(deviceId, gap));
+    }
+
+    const inserted = runs.reduce((sum, run) => sum + run.inserted, 0);
+    if (runs.length > 0) {
+      console.log(
+        `🩹 ${deviceId}: backfilled ${inserted} readings in ${runs.length} gaps`,
+      );
+    }
+    return { deviceId, gaps: gaps.length, skipped, inserted, runs };
+  } finally {
+    running.delete(deviceId);
+  }
+}
+
+let jobRunning = false;
+
+async function runBackfillJob() {
+  // Gaps are only known once the buffered readings are back in device_data
+  const { buffering, replaying } = getBufferStatus();
+  if (jobRunning || buffering || replaying) return;
+  jobRunning = true;
+  try {
+    const to = new Date();
+    const from = new Date(to.getTime() - LOOKBACK_MS);
+    const devices = await listDevices({ enabledOnly: true });
+    for (const device of devices) {
+      await backfillDevice(device.id, from, to).catch((error) =>
+        console.error(`❌ Backfill failed for ${device.id}:`, error.message),
+      );
+    }
+  } catch (error) {
+    console.error("❌ Backfill job failed:", error.message);
+  } finally {
+    jobRunning = false;
+  }
+}
+
+// Gaps left while the server or Mongo was down are filled on startup and
+// then every BACKFILL_INTERVAL_MINUTES
+export async function startBackfill() {
+  await backfillRuns.createIndex({ deviceId: 1, start: 1 });
+  await backfillRuns.createIndex({ startedAt: -1 });
+  if (JOB_INTERVAL_MS <= 0) return;
+  setInterval(runBackfillJob, JOB_INTERVAL_MS);
+  runBackfillJob();
+}
+
+// Returns { from, to } for a window of at most a week, or { error }
+function parseWindow({ from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from
+    ? new Date(from)
+    : new Date(end.getTime() - DEFAULT_WINDOW_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: "Invalid from/to parameters. Must be ISO dates" };
+  }
+  if (start >= end) return { error: "from must be before to" };
+  if (end - start > MAX_WINDOW_MS) {
+    return { error: "The window cannot be longer than 7 days" };
+  }
+  return { from: start, to: end };
+}
+
+export const backfillRouter = express.Router();
+
+backfillRouter.get(
+  "/devices/:id/gaps",
+  requireRole("viewer"),
+  loadDevice,
+  async (req, res) => {
+    const { from, to, error } = parseWindow(req.query);
+    if (error) return res.status(400).json({ success: false, error });
+
+    try {
+      const gaps = await findGaps(req.device.id, from, to);
+      res.json({
+        success: true,
+        data: {
+          deviceId: req.device.id,
+          from,
+          to,
+          minGapSec: GAP_MIN_MS / 1000,
+          missingSec: gaps.reduce((sum, gap) => sum + gap.durationSec, 0),
+          gaps,
+        },
+      });
+    } catch (error) {
+      console.error("Error finding data gaps:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to find data gaps",
+        details: error.message,
+      });
+    }
+  },
+);
+
+backfillRouter.post(
+  "/devices/:id/backfill",
+  requireRole("admin"),
+  loadDevice,
+  async (req, res) => {
+    const { from, to, error } = parseWindow(req.body ?? {});
+    if (error) return res.status(400).json({ success: false, error });
+    if (running.has(req.device.id)) {
+      return res.status(409).json({
+        success: false,
+        error: "A backfill is already running for this device",
+      });
+    }
+
+    try {
+      const result = await backfillDevice(req.device.id, from, to);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      console.error("Error backfilling device data:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to backfill device data",
+        details: error.message,
+      });
+    }
+  },
+);
+
+backfillRouter.get("/backfill-runs", requireRole("admin"), async (req, res) => {
+  try {
+    const filter = req.query.deviceId ? { deviceId: req.query.deviceId } : {};
+    if (req.query.status) filter.status = req.query.status;
+    const limit = Math.min(
+      Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT,
+      MAX_LIMIT,
+    );
+    const docs = await backfillRuns
+      .find(filter)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({ success: true, data: docs.map(toRun) });
+  } catch (error) {
+    console.error("Error listing backfill runs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list backfill runs",
+      details: error.message,
+    });
+  }
+});
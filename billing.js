@@ -0,0 +1,534 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import dotenv from "dotenv";
+import { raiseAlert, resolveAlert } from "./alerts.js";
+import { requireRole } from "./auth.js";
+import { db } from "./db.js";
+import { getDevice, loadDevice } from "./devices.js";
+import { getCoveredHours, getHourlyEnergy } from "./energy.js";
+import { calculateCosts, getTariffForDevice } from "./tariffs.js";
+import {
+  addDays,
+  DEFAULT_TIMEZONE,
+  getBillingCycle,
+  getZonedParts,
+  loadTimezone,
+  startOfDay,
+} from "./timezone.js";
+
+dotenv.config();
+
+const budgets = db.collection("budgets");
+
+// Cycle start day of devices without their own billingCycleDay
+const BILLING_CYCLE_DAY = Number(process.env.BILLING_CYCLE_DAY) || 1;
+// Complete days before today whose hourly profile is projected forward
+const PROJECTION_DAYS = Number(process.env.BILLING_PROJECTION_DAYS) || 7;
+const BUDGET_CHECK_MS =
+  (Number(process.env.BUDGET_CHECK_MINUTES) || 15) * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const BUDGET_METRICS = ["cost", "energy"];
+const DEFAULT_THRESHOLDS = [50, 80, 100];
+
+function toBudget(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+function parseId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+function round(value, digits) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+export function getCycleDay(device) {
+  return device.billingCycleDay ?? BILLING_CYCLE_DAY;
+}
+
+// Average energy per local hour of the day over the complete days among the
+// PROJECTION_DAYS days before `now`, i.e. days with readings in every hour:
+// { profile, basisDays }. Days the server was partly down would otherwise
+// pull the profile down.
+async function getHourlyProfile(deviceId, timezone, now) {
+  const today = getZonedParts(now, timezone);
+  const from = startOfDay(addDays(today, -PROJECTION_DAYS), timezone);
+  const to = new Date(startOfDay(today, timezone).getTime() - 1);
+  const [hourly, covered] = await Promise.all([
+    getHourlyEnergy(deviceId, from, to, timezone),
+    getCoveredHours(deviceId, from, to, timezone),
+  ]);
+
+  const completeDays = new Set();
+  for (let i = PROJECTION_DAYS; i > 0; i--) {
+    const day = addDays(today, -i);
+    const start = startOfDay(day, timezone);
+    const hours = (startOfDay(addDays(day, 1), timezone) - start) / HOUR_MS;
+    const { date } = getZonedParts(start, timezone);
+    if (covered.get(date) === hours) completeDays.add(date);
+  }
+
+  const basisDays = completeDays.size;
+  const profile = Array(24).fill(0);
+  for (const { date, hour, energy } of hourly) {
+    if (completeDays.has(date)) profile[hour] += energy;
+  }
+  return {
+    profile: profile.map((energy) => (basisDays > 0 ? energy / basisDays : 0)),
+    basisDays,
+  };
+}
+
+// Hourly entries from `now` to `end` following the profile; the current hour
+// only gets its remaining share
+function projectHours(profile, timezone, now, end) {
+  const entries = [];
+  const { minute, second } = getZonedParts(now, timezone);
+  const hourStart =
+    now.getTime() - (minute * 60 + second) * 1000 - now.getMilliseconds();
+  for (let t = hourStart; t < end.getTime(); t += HOUR_MS) {
+    const { hour } = getZonedParts(new Date(t), timezone);
+    const share = Math.min(1, (t + HOUR_MS - now.getTime()) / HOUR_MS);
+    entries.push({ hour, energy: profile[hour] * share });
+  }
+  return entries;
+}
+
+// Energy (kWh) and cost of a device in a billing cycle: to date, per day,
+// and for cycles still running, projected to the cycle end by repeating the
+// hourly profile of the last PROJECTION_DAYS days. `offset` picks earlier
+// cycles (-1 is the previous one).
+export async function getCycleUsage(
+  device,
+  timezone,
+  { offset = 0, now = new Date() } = {},
+) {
+  const cycleDay = getCycleDay(device);
+  const { label, start, end, dates } = getBillingCycle(
+    cycleDay,
+    timezone,
+    now,
+    offset,
+  );
+  const to = now < end ? now : end;
+  const [tariff, hourly] = await Promise.all([
+    getTariffForDevice(device),
+    getHourlyEnergy(device.id, start, new Date(to.getTime() - 1), timezone),
+  ]);
+
+  // Slabs of tiered tariffs count from the cycle start, so the projection is
+  // priced after the usage to date
+  let projection = null;
+  let projected = [];
+  if (now < end) {
+    const { profile, basisDays } = await getHourlyProfile(
+      device.id,
+      timezone,
+      now,
+    );
+    if (basisDays > 0) {
+      projected = projectHours(profile, timezone, now, end);
+      projection = { basisDays };
+    }
+  }
+  const costs = calculateCosts([...hourly, ...projected], tariff);
+
+  const days = new Map(
+    dates.map((date) => [date, { date, energy: 0, cost: tariff ? 0 : null }]),
+  );
+  hourly.forEach((entry, i) => {
+    const day = days.get(entry.date);
+    if (!day) return;
+    day.energy += entry.energy;
+    if (tariff) day.cost += costs[i];
+  });
+
+  const toDate = {
+    energy: round(sum(hourly.map((e) => e.energy)), 3),
+    cost: tariff ? round(sum(costs.slice(0, hourly.length)), 2) : null,
+  };
+  if (projection) {
+    projection.energy = round(
+      toDate.energy + sum(projected.map((e) => e.energy)),
+      3,
+    );
+    projection.cost = tariff ? round(sum(costs), 2) : null;
+  }
+
+  const lastDate = getZonedParts(to, timezone).date;
+  return {
+    cycle: {
+      label,
+      start,
+      end,
+      cycleDay,
+      days: dates.length,
+      elapsedDays: dates.filter((date) => date <= lastDate).length,
+    },
+    tariff: tariff && {
+      id: tariff.id,
+      name: tariff.name,
+      type: tariff.type,
+      currency: tariff.currency,
+    },
+    toDate,
+    projection,
+    days: [...days.values()]
+      .filter((day) => day.date <= lastDate)
+      .map((day) => ({
+        date: day.date,
+        energy: round(day.energy, 3),
+        cost: round(day.cost, 2),
+      })),
+  };
+}
+
+// How far a budget is into its cycle, in its own metric
+export function budgetStatus(budget, usage) {
+  const used = usage.toDate[budget.metric];
+  const projected = usage.projection?.[budget.metric] ?? null;
+  const pct = (value) =>
+    value === null ? null : round((value / budget.amount) * 100, 1);
+  return {
+    ...toBudget(budget),
+    cycle: usage.cycle.label,
+    used,
+    usedPct: pct(used),
+    projected,
+    projectedPct: pct(projected),
+  };
+}
+
+function budgetAlertKey(budget, threshold) {
+  return `budget:${budget._id}:${threshold}`;
+}
+
+async function resolveBudgetAlerts(budget) {
+  for (const threshold of budget.thresholds) {
+    await resolveAlert(budgetAlertKey(budget, threshold));
+  }
+}
+
+function describeAmount(budget, value, currency) {
+  return budget.metric === "energy"
+    ? `${value} kWh`
+    : `${value}${currency ? ` ${currency}` : ""}`;
+}
+
+// Thresholds the budget's usage has crossed since it was last notified:
+// { newCycle, crossed }. A new cycle starts again from none notified.
+export function findCrossedThresholds(budget, status) {
+  const newCycle = budget.notified?.cycle !== status.cycle;
+  const notified = newCycle ? [] : (budget.notified?.thresholds ?? []);
+  const crossed =
+    status.usedPct === null
+      ? []
+      : budget.thresholds.filter(
+          (threshold) =>
+            status.usedPct >= threshold && !notified.includes(threshold),
+        );
+  return { newCycle, crossed };
+}
+
+// Raises an alert the first time a cycle's usage crosses each threshold of
+// the budget; alerts of the previous cycle are resolved when a new one starts
+async function checkBudget(budget, usage) {
+  const status = budgetStatus(budget, usage);
+  if (status.usedPct === null) return status;
+
+  const { newCycle, crossed } = findCrossedThresholds(budget, status);
+  let notified = newCycle ? [] : (budget.notified?.thresholds ?? []);
+  if (newCycle) await resolveBudgetAlerts(budget);
+
+  for (const threshold of crossed) {
+    const currency = usage.tariff?.currency;
+    await raiseAlert({
+      type: "budget",
+      deviceId: budget.deviceId,
+      key: budgetAlertKey(budget, threshold),
+      severity:
+        threshold >= 100 ? "critical" : threshold >= 80 ? "warning" : "info",
+      message: `Budget "${budget.name}" reached ${status.usedPct}% (${describeAmount(budget, status.used, currency)} of ${describeAmount(budget, budget.amount, currency)}) in the cycle starting ${status.cycle}`,
+      value: status.used,
+    });
+    notified = [...notified, threshold];
+  }
+
+  if (crossed.length > 0 || newCycle) {
+    budget.notified = { cycle: status.cycle, thresholds: notified };
+    await budgets.updateOne(
+      { _id: budget._id },
+      { $set: { notified: budget.notified } },
+    );
+  }
+  return status;
+}
+
+let checkRunning = false;
+
+async function runBudgetCheck() {
+  if (checkRunning) return;
+  checkRunning = true;
+  try {
+    const docs = await budgets.find({ enabled: true }).toArray();
+    const byDevice = new Map();
+    for (const budget of docs) {
+      byDevice.set(budget.deviceId, [
+        ...(byDevice.get(budget.deviceId) ?? []),
+        budget,
+      ]);
+    }
+    for (const [deviceId, deviceBudgets] of byDevice) {
+      try {
+        const device = await getDevice(deviceId);
+        if (!device) continue;
+        const usage = await getCycleUsage(device, DEFAULT_TIMEZONE);
+        for (const budget of deviceBudgets) await checkBudget(budget, usage);
+      } catch (error) {
+        console.error(`❌ Budget check failed for ${deviceId}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Budget check failed:", error.message);
+  } finally {
+    checkRunning = false;
+  }
+}
+
+// Budgets are checked against cycles in DEFAULT_TIMEZONE every
+// BUDGET_CHECK_MINUTES
+export async function startBudgetChecks() {
+  await budgets.createIndex({ deviceId: 1 });
+  setInterval(runBudgetCheck, BUDGET_CHECK_MS);
+  runBudgetCheck();
+}
+
+// Returns { budget } with the fields to store, or { error }
+function validateBudgetInput(body) {
+  const {
+    deviceId,
+    name,
+    metric,
+    amount,
+    thresholds = DEFAULT_THRESHOLDS,
+    enabled = true,
+  } = body;
+
+  if (typeof deviceId !== "string" || deviceId === "") {
+    return { error: "Invalid deviceId parameter. Must be a registered device" };
+  }
+  if (typeof name !== "string" || name.trim() === "") {
+    return { error: "Invalid name parameter. Must be a non-empty string" };
+  }
+  if (!BUDGET_METRICS.includes(metric)) {
+    return {
+      error: `Invalid metric parameter. Must be one of: ${BUDGET_METRICS.join(", ")}`,
+    };
+  }
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+    return {
+      error:
+        "Invalid amount parameter. Must be a positive number (kWh or tariff currency)",
+    };
+  }
+  if (
+    !Array.isArray(thresholds) ||
+    thresholds.length === 0 ||
+    !thresholds.every((t) => typeof t === "number" && t > 0 && t <= 1000)
+  ) {
+    return {
+      error:
+        "Invalid thresholds parameter. Must be a list of percentages of the amount",
+    };
+  }
+  if (typeof enabled !== "boolean") {
+    return { error: "Invalid enabled parameter. Must be true or false" };
+  }
+
+  return {
+    budget: {
+      deviceId,
+      name: name.trim(),
+      metric,
+      amount,
+      thresholds: [...new Set(thresholds)].sort((a, b) => a - b),
+      enabled,
+    },
+  };
+}
+
+export const billingRouter = express.Router();
+
+billingRouter.get(
+  "/devices/:id/billing",
+  requireRole("viewer"),
+  loadDevice,
+  loadTimezone,
+  async (req, res) => {
+    const { cycle = "current" } = req.query;
+    if (!["current", "previous"].includes(cycle)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid cycle parameter. Must be current or previous",
+      });
+    }
+
+    try {
+      const usage = await getCycleUsage(req.device, req.timezone, {
+        offset: cycle === "previous" ? -1 : 0,
+      });
+      const docs = await budgets
+        .find({ deviceId: req.device.id })
+        .sort({ createdAt: 1 })
+        .toArray();
+      res.json({
+        success: true,
+        data: {
+          deviceId: req.device.id,
+          timezone: req.timezone,
+          ...usage,
+          budgets: docs.map((budget) => budgetStatus(budget, usage)),
+        },
+      });
+    } catch (error) {
+      console.error("Error computing billing cycle usage:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to compute billing cycle usage",
+        details: error.message,
+      });
+    }
+  },
+);
+
+billingRouter.get("/budgets", requireRole("viewer"), async (req, res) => {
+  try {
+    const filter = req.query.deviceId ? { deviceId: req.query.deviceId } : {};
+    const docs = await budgets.find(filter).sort({ createdAt: 1 }).toArray();
+    res.json({ success: true, data: docs.map(toBudget) });
+  } catch (error) {
+    console.error("Error listing budgets:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list budgets",
+      details: error.message,
+    });
+  }
+});
+
+billingRouter.post("/budgets", requireRole("operator"), async (req, res) => {
+  try {
+    const { budget, error } = validateBudgetInput(req.body ?? {});
+    if (error) return res.status(400).json({ success: false, error });
+
+    if (!(await getDevice(budget.deviceId))) {
+      return res.status(400).json({
+        success: false,
+        error: `Device ${budget.deviceId} is not registered`,
+      });
+    }
+
+    const now = new Date();
+    const doc = { ...budget, notified: null, createdAt: now, updatedAt: now };
+    await budgets.insertOne(doc);
+    runBudgetCheck();
+
+    res.status(201).json({ success: true, data: toBudget(doc) });
+  } catch (error) {
+    console.error("Error creating budget:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create budget",
+      details: error.message,
+    });
+  }
+});
+
+// Resolves :id to a stored budget document
+async function loadBudget(req, res, next) {
+  const id = parseId(req.params.id);
+  const doc = id && (await budgets.findOne({ _id: id }));
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: `Budget ${req.params.id} not found`,
+    });
+  }
+  req.budget = doc;
+  next();
+}
+
+billingRouter.get(
+  "/budgets/:id",
+  requireRole("viewer"),
+  loadBudget,
+  (req, res) => {
+    res.json({ success: true, data: toBudget(req.budget) });
+  },
+);
+
+// Partial updates are merged over the stored budget and revalidated.
+// Changing a budget resolves its alerts; thresholds already crossed are
+// notified again at the next check.
+billingRouter.patch(
+  "/budgets/:id",
+  requireRole("operator"),
+  loadBudget,
+  async (req, res) => {
+    try {
+      const { _id, createdAt } = req.budget;
+      const { budget, error } = validateBudgetInput({
+        ...req.budget,
+        ...req.body,
+        deviceId: req.budget.deviceId,
+      });
+      if (error) return res.status(400).json({ success: false, error });
+
+      await resolveBudgetAlerts(req.budget);
+      const doc = {
+        ...budget,
+        notified: null,
+        createdAt,
+        updatedAt: new Date(),
+      };
+      await budgets.replaceOne({ _id }, doc);
+      runBudgetCheck();
+
+      res.json({ success: true, data: toBudget({ _id, ...doc }) });
+    } catch (error) {
+      console.error("Error updating budget:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update budget",
+        details: error.message,
+      });
+    }
+  },
+);
+
+billingRouter.delete(
+  "/budgets/:id",
+  requireRole("operator"),
+  loadBudget,
+  async (req, res) => {
+    try {
+      await budgets.deleteOne({ _id: req.budget._id });
+      await resolveBudgetAlerts(req.budget);
+      res.json({ success: true, data: toBudget(req.budget) });
+    } catch (error) {
+      console.error("Error deleting budget:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete budget",
+        details: error.message,
+      });
+    }
+  },
+);
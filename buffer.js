@@ -0,0 +1,272 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import readline from "readline";
+import { BSON, ObjectId } from "mongodb";
+import dotenv from "dotenv";
+import {
+  db,
+  isConnectionError,
+  isDatabaseAvailable,
+  onDatabaseAvailabilityChange,
+  reportDatabaseError,
+} from "./db.js";
+import { counter, gauge } from "./metrics.js";
+import { applyReadingToRollups } from "./rollups.js";
+
+dotenv.config();
+
+const { EJSON } = BSON;
+
+// Readings polled while MongoDB is unreachable are appended, one EJSON
+// document per line, to <dir>/readings.ndjson. Replay first renames it to
+// readings-<ms>.ndjson so that new readings keep being appended meanwhile,
+// then inserts the renamed files oldest first and deletes them.
+const BUFFER_DIR = process.env.READING_BUFFER_DIR || "data/buffer";
+const MAX_BYTES =
+  (Number(process.env.READING_BUFFER_MAX_MB) || 200) * 1024 * 1024;
+const REPLAY_INTERVAL_MS = 30 * 1000;
+const REPLAY_BATCH_SIZE = 500;
+
+const LIVE_FILE = path.join(BUFFER_DIR, "readings.ndjson");
+const SEGMENT_PATTERN = /^readings-(\d+)\.ndjson$/;
+
+const deviceData = db.collection("device_data");
+
+// True while readings are waiting on disk: new readings then go to the
+// buffer too, so they reach device_data in polling order
+let buffering = false;
+let bufferedBytes = 0;
+// Time of the oldest buffered reading: device_data may lack any reading
+// polled since, until the replay is done
+let bufferedSince = null;
+let replaying = false;
+
+// File operations run one at a time, so a rename never splits an append
+let queue = Promise.resolve();
+function enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+gauge("reading_buffer_bytes", "Size of readings buffered on disk", () => [
+  { value: bufferedBytes },
+]);
+const appended = counter(
+  "reading_buffer_appended_total",
+  "Readings written to the disk buffer while MongoDB was unreachable",
+);
+const replayed = counter(
+  "reading_buffer_replayed_total",
+  "Buffered readings inserted into MongoDB, by result",
+);
+const dropped = counter(
+  "reading_buffer_dropped_total",
+  "Readings lost because the disk buffer was full",
+);
+
+async function fileSize(file) {
+  try {
+    return (await fs.stat(file)).size;
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+}
+
+// Renamed files waiting for replay, oldest first
+async function listSegments() {
+  const names = await fs.readdir(BUFFER_DIR);
+  return names
+    .map((name) => name.match(SEGMENT_PATTERN))
+    .filter(Boolean)
+    .sort((a, b) => Number(a[1]) - Number(b[1]))
+    .map((match) => path.join(BUFFER_DIR, match[0]));
+}
+
+export function getBufferStatus() {
+  return {
+    buffering,
+    replaying,
+    since: bufferedSince,
+    bytes: bufferedBytes,
+    directory: BUFFER_DIR,
+  };
+}
+
+// Timestamp of the first readable reading in a buffer file
+async function readFirstTimestamp(file) {
+  const lines = readline.createInterface({
+    input: createReadStream(file),
+    crlfDelay: Infinity,
+  });
+  try {
+    for await (const line of lines) {
+      try {
+        return EJSON.parse(line).timestamp ?? null;
+      } catch {
+        continue;
+      }
+    }
+    return null;
+  } finally {
+    lines.close();
+  }
+}
+
+function appendToBuffer(doc) {
+  const line = `${EJSON.stringify(doc)}\n`;
+  const bytes = Buffer.byteLength(line);
+  return enqueue(async () => {
+    if (bufferedBytes + bytes > MAX_BYTES) {
+      dropped.inc();
+      throw new Error(
+        `Reading buffer is full (READING_BUFFER_MAX_MB=${MAX_BYTES / 1024 / 1024})`,
+      );
+    }
+    await fs.appendFile(LIVE_FILE, line);
+    bufferedBytes += bytes;
+    appended.inc();
+    if (!buffering) {
+      buffering = true;
+      bufferedSince = doc.timestamp;
+      console.warn(`💾 Buffering readings on disk in ${BUFFER_DIR}`);
+    }
+  });
+}
+
+// Stores a polled reading in device_data, or on disk while MongoDB is
+// unreachable or older readings are still buffered. The _id is set before
+// the first attempt, so a reading whose insert failed halfway is not
+// stored twice by the replay. Returns "stored" or "buffered".
+export async function storeReading(doc) {
+  doc._id ??= new ObjectId();
+  if (!buffering && isDatabaseAvailable()) {
+    try {
+      await deviceData.insertOne(doc);
+      return "stored";
+    } catch (error) {
+      if (!isConnectionError(error)) throw error;
+      reportDatabaseError(error);
+    }
+  }
+  await appendToBuffer(doc);
+  return "buffered";
+}
+
+// Upserts by _id, so a batch that was partly inserted before the connection
+// dropped can be replayed again. Only newly inserted readings are folded
+// into the rollups; if that fails halfway, `npm run rollups:rebuild` fixes
+// the affected buckets.
+async function replayBatch(docs) {
+  const result = await deviceData.bulkWrite(
+    docs.map(({ _id, ...doc }) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $setOnInsert: doc },
+        upsert: true,
+      },
+    })),
+    { ordered: true },
+  );
+  const inserted = Object.keys(result.upsertedIds).map(Number);
+  for (const index of inserted.sort((a, b) => a - b)) {
+    await applyReadingToRollups(docs[index]);
+  }
+  replayed.inc({ result: "inserted" }, inserted.length);
+  replayed.inc({ result: "duplicate" }, docs.length - inserted.length);
+}
+
+async function replaySegment(file) {
+  const lines = readline.createInterface({
+    input: createReadStream(file),
+    crlfDelay: Infinity,
+  });
+  let batch = [];
+  for await (const line of lines) {
+    if (line.trim() === "") continue;
+    try {
+      batch.push(EJSON.parse(line));
+    } catch {
+      // The last line of a file is cut short when the process died mid-append
+      console.warn(`⚠️ Skipping unreadable line in ${file}`);
+      continue;
+    }
+    if (batch.length === REPLAY_BATCH_SIZE) {
+      await replayBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await replayBatch(batch);
+
+  const size = await fileSize(file);
+  await fs.unlink(file);
+  bufferedBytes = Math.max(0, bufferedBytes - size);
+}
+
+// Inserts the buffered readings in the order they were polled. Returns once
+// the buffer is empty, or when MongoDB becomes unreachable again; the files
+// left over are replayed at the next attempt.
+export async function replayBuffer() {
+  if (replaying || !buffering || !isDatabaseAvailable()) return;
+  replaying = true;
+  let files = 0;
+  try {
+    for (;;) {
+      const drained = await enqueue(async () => {
+        const segments = await listSegments();
+        if (segments.length === 0 && (await fileSize(LIVE_FILE)) === 0) {
+          buffering = false;
+          bufferedBytes = 0;
+          bufferedSince = null;
+          return true;
+        }
+        if ((await fileSize(LIVE_FILE)) > 0) {
+          await fs.rename(
+            LIVE_FILE,
+            path.join(BUFFER_DIR, `readings-${Date.now()}.ndjson`),
+          );
+        }
+        return false;
+      });
+      if (drained) break;
+
+      for (const segment of await listSegments()) {
+        await replaySegment(segment);
+        files++;
+      }
+    }
+    if (files > 0) console.log(`✅ Replayed ${files} reading buffer files`);
+  } catch (error) {
+    reportDatabaseError(error);
+    console.error("❌ Reading buffer replay failed:", error.message);
+  } finally {
+    replaying = false;
+  }
+}
+
+// Picks up readings left on disk by a previous run; they are replayed as
+// soon as MongoDB is reachable
+export async function initReadingBuffer() {
+  await fs.mkdir(BUFFER_DIR, { recursive: true });
+  const files = [...(await listSegments()), LIVE_FILE];
+  for (const file of files) {
+    const size = await fileSize(file);
+    if (size > 0 && bufferedSince === null) {
+      bufferedSince = await readFirstTimestamp(file);
+    }
+    bufferedBytes += size;
+  }
+  if (bufferedBytes > 0) {
+    buffering = true;
+    console.warn(
+      `💾 ${Math.round(bufferedBytes / 1024)} KB of buffered readings waiting in ${BUFFER_DIR}`,
+    );
+  }
+
+  onDatabaseAvailabilityChange((available) => {
+    if (available) replayBuffer();
+  });
+  setInterval(replayBuffer, REPLAY_INTERVAL_MS);
+}
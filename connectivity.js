@@ -0,0 +1,422 @@
+import express from "express";
+import { requireRole } from "./auth.js";
+import { db, writeWhenAvailable } from "./db.js";
+import { listDevices, loadDevice } from "./devices.js";
+import {
+  ALERT_THRESHOLDS,
+  alertKey,
+  raiseAlert,
+  resolveAlert,
+} from "./alerts.js";
+import { publishMqttAvailability } from "./mqtt.js";
+import { publishEvent } from "./realtime.js";
+import { addDays, getPeriod, loadTimezone, startOfDay } from "./timezone.js";
+import { fetchDeviceInfo } from "./tuya.js";
+
+const connectivity = db.collection("device_connectivity");
+const outages = db.collection("outages");
+
+// "offline": Tuya reports the device offline (power or Wi-Fi lost)
+// "unreachable": polls keep failing and Tuya cannot tell us why
+const DOWN_STATES = ["offline", "unreachable"];
+
+// While polls fail, ask Tuya about the device at most this often
+const INFO_CHECK_INTERVAL_MS = 30 * 1000;
+// lastSeenAt is written back at most this often between transitions
+const PERSIST_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// In-memory state per device, mirrored to device_connectivity. Polls keep
+// it up to date while MongoDB is unreachable; the writes wait until it is
+// back.
+const states = new Map();
+
+function toOutage(doc) {
+  if (!doc) return null;
+  const { _id, open, ...rest } = doc;
+  return { id: _id.toString(), ...rest, ongoing: open };
+}
+
+function toConnectivity(deviceId, entry) {
+  return {
+    deviceId,
+    state: entry?.state ?? "unknown",
+    since: entry?.since ?? null,
+    reason: entry?.reason ?? null,
+    lastSeenAt: entry?.lastSeenAt ?? null,
+    lastCheckedAt: entry?.lastCheckedAt ?? null,
+    trackedSince: entry?.trackedSince ?? null,
+  };
+}
+
+export async function initConnectivity() {
+  await outages.createIndex({ deviceId: 1, startedAt: -1 });
+  await outages.createIndex(
+    { deviceId: 1 },
+    { unique: true, partialFilterExpression: { open: true } },
+  );
+
+  const docs = await connectivity.find({}).toArray();
+  for (const { _id, ...doc } of docs) {
+    const entry = states.get(_id);
+    if (!entry) {
+      states.set(_id, {
+        ...doc,
+        failures: 0,
+        lastInfoCheckAt: 0,
+        persistedAt: Date.now(),
+      });
+      continue;
+    }
+
+    // Polled since the server started without MongoDB: what the polls saw
+    // wins, but tracking started when it was stored, and a stored outage
+    // ended when the device came back
+    entry.trackedSince = doc.trackedSince ?? entry.trackedSince;
+    if (DOWN_STATES.includes(doc.state) && entry.state === "online") {
+      await closeOutage(_id, entry.since);
+      await resolveAlert(alertKey("device_offline", _id));
+    }
+  }
+}
+
+export function getConnectivityState(deviceId) {
+  return toConnectivity(deviceId, states.get(deviceId));
+}
+
+// Only the latest state of a device is written once MongoDB is back
+async function persist(deviceId, entry) {
+  entry.persistedAt = Date.now();
+  const { state, since, reason, lastSeenAt, lastCheckedAt, trackedSince } =
+    entry;
+  await writeWhenAvailable(
+    () =>
+      connectivity.updateOne(
+        { _id: deviceId },
+        {
+          $set: { state, since, reason, lastSeenAt, lastCheckedAt },
+          $setOnInsert: { trackedSince },
+        },
+        { upsert: true },
+      ),
+    `connectivity:${deviceId}`,
+  );
+}
+
+// Ends the open outage of a device, if any, as of `at`
+async function closeOutage(deviceId, at) {
+  await writeWhenAvailable(() =>
+    outages.updateOne({ deviceId, open: true }, [
+      {
+        $set: {
+          endedAt: at,
+          durationSec: {
+            $round: [{ $divide: [{ $subtract: [at, "$startedAt"] }, 1000] }],
+          },
+          open: false,
+        },
+      },
+    ]),
+  );
+}
+
+// Moves a device to `state` as of `at`, opening, updating or closing its
+// outage record on the way
+async function setState(deviceId, entry, state, at, reason = null) {
+  const wasDown = DOWN_STATES.includes(entry.state);
+  const isDown = DOWN_STATES.includes(state);
+  const key = alertKey("device_offline", deviceId);
+
+  if (isDown && !wasDown) {
+    // The outage and the device state are separate writes, so an outage can
+    // still be open when the state says otherwise (a failed persist, or a
+    // restart in between). It is kept, with its original start.
+    await writeWhenAvailable(() =>
+      outages.updateOne(
+        { deviceId, open: true },
+        {
+          $set: { reason },
+          $setOnInsert: { startedAt: at, endedAt: null, durationSec: null },
+        },
+        { upsert: true },
+      ),
+    );
+    await raiseAlert({
+      type: "device_offline",
+      deviceId,
+      severity: "critical",
+      message:
+        state === "offline"
+          ? `Device ${deviceId} is offline (last seen ${at.toISOString()})`
+          : `Device ${deviceId} has not responded to ${entry.failures} consecutive polls`,
+    });
+  } else if (isDown && wasDown) {
+    await writeWhenAvailable(() =>
+      outages.updateOne({ deviceId, open: true }, { $set: { reason } }),
+    );
+  } else if (wasDown) {
+    await closeOutage(deviceId, at);
+    await resolveAlert(key);
+  }
+
+  const previous = entry.state;
+  Object.assign(entry, { state, since: at, reason });
+  await persist(deviceId, entry);
+
+  console.log(
+    `${isDown ? "📴" : "📶"} ${deviceId} ${previous} -> ${state}${reason ? ` (${reason})` : ""}`,
+  );
+  publishEvent(
+    "connectivity",
+    { deviceId, state, previous, since: at.toISOString(), reason },
+    deviceId,
+  );
+  publishMqttAvailability(deviceId, state);
+}
+
+// Most recent time Tuya or our own polls saw the device
+function latestSighting(info, entry) {
+  const reported = info.update_time ? new Date(info.update_time * 1000) : null;
+  const times = [reported, entry.lastSeenAt].filter(Boolean);
+  return times.length ? new Date(Math.max(...times)) : new Date();
+}
+
+// Feeds one poll outcome into the device's state machine:
+//   any --(Tuya says offline)--> offline
+//   unknown/online/unreachable --(poll ok)--> online
+//   offline --(poll ok, Tuya says online)--> online
+//   unknown/online --(N polls failed)--> unreachable
+// Tuya keeps answering status requests for offline devices with the last
+// known values, so the online flag is checked every INFO_CHECK_INTERVAL_MS.
+export async function recordPollResult(deviceId, ok) {
+  const now = new Date();
+  let entry = states.get(deviceId);
+  if (!entry) {
+    entry = {
+      state: "unknown",
+      since: now,
+      reason: null,
+      lastSeenAt: null,
+      trackedSince: now,
+      failures: 0,
+      lastInfoCheckAt: 0,
+      persistedAt: 0,
+    };
+    states.set(deviceId, entry);
+  }
+  entry.lastCheckedAt = now;
+  entry.failures = ok ? 0 : entry.failures + 1;
+
+  let info = null;
+  if (now - entry.lastInfoCheckAt >= INFO_CHECK_INTERVAL_MS) {
+    entry.lastInfoCheckAt = now.getTime();
+    try {
+      info = await fetchDeviceInfo(deviceId);
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not check whether ${deviceId} is online: ${error.message}`,
+      );
+    }
+  }
+
+  if (info?.online === false) {
+    if (entry.state !== "offline") {
+      const at = latestSighting(info, entry);
+      await setState(deviceId, entry, "offline", at, "device_offline");
+    }
+    return;
+  }
+
+  if (ok) {
+    // An offline device stays offline until Tuya says otherwise
+    if (entry.state === "offline" && !info) return;
+    entry.lastSeenAt = now;
+    if (entry.state !== "online") {
+      await setState(deviceId, entry, "online", now);
+    } else if (now - entry.persistedAt >= PERSIST_INTERVAL_MS) {
+      await persist(deviceId, entry);
+    }
+    return;
+  }
+
+  if (
+    !DOWN_STATES.includes(entry.state) &&
+    entry.failures >= ALERT_THRESHOLDS.offlineAfterFailures
+  ) {
+    await setState(
+      deviceId,
+      entry,
+      "unreachable",
+      entry.lastSeenAt ?? now,
+      "polls_failing",
+    );
+  }
+}
+
+// Seconds of `docs` outages that overlap [start, end)
+function downtimeSeconds(docs, start, end, now) {
+  let ms = 0;
+  for (const outage of docs) {
+    const from = Math.max(outage.startedAt.getTime(), start.getTime());
+    const to = Math.min((outage.endedAt ?? now).getTime(), end.getTime());
+    if (to > from) ms += to - from;
+  }
+  return ms / 1000;
+}
+
+function uptimeOf(docs, start, end, trackedSince, now) {
+  const observedStart = new Date(Math.max(start, trackedSince ?? now));
+  const observedEnd = new Date(Math.min(end, now));
+  if (observedEnd <= observedStart) {
+    return { uptimePct: null, downtimeSec: null, observedSec: 0 };
+  }
+  const observedSec = (observedEnd - observedStart) / 1000;
+  const downtimeSec = downtimeSeconds(docs, observedStart, observedEnd, now);
+  return {
+    uptimePct: Number((100 * (1 - downtimeSec / observedSec)).toFixed(3)),
+    downtimeSec: Math.round(downtimeSec),
+    observedSec: Math.round(observedSec),
+  };
+}
+
+// Uptime for each local day of the last week and for the whole week. Time
+// before tracking started does not count either way.
+export async function getUptime(deviceId, timezone, now = new Date()) {
+  const week = getPeriod("last7days", timezone, now);
+  const trackedSince = states.get(deviceId)?.trackedSince ?? null;
+  const docs = await outages
+    .find({
+      deviceId,
+      startedAt: { $lt: week.end },
+      $or: [{ endedAt: null }, { endedAt: { $gt: week.start } }],
+    })
+    .toArray();
+
+  const days = week.dates.map((date) => {
+    const [year, month, day] = date.split("-").map(Number);
+    const parts = { year, month, day };
+    const start = startOfDay(parts, timezone);
+    const end = startOfDay(addDays(parts, 1), timezone);
+    return { date, ...uptimeOf(docs, start, end, trackedSince, now) };
+  });
+
+  return {
+    today: days[days.length - 1],
+    week: uptimeOf(docs, week.start, week.end, trackedSince, now),
+    days,
+  };
+}
+
+// Returns { filter } for an outage query, or { error }
+function buildOutageFilter(query, deviceId = query.deviceId) {
+  const filter = {};
+  if (deviceId) filter.deviceId = deviceId;
+
+  if (query.open !== undefined) {
+    if (!["true", "false"].includes(query.open)) {
+      return { error: "Invalid open parameter. Must be true or false" };
+    }
+    filter.open = query.open === "true";
+  }
+
+  for (const param of ["from", "to"]) {
+    if (query[param] === undefined) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Invalid ${param} parameter. Must be an ISO date` };
+    }
+    // Outages overlapping the window
+    if (param === "from") {
+      filter.$or = [{ endedAt: null }, { endedAt: { $gte: date } }];
+    } else {
+      filter.startedAt = { $lte: date };
+    }
+  }
+  return { filter };
+}
+
+async function handleOutages(req, res) {
+  try {
+    const { filter, error } = buildOutageFilter(req.query, req.device?.id);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const limit = Math.min(
+      Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT,
+      MAX_LIMIT,
+    );
+    const docs = await outages
+      .find(filter)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({ success: true, data: docs.map(toOutage) });
+  } catch (error) {
+    console.error("Error listing outages:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list outages",
+      details: error.message,
+    });
+  }
+}
+
+export const connectivityRouter = express.Router();
+
+connectivityRouter.get(
+  "/connectivity",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const devices = await listDevices();
+      res.json({
+        success: true,
+        data: devices.map((device) => getConnectivityState(device.id)),
+      });
+    } catch (error) {
+      console.error("Error listing connectivity:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to list connectivity",
+        details: error.message,
+      });
+    }
+  },
+);
+
+connectivityRouter.get(
+  "/devices/:id/connectivity",
+  requireRole("viewer"),
+  loadDevice,
+  loadTimezone,
+  async (req, res) => {
+    try {
+      const deviceId = req.device.id;
+      res.json({
+        success: true,
+        data: {
+          ...getConnectivityState(deviceId),
+          timezone: req.timezone,
+          uptime: await getUptime(deviceId, req.timezone),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching connectivity:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch connectivity",
+        details: error.message,
+      });
+    }
+  },
+);
+
+connectivityRouter.get("/outages", requireRole("viewer"), handleOutages);
+connectivityRouter.get(
+  "/devices/:id/outages",
+  requireRole("viewer"),
+  loadDevice,
+  handleOutages,
+);
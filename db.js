@@ -0,0 +1,213 @@
+import {
+  MongoClient,
+  MongoNetworkError,
+  MongoNotConnectedError,
+  MongoServerSelectionError,
+  MongoTopologyClosedError,
+} from "mongodb";
+import dotenv from "dotenv";
+import { gauge, histogram } from "./metrics.js";
+
+dotenv.config();
+
+const dbName = "tuya";
+
+// How often reachability is checked, and how long an operation waits for a
+// server before failing (the driver default of 30s would stall polling)
+const CHECK_INTERVAL_MS =
+  (Number(process.env.MONGO_CHECK_SECONDS) || 10) * 1000;
+const SERVER_SELECTION_TIMEOUT_MS =
+  Number(process.env.MONGO_SERVER_SELECTION_TIMEOUT_MS) || 10000;
+
+export const client = new MongoClient(process.env.MONGO_URI, {
+  monitorCommands: true,
+  serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT_MS,
+});
+export const db = client.db(dbName);
+
+// Whether MongoDB answered the last check: null until the first one
+let available = null;
+const availabilityListeners = [];
+// Resolvers of waitForDatabase calls
+let waiting = [];
+let checking = false;
+
+// Writes that could not reach MongoDB, run in the order they were made once
+// it answers again. A write made under the key of a waiting one replaces it,
+// so progress updates repeated on every reading are kept only once.
+const MAX_DEFERRED_WRITES = 10000;
+const deferredWrites = new Map();
+let deferredCount = 0;
+let flushing = false;
+
+gauge(
+  "mongodb_deferred_writes",
+  "Writes waiting for MongoDB to be reachable again",
+  () => [{ value: deferredWrites.size }],
+);
+
+export function isDatabaseAvailable() {
+  return available === true;
+}
+
+// `listener(available)` is called whenever MongoDB becomes reachable or
+// unreachable
+export function onDatabaseAvailabilityChange(listener) {
+  availabilityListeners.push(listener);
+}
+
+// Errors meaning MongoDB could not be reached, as opposed to errors of the
+// operation itself
+export function isConnectionError(error) {
+  return (
+    error instanceof MongoNetworkError ||
+    error instanceof MongoServerSelectionError ||
+    error instanceof MongoNotConnectedError ||
+    error instanceof MongoTopologyClosedError
+  );
+}
+
+function setAvailable(value, error = null) {
+  if (available === value) return;
+  available = value;
+  if (value) console.log("✅ Connected to MongoDB");
+  else console.error("❌ MongoDB is unreachable:", error?.message);
+  availabilityListeners.forEach((listener) => listener(value));
+  if (value) {
+    waiting.forEach((resolve) => resolve());
+    waiting = [];
+    flushDeferredWrites();
+  }
+}
+
+// Marks MongoDB unreachable right away when an operation fails to reach it,
+// instead of waiting for the next check
+export function reportDatabaseError(error) {
+  if (isConnectionError(error)) setAvailable(false, error);
+}
+
+// Runs `write` now, or keeps it until MongoDB is reachable again when it
+// cannot be reached. Meant for the state the per-reading checks keep in
+// MongoDB, so that they go on working through outages. Resolves with the
+// write's result, or undefined when the write was deferred.
+export async function writeWhenAvailable(write, key = null) {
+  if (isDatabaseAvailable() && deferredWrites.size === 0) {
+    try {
+      return await write();
+    } catch (error) {
+      if (!isConnectionError(error)) throw error;
+      reportDatabaseError(error);
+    }
+  }
+
+  const entryKey = key ?? `#${deferredCount++}`;
+  deferredWrites.delete(entryKey);
+  deferredWrites.set(entryKey, write);
+  if (deferredWrites.size > MAX_DEFERRED_WRITES) {
+    const [oldest] = deferredWrites.keys();
+    deferredWrites.delete(oldest);
+    console.warn("⚠️ Too many deferred MongoDB writes, dropped the oldest");
+  }
+  return undefined;
+}
+
+// Runs the deferred writes oldest first, including those deferred meanwhile.
+// Stops when MongoDB becomes unreachable again; the rest wait for the next
+// time it answers.
+async function flushDeferredWrites() {
+  if (flushing || deferredWrites.size === 0) return;
+  flushing = true;
+  let written = 0;
+  try {
+    for (const [key, write] of deferredWrites) {
+      try {
+        await write();
+        written++;
+      } catch (error) {
+        if (isConnectionError(error)) {
+          reportDatabaseError(error);
+          break;
+        }
+        console.error("❌ Deferred MongoDB write failed:", error.message);
+      }
+      deferredWrites.delete(key);
+    }
+  } finally {
+    flushing = false;
+  }
+  if (written > 0) console.log(`✅ Ran ${written} deferred MongoDB writes`);
+}
+
+// A failed connect, such as the first one during an outage, leaves the
+// client's topology closed, and every later operation fails on it without
+// trying the server again. A fresh connect() opens a new topology.
+async function ping() {
+  try {
+    await db.command({ ping: 1 });
+  } catch (error) {
+    if (
+      !(error instanceof MongoTopologyClosedError) &&
+      !(error instanceof MongoNotConnectedError)
+    ) {
+      throw error;
+    }
+    await client.connect();
+    await db.command({ ping: 1 });
+  }
+}
+
+async function checkDatabase() {
+  if (checking) return;
+  checking = true;
+  try {
+    await ping();
+    setAvailable(true);
+    flushDeferredWrites();
+  } catch (error) {
+    setAvailable(false, error);
+  } finally {
+    checking = false;
+  }
+}
+
+// Resolves once MongoDB is reachable
+export function waitForDatabase() {
+  if (isDatabaseAvailable()) return Promise.resolve();
+  return new Promise((resolve) => waiting.push(resolve));
+}
+
+// Starts checking MongoDB every MONGO_CHECK_SECONDS, connecting again
+// whenever the client has given up on the server. Resolves once the database
+// is reachable, which may be much later than startup. The checks alone do
+// not keep the process running.
+export function connectDatabase() {
+  checkDatabase();
+  setInterval(checkDatabase, CHECK_INTERVAL_MS).unref();
+  return waitForDatabase();
+}
+
+// Latency of every write, measured from the driver's command events
+const WRITE_COMMANDS = new Set(["insert", "update", "delete", "findAndModify"]);
+const writeDuration = histogram(
+  "mongodb_write_duration_seconds",
+  "MongoDB write command latency by collection, command and result",
+);
+const pendingWrites = new Map();
+
+client.on("commandStarted", (event) => {
+  if (!WRITE_COMMANDS.has(event.commandName)) return;
+  pendingWrites.set(event.requestId, event.command[event.commandName]);
+});
+
+function recordWrite(event, result) {
+  if (!pendingWrites.has(event.requestId)) return;
+  const collection = pendingWrites.get(event.requestId);
+  pendingWrites.delete(event.requestId);
+  writeDuration.observe(
+    { collection, command: event.commandName, result },
+    event.duration / 1000,
+  );
+}
+
+client.on("commandSucceeded", (event) => recordWrite(event, "success"));
+client.on("commandFailed", (event) => recordWrite(event, "failure"));
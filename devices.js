@@ -0,0 +1,404 @@
+import express from "express";
+import { requireRole } from "./auth.js";
+import { db, isConnectionError, isDatabaseAvailable } from "./db.js";
+import { removeMqttDevice } from "./mqtt.js";
+import { tariffExists } from "./tariffs.js";
+import { SUPPORTED_VERSIONS } from "./tuya-local.js";
+
+const devices = db.collection("devices");
+const deviceData = db.collection("device_data");
+
+// Registry documents use the Tuya device id as _id
+function toDevice(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id, ...rest };
+}
+
+// Registry as last read from MongoDB. While the database is unreachable,
+// polling and device I/O use it, or only TUYA_DEVICE_ID over the cloud when
+// the server started without the database.
+let cachedDevices = null;
+
+function getCachedDevices() {
+  if (cachedDevices) return cachedDevices;
+  const id = process.env.TUYA_DEVICE_ID;
+  return id
+    ? [
+        {
+          id,
+          name: "Default device",
+          enabled: true,
+          tariffId: null,
+          transport: "cloud",
+          local: null,
+        },
+      ]
+    : [];
+}
+
+// Runs a registry read, falling back to the cached registry when MongoDB
+// cannot be reached
+async function readRegistry(read, fallback) {
+  if (!isDatabaseAvailable()) return fallback(getCachedDevices());
+  try {
+    return await read();
+  } catch (error) {
+    if (!isConnectionError(error)) throw error;
+    return fallback(getCachedDevices());
+  }
+}
+
+export async function listDevices({ enabledOnly = false } = {}) {
+  const list = await readRegistry(
+    async () => {
+      const docs = await devices.find({}).sort({ createdAt: 1 }).toArray();
+      cachedDevices = docs.map(toDevice);
+      return cachedDevices;
+    },
+    (cached) => cached,
+  );
+  return enabledOnly ? list.filter((device) => device.enabled) : list;
+}
+
+export async function getDevice(id) {
+  return readRegistry(
+    async () => toDevice(await devices.findOne({ _id: id })),
+    (cached) => cached.find((device) => device.id === id) ?? null,
+  );
+}
+
+// Device used by the legacy single-device routes (/switch, /switch-status, ...)
+export async function getDefaultDevice() {
+  if (process.env.TUYA_DEVICE_ID) {
+    const device = await getDevice(process.env.TUYA_DEVICE_ID);
+    if (device) return device;
+  }
+  return readRegistry(
+    async () => {
+      const [first] = await devices
+        .find({})
+        .sort({ createdAt: 1 })
+        .limit(1)
+        .toArray();
+      return toDevice(first);
+    },
+    ([first]) => first ?? null,
+  );
+}
+
+// Seed the registry from TUYA_DEVICE_ID and stamp readings stored before
+// device_data documents carried a deviceId
+export async function initDeviceRegistry() {
+  await deviceData.createIndex({ deviceId: 1, timestamp: -1 });
+
+  const legacyId = process.env.TUYA_DEVICE_ID;
+  if (!legacyId) return;
+
+  const now = new Date();
+  await devices.updateOne(
+    { _id: legacyId },
+    {
+      $setOnInsert: {
+        name: "Default device",
+        enabled: true,
+        createdAt: now,
+        updatedAt: now,
+      },
+    },
+    { upsert: true },
+  );
+
+  const { modifiedCount } = await deviceData.updateMany(
+    { deviceId: { $exists: false } },
+    { $set: { deviceId: legacyId } },
+  );
+  if (modifiedCount > 0) {
+    console.log(`Stamped deviceId on ${modifiedCount} legacy readings`);
+  }
+}
+
+const TRANSPORTS = ["cloud", "local"];
+
+// The local key is a device secret; keep it out of API responses
+function toPublicDevice(device) {
+  if (!device?.local) return device;
+  const { localKey, ...local } = device.local;
+  return { ...device, local };
+}
+
+function validateLocalConfig(local) {
+  if (!local || typeof local !== "object") {
+    return { error: "Invalid local parameter. Must be an object" };
+  }
+  const {
+    ip,
+    localKey,
+    version = "3.3",
+    port = 6668,
+    dpMap,
+    fallbackToCloud = true,
+  } = local;
+
+  if (typeof ip !== "string" || ip.trim() === "") {
+    return { error: "local.ip must be the device LAN address" };
+  }
+  if (typeof localKey !== "string" || localKey.length !== 16) {
+    return { error: "local.localKey must be the 16 character device key" };
+  }
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return {
+      error: `local.version must be one of: ${SUPPORTED_VERSIONS.join(", ")}`,
+    };
+  }
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    return { error: "local.port must be a TCP port number" };
+  }
+  if (
+    dpMap !== undefined &&
+    (typeof dpMap !== "object" ||
+      !Object.values(dpMap).every((code) => typeof code === "string"))
+  ) {
+    return { error: "local.dpMap must map DP ids to DP codes" };
+  }
+  if (typeof fallbackToCloud !== "boolean") {
+    return { error: "local.fallbackToCloud must be true or false" };
+  }
+
+  const config = { ip: ip.trim(), localKey, version, port, fallbackToCloud };
+  if (dpMap !== undefined) config.dpMap = dpMap;
+  return { config };
+}
+
+// Validates a new device, or a partial update when `existing` is given
+function validateDeviceInput(body, existing = null) {
+  const update = {};
+
+  if (!existing) {
+    if (typeof body.id !== "string" || body.id.trim() === "") {
+      return { error: "Invalid id parameter. Must be the Tuya device id" };
+    }
+  }
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || body.name.trim() === "") {
+      return { error: "Invalid name parameter. Must be a non-empty string" };
+    }
+    update.name = body.name.trim();
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== "boolean") {
+      return { error: "Invalid enabled parameter. Must be true or false" };
+    }
+    update.enabled = body.enabled;
+  }
+
+  if (body.tariffId !== undefined) {
+    if (body.tariffId !== null && typeof body.tariffId !== "string") {
+      return {
+        error: "Invalid tariffId parameter. Must be a tariff id or null",
+      };
+    }
+    update.tariffId = body.tariffId;
+  }
+
+  if (body.billingCycleDay !== undefined) {
+    const day = body.billingCycleDay;
+    if (day !== null && !(Number.isInteger(day) && day >= 1 && day <= 31)) {
+      return {
+        error:
+          "Invalid billingCycleDay parameter. Must be a day of the month (1-31) or null",
+      };
+    }
+    update.billingCycleDay = day;
+  }
+
+  if (body.transport !== undefined) {
+    if (!TRANSPORTS.includes(body.transport)) {
+      return {
+        error: `Invalid transport parameter. Must be one of: ${TRANSPORTS.join(", ")}`,
+      };
+    }
+    update.transport = body.transport;
+  }
+
+  if (body.local !== undefined) {
+    if (body.local === null) {
+      update.local = null;
+    } else {
+      const { config, error } = validateLocalConfig(body.local);
+      if (error) return { error };
+      update.local = config;
+    }
+  }
+
+  const transport = update.transport ?? existing?.transport;
+  const local = update.local !== undefined ? update.local : existing?.local;
+  if (transport === "local" && !local) {
+    return { error: "The local transport needs a local configuration" };
+  }
+
+  return { update };
+}
+
+// Rejects tariff ids that don't point at a stored tariff
+async function checkTariff(update) {
+  if (update.tariffId && !(await tariffExists(update.tariffId))) {
+    return `Tariff ${update.tariffId} not found`;
+  }
+  return null;
+}
+
+// Resolves :id to a registered device and exposes it as req.device
+export async function loadDevice(req, res, next) {
+  const device = await getDevice(req.params.id);
+  if (!device) {
+    return res.status(404).json({
+      success: false,
+      error: `Device ${req.params.id} is not registered`,
+    });
+  }
+  req.device = device;
+  next();
+}
+
+// Same as loadDevice, for the legacy routes that act on the default device
+export async function loadDefaultDevice(req, res, next) {
+  const device = await getDefaultDevice();
+  if (!device) {
+    return res.status(404).json({
+      success: false,
+      error: "No devices registered",
+    });
+  }
+  req.device = device;
+  next();
+}
+
+export const devicesRouter = express.Router();
+
+devicesRouter.get("/devices", requireRole("viewer"), async (req, res) => {
+  try {
+    const list = await listDevices();
+    res.json({ success: true, data: list.map(toPublicDevice) });
+  } catch (error) {
+    console.error("Error listing devices:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list devices",
+      details: error.message,
+    });
+  }
+});
+
+devicesRouter.post("/devices", requireRole("admin"), async (req, res) => {
+  try {
+    const { update, error } = validateDeviceInput(req.body ?? {});
+    if (error) return res.status(400).json({ success: false, error });
+    const tariffError = await checkTariff(update);
+    if (tariffError) {
+      return res.status(400).json({ success: false, error: tariffError });
+    }
+
+    const id = req.body.id.trim();
+    const now = new Date();
+    const doc = {
+      _id: id,
+      name: update.name ?? id,
+      enabled: update.enabled ?? true,
+      tariffId: update.tariffId ?? null,
+      billingCycleDay: update.billingCycleDay ?? null,
+      transport: update.transport ?? "cloud",
+      local: update.local ?? null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    try {
+      await devices.insertOne(doc);
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: `Device ${id} is already registered`,
+        });
+      }
+      throw err;
+    }
+
+    console.log(`📟 Registered device ${id}`);
+    res
+      .status(201)
+      .json({ success: true, data: toPublicDevice(toDevice(doc)) });
+  } catch (error) {
+    console.error("Error registering device:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to register device",
+      details: error.message,
+    });
+  }
+});
+
+devicesRouter.get(
+  "/devices/:id",
+  requireRole("viewer"),
+  loadDevice,
+  (req, res) => {
+    res.json({ success: true, data: toPublicDevice(req.device) });
+  },
+);
+
+devicesRouter.patch(
+  "/devices/:id",
+  requireRole("admin"),
+  loadDevice,
+  async (req, res) => {
+    try {
+      const { update, error } = validateDeviceInput(req.body ?? {}, req.device);
+      if (error) return res.status(400).json({ success: false, error });
+      const tariffError = await checkTariff(update);
+      if (tariffError) {
+        return res.status(400).json({ success: false, error: tariffError });
+      }
+
+      const doc = await devices.findOneAndUpdate(
+        { _id: req.device.id },
+        { $set: { ...update, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      );
+
+      res.json({ success: true, data: toPublicDevice(toDevice(doc)) });
+    } catch (error) {
+      console.error("Error updating device:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update device",
+        details: error.message,
+      });
+    }
+  },
+);
+
+// Removes the device from the registry; its stored readings are kept
+devicesRouter.delete(
+  "/devices/:id",
+  requireRole("admin"),
+  loadDevice,
+  async (req, res) => {
+    try {
+      await devices.deleteOne({ _id: req.device.id });
+      removeMqttDevice(req.device.id);
+      console.log(`📟 Removed device ${req.device.id}`);
+      res.json({ success: true, data: toPublicDevice(req.device) });
+    } catch (error) {
+      console.error("Error removing device:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to remove device",
+        details: error.message,
+      });
+    }
+  },
+);
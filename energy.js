@@ -0,0 +1,76 @@
+import { db } from "./db.js";
+import { getMetric } from "./readings.js";
+import { getZonedParts } from "./timezone.js";
+
+const quarterRollups = db.collection("rollups_quarter_hourly");
+
+// Intervals longer than this are treated as missing data rather than
+// integrated across (server downtime, device offline, ...)
+const MAX_INTEGRATION_GAP_MS = 5 * 60 * 1000;
+
+export function toEnergySample(doc) {
+  return {
+    time: doc.timestamp.getTime(),
+    power: getMetric(doc, "power"), // W
+    metered: doc.meteredEnergy ?? null, // kWh
+  };
+}
+
+// Energy in kWh consumed between two consecutive samples. Readings rebuilt
+// from the device's report log carry the add_ele reports since the previous
+// one as `meteredEnergy`, which is used as is. Polled readings only show the
+// last report, repeated until the next one, so a repeat cannot be told from
+// a new report; for them power is integrated with the trapezoidal rule.
+export function computeIntervalEnergy(prev, curr) {
+  const elapsed = curr.time - prev.time;
+  if (elapsed <= 0 || elapsed > MAX_INTEGRATION_GAP_MS) return 0;
+  if (typeof curr.metered === "number") return curr.metered;
+  if (prev.power === null || curr.power === null) return 0;
+  const hours = elapsed / (60 * 60 * 1000);
+  return (((prev.power + curr.power) / 2) * hours) / 1000;
+}
+
+// Energy per local hour between `from` and `to`, oldest first:
+// [{ date: "YYYY-MM-DD", hour, energy }]. Read from the quarter-hour
+// rollups, which fall inside a single local hour in every timezone.
+export async function getHourlyEnergy(deviceId, from, to, timezone) {
+  const docs = await quarterRollups
+    .find(
+      { deviceId, bucket: { $gte: from, $lte: to }, energy: { $gt: 0 } },
+      { projection: { bucket: 1, energy: 1 } },
+    )
+    .sort({ bucket: 1 })
+    .toArray();
+
+  const buckets = new Map();
+  for (const doc of docs) {
+    const { date, hour } = getZonedParts(doc.bucket, timezone);
+    const key = `${date}T${hour}`;
+    const bucket = buckets.get(key) ?? { date, hour, energy: 0 };
+    bucket.energy += doc.energy;
+    buckets.set(key, bucket);
+  }
+
+  return [...buckets.values()];
+}
+
+// Number of local hours with at least one reading per local date between
+// `from` and `to`: Map { "YYYY-MM-DD" => hours }
+export async function getCoveredHours(deviceId, from, to, timezone) {
+  const docs = await quarterRollups
+    .find(
+      { deviceId, bucket: { $gte: from, $lte: to } },
+      { projection: { bucket: 1 } },
+    )
+    .toArray();
+
+  // Local hours are told apart by their start instant, so that the hour a
+  // DST fall-back repeats counts twice, like in the length of the day
+  const hours = new Map();
+  for (const { bucket } of docs) {
+    const { date, minute } = getZonedParts(bucket, timezone);
+    const hourStart = bucket.getTime() - minute * 60 * 1000;
+    hours.set(date, (hours.get(date) ?? new Set()).add(hourStart));
+  }
+  return new Map([...hours].map(([date, seen]) => [date, seen.size]));
+}
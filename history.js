@@ -0,0 +1,280 @@
+import express from "express";
+import { once } from "events";
+import { ObjectId } from "mongodb";
+import { requireRole } from "./auth.js";
+import { db } from "./db.js";
+import { loadDefaultDevice, loadDevice } from "./devices.js";
+import { getMetric, METRIC_UNITS } from "./readings.js";
+import { metricStats, ROLLUPS } from "./rollups.js";
+
+const deviceData = db.collection("device_data");
+
+const RESOLUTIONS = {
+  raw: null,
+  "1m": "minute",
+  "1h": "hour",
+  "1d": "day",
+};
+const METRICS = ["power", "voltage", "current", "energy"];
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+
+function encodeCursor(doc) {
+  return Buffer.from(
+    JSON.stringify({ t: doc.time.getTime(), id: doc.id?.toString() }),
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Number.isFinite(t)) return null;
+    return { time: new Date(t), id: id ? new ObjectId(id) : null };
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const QUERY_PARAMS = [
+  "resolution",
+  "from",
+  "to",
+  "metrics",
+  "limit",
+  "cursor",
+  "format",
+];
+
+// Returns { query } with the parsed history parameters, or { error }
+function parseHistoryQuery(query) {
+  // Repeated parameters (?metrics=a&metrics=b) arrive as arrays
+  const repeated = QUERY_PARAMS.find(
+    (name) => query[name] !== undefined && typeof query[name] !== "string",
+  );
+  if (repeated) {
+    return { error: `Invalid ${repeated} parameter. Must be given once` };
+  }
+
+  const resolution = query.resolution ?? "raw";
+  if (!(resolution in RESOLUTIONS)) {
+    return {
+      error: `Invalid resolution parameter. Must be one of: ${Object.keys(RESOLUTIONS).join(", ")}`,
+    };
+  }
+
+  const to = parseDate(query.to) ?? new Date();
+  const from =
+    parseDate(query.from) ?? new Date(to.getTime() - DEFAULT_RANGE_MS);
+  if (query.from !== undefined && parseDate(query.from) === null) {
+    return { error: "Invalid from parameter. Must be an ISO date" };
+  }
+  if (query.to !== undefined && parseDate(query.to) === null) {
+    return { error: "Invalid to parameter. Must be an ISO date" };
+  }
+  if (from >= to) {
+    return { error: "from must be earlier than to" };
+  }
+
+  const available =
+    resolution === "raw" ? METRICS.filter((m) => m !== "energy") : METRICS;
+  const metrics = query.metrics ? query.metrics.split(",") : available;
+  const unknown = metrics.filter((m) => !available.includes(m));
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown metrics for ${resolution} resolution: ${unknown.join(", ")}. Available: ${available.join(", ")}`,
+    };
+  }
+
+  const limit = query.limit ? Number.parseInt(query.limit, 10) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return {
+      error: `Invalid limit parameter. Must be between 1 and ${MAX_LIMIT}`,
+    };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "Invalid cursor parameter" };
+  }
+
+  const format = query.format ?? "json";
+  if (!["json", "csv", "ndjson"].includes(format)) {
+    return { error: "Invalid format parameter. Must be json, csv or ndjson" };
+  }
+
+  return { query: { resolution, from, to, metrics, limit, cursor, format } };
+}
+
+// Mongo cursor over the requested window, oldest first, mapped to rows of
+// { time, id, values } where values holds one entry per metric
+function openHistoryCursor(deviceId, { resolution, from, to, cursor }) {
+  const rollup = RESOLUTIONS[resolution];
+
+  if (!rollup) {
+    const filter = { deviceId, timestamp: { $gte: from, $lte: to } };
+    if (cursor) {
+      filter.$or = [
+        { timestamp: { $gt: cursor.time } },
+        { timestamp: cursor.time, _id: { $gt: cursor.id } },
+      ];
+    }
+    return deviceData
+      .find(filter, {
+        projection: { timestamp: 1, status: 1, normalized: 1, backfilled: 1 },
+      })
+      .sort({ timestamp: 1, _id: 1 })
+      .map((doc) => ({
+        time: doc.timestamp,
+        id: doc._id,
+        backfilled: doc.backfilled === true,
+        values: {
+          power: getMetric(doc, "power"),
+          voltage: getMetric(doc, "voltage"),
+          current: getMetric(doc, "current"),
+        },
+      }));
+  }
+
+  const filter = {
+    deviceId,
+    bucket: { $gte: from, $lte: to, ...(cursor && { $gt: cursor.time }) },
+  };
+  return ROLLUPS[rollup].collection
+    .find(filter)
+    .sort({ bucket: 1 })
+    .map((doc) => {
+      const values = { energy: doc.energy };
+      for (const metric of ["power", "voltage", "current"]) {
+        values[metric] = metricStats(metric, doc[metric], doc.count);
+      }
+      return { time: doc.bucket, count: doc.count, values };
+    });
+}
+
+function toItem(row, metrics) {
+  const item = { time: row.time.toISOString() };
+  if (row.count !== undefined) item.count = row.count;
+  // Raw readings recovered from Tuya's device log rather than polled
+  if (row.backfilled) item.backfilled = true;
+  for (const metric of metrics) item[metric] = row.values[metric];
+  return item;
+}
+
+function csvColumns(resolution, metrics) {
+  if (resolution === "raw") return ["time", ...metrics];
+  return [
+    "time",
+    "count",
+    ...metrics.flatMap((m) =>
+      m === "energy"
+        ? [m]
+        : [`${m}_avg`, `${m}_min`, `${m}_max`, `${m}_p95`, `${m}_stddev`],
+    ),
+  ];
+}
+
+function csvRow(item, columns) {
+  return columns
+    .map((column) => {
+      const [metric, stat] = column.split("_");
+      const value = stat ? item[metric]?.[stat] : item[column];
+      return value ?? "";
+    })
+    .join(",");
+}
+
+// Streams the whole window; pagination only applies to JSON responses
+async function streamHistory(req, res, deviceId, query) {
+  const { resolution, metrics, format } = query;
+  const filename = `history-${deviceId}-${resolution}.${format}`;
+  res.setHeader(
+    "Content-Type",
+    format === "csv" ? "text/csv" : "application/x-ndjson",
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  const columns = csvColumns(resolution, metrics);
+  const write = async (line) => {
+    if (!res.write(`${line}\n`)) await once(res, "drain");
+  };
+
+  if (format === "csv") await write(columns.join(","));
+  for await (const row of openHistoryCursor(deviceId, query)) {
+    if (res.destroyed) break;
+    const item = toItem(row, metrics);
+    await write(
+      format === "csv" ? csvRow(item, columns) : JSON.stringify(item),
+    );
+  }
+  res.end();
+}
+
+async function handleHistory(req, res) {
+  const deviceId = req.device.id;
+  const { query, error } = parseHistoryQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    if (query.format !== "json") {
+      return await streamHistory(req, res, deviceId, query);
+    }
+
+    const rows = await openHistoryCursor(deviceId, query)
+      .limit(query.limit + 1)
+      .toArray();
+    const hasMore = rows.length > query.limit;
+    const page = rows.slice(0, query.limit);
+
+    res.json({
+      success: true,
+      data: {
+        deviceId,
+        resolution: query.resolution,
+        from: query.from.toISOString(),
+        to: query.to.toISOString(),
+        metrics: query.metrics,
+        units: { ...METRIC_UNITS, energy: "kWh" },
+        items: page.map((row) => toItem(row, query.metrics)),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching history:", error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch history",
+      details: error.message,
+    });
+  }
+}
+
+// /history?deviceId= targets one device, the default device otherwise
+function loadHistoryDevice(req, res, next) {
+  if (!req.query.deviceId) return loadDefaultDevice(req, res, next);
+  req.params.id = req.query.deviceId;
+  return loadDevice(req, res, next);
+}
+
+export const historyRouter = express.Router();
+
+historyRouter.get(
+  "/history",
+  requireRole("viewer"),
+  loadHistoryDevice,
+  handleHistory,
+);
+historyRouter.get(
+  "/devices/:id/history",
+  requireRole("viewer"),
+  loadDevice,
+  handleHistory,
+);
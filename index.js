@@ -1,8 +1,81 @@
 import express from "express";
-import { MongoClient } from "mongodb";
 import dotenv from "dotenv";
-import { fetchDeviceStatus, controlDeviceSwitch } from "./tuya.js";
-import { WebSocketServer } from "ws";
+import {
+  controlDeviceSwitch,
+  fetchDeviceStatus,
+  getCircuitState,
+  onCircuitStateChange,
+} from "./transport.js";
+import {
+  connectDatabase,
+  db,
+  isConnectionError,
+  isDatabaseAvailable,
+  waitForDatabase,
+} from "./db.js";
+import { getBufferStatus, initReadingBuffer, storeReading } from "./buffer.js";
+import { authRouter, initAuth, requireRole } from "./auth.js";
+import { auditRouter, initAudit } from "./audit.js";
+import {
+  connectivityRouter,
+  initConnectivity,
+  recordPollResult,
+} from "./connectivity.js";
+import {
+  devicesRouter,
+  initDeviceRegistry,
+  listDevices,
+  loadDefaultDevice,
+  loadDevice,
+} from "./devices.js";
+import {
+  calculateCosts,
+  getTariffForDevice,
+  tariffsRouter,
+} from "./tariffs.js";
+import { getHourlyEnergy } from "./energy.js";
+import { getDeviceScales, METRIC_UNITS, normalizeStatus } from "./readings.js";
+import {
+  aggregateRollups,
+  applyReadingToRollups,
+  initRollups,
+} from "./rollups.js";
+import { backfillRouter, startBackfill } from "./backfill.js";
+import { historyRouter } from "./history.js";
+import {
+  checkVoltageEvents,
+  initPowerQuality,
+  powerQualityRouter,
+} from "./powerquality.js";
+import { publishMqttReading, startMqttBridge } from "./mqtt.js";
+import { initSessions, sessionsRouter, trackUsageSession } from "./sessions.js";
+import { billingRouter, startBudgetChecks } from "./billing.js";
+import {
+  anomaliesRouter,
+  checkReadingAnomaly,
+  startAnomalyDetection,
+} from "./anomalies.js";
+import { specsRouter } from "./specs.js";
+import { SIMULATOR_ENABLED, simulatorRouter } from "./tuya-simulator.js";
+import { schedulesRouter, startScheduler } from "./schedules.js";
+import {
+  attachWebSocketServer,
+  publishEvent,
+  publishReading,
+} from "./realtime.js";
+import { evaluateRules, initRules, rulesRouter } from "./rules.js";
+import { registerDefaultChannels } from "./notifications.js";
+import {
+  ALERT_THRESHOLDS,
+  alertKey,
+  alertsRouter,
+  checkReadingAlerts,
+  initAlerts,
+  raiseAlert,
+  resolveAlert,
+} from "./alerts.js";
+import { getPeriod, getZonedParts, loadTimezone } from "./timezone.js";
+import { counter, gauge, histogram, renderMetrics } from "./metrics.js";
 import http from "http";
 import cors from "cors";
 
@@ -12,96 +85,341 @@ const app = express();
 app.use(cors());
 app.use(express.json()); // Add this to parse JSON request bodies
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+attachWebSocketServer(server);
 const PORT = process.env.PORT || 5000;
-const client = new MongoClient(process.env.MONGO_URI);
-const dbName = "tuya";
 const collectionName = "device_data";
 
-await client.connect();
-console.log("Connected to MongoDB Atlas");
-const db = client.db(dbName);
 const collection = db.collection(collectionName);
 
-const deviceId = process.env.TUYA_DEVICE_ID;
+app.use(authRouter);
+app.use(devicesRouter);
+app.use(tariffsRouter);
+app.use(schedulesRouter);
+app.use(rulesRouter);
+app.use(alertsRouter);
+app.use(historyRouter);
+app.use(specsRouter);
+app.use(auditRouter);
+app.use(connectivityRouter);
+app.use(backfillRouter);
+app.use(powerQualityRouter);
+app.use(anomaliesRouter);
+app.use(sessionsRouter);
+app.use(billingRouter);
+// Fault injection for the virtual devices, only when they replace Tuya
+if (SIMULATOR_ENABLED) app.use(simulatorRouter);
+
+const POLL_INTERVAL_MS = 5000;
+let consecutiveFailures = 0;
+let lastSuccessfulPoll = null;
+
+const pollsTotal = counter(
+  "tuya_polls_total",
+  "Device status polls by device and result",
+);
+const pollDuration = histogram(
+  "tuya_poll_duration_seconds",
+  "Time to fetch, store and process one device status",
+);
+const readingGauges = {
+  power: gauge("tuya_device_power_watts", "Latest power reading"),
+  voltage: gauge("tuya_device_voltage_volts", "Latest voltage reading"),
+  current: gauge("tuya_device_current_amperes", "Latest current reading"),
+  energyTotal: gauge(
+    "tuya_device_energy_kwh",
+    "Energy the device metered between its last two reports",
+  ),
+};
+const switchOn = gauge("tuya_device_switch_on", "1 when the switch is on");
+const switchChanges = counter(
+  "tuya_switch_state_changes_total",
+  "Switch state changes seen between polls, by device and new state",
+);
+const lastSwitchStates = new Map();
+
+function recordReadingMetrics(deviceId, status, normalized) {
+  const labels = { device: deviceId };
+  for (const [metric, metricGauge] of Object.entries(readingGauges)) {
+    if (normalized[metric] === null) metricGauge.remove(labels);
+    else metricGauge.set(labels, normalized[metric]);
+  }
 
-function broadcast(data) {
-  const json = JSON.stringify(data);
-  wss.clients.forEach((client) => {
-    if (client.readyState === 1) client.send(json);
-  });
+  const state = status.find((s) => s.code === "switch_1")?.value;
+  if (typeof state !== "boolean") return;
+  switchOn.set(labels, state ? 1 : 0);
+  const previous = lastSwitchStates.get(deviceId);
+  if (previous !== undefined && previous !== state) {
+    switchChanges.inc({ ...labels, state: state ? "on" : "off" });
+  }
+  lastSwitchStates.set(deviceId, state);
 }
 
-let consecutiveFailures = 0;
-const maxConsecutiveFailures = 40;
-
-async function pollDeviceStatus() {
+async function pollDeviceStatus(deviceId) {
+  const status = await fetchDeviceStatus(deviceId);
+
+  // Raw data points are kept next to their values in SI units
+  const doc = {
+    deviceId,
+    timestamp: new Date(),
+    status,
+    normalized: normalizeStatus(status, await getDeviceScales(deviceId)),
+  };
+  // Readings are buffered on disk while MongoDB is unreachable, so storage
+  // failures do not count as polling failures
+  const stored = await storeReading(doc);
+  recordReadingMetrics(deviceId, status, doc.normalized);
+
+  const transformed = {
+    deviceId,
+    time: doc.timestamp.toISOString(),
+    current: doc.normalized.current,
+    voltage: doc.normalized.voltage,
+    power: doc.normalized.power,
+  };
+
+  publishReading(transformed);
+  publishMqttReading(doc);
+
+  // Buffered readings reach the rollups when they are replayed. The checks
+  // below keep their state in memory and run on every reading, deferring
+  // their writes while MongoDB is unreachable, so that rules and alerts keep
+  // working through outages.
+  if (stored === "stored") {
+    try {
+      await applyReadingToRollups(doc);
+    } catch (err) {
+      console.error(`❌ Rollup update failed for ${deviceId}:`, err.message);
+    }
+  }
   try {
-    const status = await fetchDeviceStatus(deviceId);
+    await trackUsageSession(doc);
+  } catch (err) {
+    console.error(`❌ Session tracking failed for ${deviceId}:`, err.message);
+  }
 
-    // On success: reset failure counter
-    consecutiveFailures = 0;
+  const reading = {
+    deviceId,
+    timestamp: doc.timestamp,
+    status,
+    current: transformed.current,
+    voltage: transformed.voltage,
+    power: transformed.power,
+  };
 
-    const doc = {
-      timestamp: new Date(),
-      status,
-    };
-    await collection.insertOne(doc);
+  // Rule and alert failures must not count as polling failures
+  try {
+    await evaluateRules(reading);
+  } catch (err) {
+    console.error(`❌ Rule evaluation failed for ${deviceId}:`, err.message);
+  }
+  try {
+    await checkReadingAlerts(reading);
+  } catch (err) {
+    console.error(`❌ Alert check failed for ${deviceId}:`, err.message);
+  }
+  try {
+    await checkVoltageEvents(reading);
+  } catch (err) {
+    console.error(
+      `❌ Voltage event check failed for ${deviceId}:`,
+      err.message,
+    );
+  }
+  try {
+    await checkReadingAnomaly(reading);
+  } catch (err) {
+    console.error(`❌ Anomaly check failed for ${deviceId}:`, err.message);
+  }
+}
 
-    const transformed = {
-      time: doc.timestamp.toISOString(),
-      current: getValue(status, "cur_current"),
-      voltage: getValue(status, "cur_voltage"),
-      power: getValue(status, "cur_power"),
-    };
+// A round can outlast POLL_INTERVAL_MS while Tuya requests time out and are
+// retried; rounds never overlap, the next one starts at the first tick after
+let pollRunning = false;
 
-    broadcast(transformed);
-    console.log(`✅ Polling successful at ${new Date().toISOString()}`);
+async function pollAllDevices() {
+  if (pollRunning) return;
+  pollRunning = true;
+  try {
+    await pollRound();
+  } finally {
+    pollRunning = false;
+  }
+}
+
+async function pollRound() {
+  let devices;
+  try {
+    devices = await listDevices({ enabledOnly: true });
   } catch (err) {
-    consecutiveFailures++;
-    console.error(`❌ Polling failed (${consecutiveFailures}):`, err.message);
+    devices = null;
+    console.error("❌ Failed to load device registry:", err.message);
+  }
 
-    // If too many failures — trigger restart
-    if (consecutiveFailures >= maxConsecutiveFailures) {
-      console.error(
-        `🚨 CRITICAL: ${consecutiveFailures} failures. Restarting server in 10 seconds...`,
+  let succeeded = 0;
+  if (devices) {
+    const results = await Promise.allSettled(
+      devices.map(async (device) => {
+        const done = pollDuration.startTimer({ device: device.id });
+        try {
+          await pollDeviceStatus(device.id);
+        } finally {
+          done();
+        }
+      }),
+    );
+    for (const [i, result] of results.entries()) {
+      const failed = result.status === "rejected";
+      // Requests held back by the open circuit say nothing about the device
+      if (result.reason?.code === "CIRCUIT_OPEN") {
+        pollsTotal.inc({ device: devices[i].id, result: "skipped" });
+        continue;
+      }
+      pollsTotal.inc({
+        device: devices[i].id,
+        result: failed ? "failure" : "success",
+      });
+      if (failed) {
+        console.error(
+          `❌ Polling failed for ${devices[i].id}:`,
+          result.reason?.message,
+        );
+      } else {
+        succeeded++;
+      }
+      await recordPollResult(devices[i].id, !failed).catch((err) =>
+        console.error("❌ Failed to update connectivity:", err.message),
       );
+    }
+    if (devices.length === 0) return;
+  }
 
-      broadcast({
-        error: "Server restarting due to persistent API failures",
-        timestamp: new Date().toISOString(),
-      });
+  if (succeeded > 0) {
+    // On success: reset failure counter
+    consecutiveFailures = 0;
+    lastSuccessfulPoll = new Date();
+    await resolveAlert(alertKey("polling_failure")).catch((err) =>
+      console.error("❌ Failed to resolve polling alert:", err.message),
+    );
+    console.log(
+      `✅ Polling successful for ${succeeded}/${devices.length} devices at ${new Date().toISOString()}`,
+    );
+    return;
+  }
+
+  consecutiveFailures++;
+  console.error(`❌ Polling failed (${consecutiveFailures})`);
+
+  if (consecutiveFailures === ALERT_THRESHOLDS.pollingFailures) {
+    await raiseAlert({
+      type: "polling_failure",
+      severity: "critical",
+      message: `Polling has failed for every device ${consecutiveFailures} times in a row`,
+      value: consecutiveFailures,
+    }).catch((err) =>
+      console.error("❌ Failed to raise polling alert:", err.message),
+    );
+  }
+}
 
-      setTimeout(() => {
-        console.error("🔄 RESTARTING SERVER");
-        process.exit(1); // Exit with error code (handled by pm2/systemd)
-      }, 10000); // 10 seconds delay before restart
+// Surface the Tuya circuit breaker to alerts and WebSocket clients
+onCircuitStateChange((circuit) => {
+  publishEvent("circuit", { circuit });
+  const key = alertKey("tuya_circuit_open");
+  if (circuit.state === "open") {
+    raiseAlert({
+      type: "tuya_circuit_open",
+      severity: "critical",
+      message: `Tuya API requests are paused after repeated failures: ${circuit.lastError}`,
+      value: circuit.failures,
+    }).catch((err) =>
+      console.error("❌ Failed to raise circuit alert:", err.message),
+    );
+  } else if (circuit.state === "closed") {
+    resolveAlert(key).catch((err) =>
+      console.error("❌ Failed to resolve circuit alert:", err.message),
+    );
+  }
+});
+
+// Polling, streaming, alert channels and the MQTT bridge start right away,
+// even when MongoDB is unreachable; everything that needs the database
+// starts once it answers
+await initReadingBuffer();
+registerDefaultChannels();
+setInterval(pollAllDevices, POLL_INTERVAL_MS);
+startMqttBridge();
+
+const DATABASE_STARTUP = [
+  initAuth,
+  initDeviceRegistry,
+  initRollups,
+  initRules,
+  initAlerts,
+  initAudit,
+  initConnectivity,
+  initPowerQuality,
+  initSessions,
+  startScheduler,
+  startBackfill,
+  startAnomalyDetection,
+  startBudgetChecks,
+];
+
+// A step interrupted by another outage is retried once MongoDB is back;
+// any other failure is fatal, as it was before degraded startup
+async function startDatabaseFeatures() {
+  await connectDatabase();
+  for (const step of DATABASE_STARTUP) {
+    for (;;) {
+      try {
+        await step();
+        break;
+      } catch (err) {
+        if (!isConnectionError(err)) throw err;
+        console.error(`❌ ${step.name} interrupted:`, err.message);
+        await waitForDatabase();
+      }
     }
   }
+  console.log("✅ Database features started");
 }
 
-// Start fixed-interval polling
-setInterval(pollDeviceStatus, 5000);
-
-app.get("/data", async (req, res) => {
-  // const result = await collection
-  //   .find({})
-  //   .sort({ timestamp: -1 })
-  //   .limit(60)
-  //   .toArray();
-  //
-  // res.json(
-  //   result.map((entry) => ({
-  //     time: entry.timestamp.toLocaleTimeString(),
-  //     ...Object.fromEntries(entry.status.map((s) => [s.code, s.value])),
-  //   })),
-  // );
-  res.json("msg :hello");
+startDatabaseFeatures().catch((err) => {
+  console.error("❌ Startup failed:", err);
+  process.exit(1);
+});
+
+// Latest readings of the default device; see /history for arbitrary ranges
+app.get("/data", requireRole("viewer"), loadDefaultDevice, async (req, res) => {
+  try {
+    const result = await collection
+      .find({ deviceId: req.device.id })
+      .sort({ timestamp: -1 })
+      .limit(60)
+      .toArray();
+
+    res.json(
+      result.map((entry) => ({
+        time: entry.timestamp.toISOString(),
+        ...Object.fromEntries(entry.status.map((s) => [s.code, s.value])),
+        normalized: entry.normalized ?? normalizeStatus(entry.status),
+        backfilled: entry.backfilled === true,
+      })),
+    );
+  } catch (error) {
+    console.error("Error fetching latest data:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch latest data",
+      details: error.message,
+    });
+  }
 });
 
 // Switch control endpoint
-app.post("/switch", async (req, res) => {
+async function handleSwitch(req, res) {
   try {
+    const deviceId = req.device.id;
     const { state } = req.body; // state should be true for on, false for off
 
     if (typeof state !== "boolean") {
@@ -111,9 +429,11 @@ app.post("/switch", async (req, res) => {
       });
     }
 
-    const result = await controlDeviceSwitch(deviceId, state);
-
-    console.log("Tuya API response:", JSON.stringify(result, null, 2));
+    const result = await controlDeviceSwitch(deviceId, state, {
+      source: "api",
+      actor: req.auth,
+      ip: req.ip,
+    });
 
     if (result && result.success !== false) {
       res.json({
@@ -136,11 +456,20 @@ app.post("/switch", async (req, res) => {
       details: error.message,
     });
   }
-});
+}
+
+app.post("/switch", requireRole("operator"), loadDefaultDevice, handleSwitch);
+app.post(
+  "/devices/:id/switch",
+  requireRole("operator"),
+  loadDevice,
+  handleSwitch,
+);
 
 // Get current switch status endpoint
-app.get("/switch-status", async (req, res) => {
+async function handleSwitchStatus(req, res) {
   try {
+    const deviceId = req.device.id;
     const status = await fetchDeviceStatus(deviceId);
 
     if (!status || !Array.isArray(status)) {
@@ -163,6 +492,7 @@ app.get("/switch-status", async (req, res) => {
     res.json({
       success: true,
       data: {
+        deviceId,
         switch: switchStatus.value, // true for on, false for off
         timestamp: new Date().toISOString(),
         lastUpdated: new Date().toISOString(),
@@ -176,90 +506,52 @@ app.get("/switch-status", async (req, res) => {
       details: error.message,
     });
   }
-});
-
-async function getTodayDataFromDB(timezone = "Asia/Dhaka") {
-  console.log("--- Running Optimized MongoDB Aggregation for Today's Data ---");
-  console.log(`Using timezone: ${timezone}`);
-
-  const todayStart = getTodayStartInTimezone(timezone);
-  const todayEnd = getTodayEndInTimezone(timezone);
+}
 
-  console.log(`Today start (${timezone}): ${todayStart.toISOString()}`);
-  console.log(`Today end (${timezone}): ${todayEnd.toISOString()}`);
+app.get(
+  "/switch-status",
+  requireRole("viewer"),
+  loadDefaultDevice,
+  handleSwitchStatus,
+);
+app.get(
+  "/devices/:id/switch-status",
+  requireRole("viewer"),
+  loadDevice,
+  handleSwitchStatus,
+);
+
+async function getTodayDataFromDB(deviceId, timezone, today) {
+  console.log("--- Reading Rollups for Today's Data ---");
   console.log(
-    `Query range: ${todayStart.toISOString()} to ${todayEnd.toISOString()}`,
+    `Today (${timezone}): ${today.start.toISOString()} to ${today.end.toISOString()}`,
   );
 
-  const pipeline = [
-    {
-      $match: {
-        timestamp: { $gte: todayStart, $lte: todayEnd },
-      },
-    },
-    {
-      $unwind: "$status",
-    },
-    {
-      $group: {
-        _id: {
-          hour: {
-            $hour: {
-              date: "$timestamp",
-              timezone: "Asia/Dhaka",
-            },
-          },
-          code: "$status.code",
-        },
-        value: { $avg: "$status.value" },
-      },
-    },
-    {
-      $group: {
-        _id: "$_id.hour",
-        power: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_power"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-        current: {
-          $avg: {
-            $cond: [{ $eq: ["$_id.code", "cur_current"] }, "$value", null],
-          },
-        },
-        voltage: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_voltage"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-      },
-    },
-    {
-      $sort: { _id: 1 },
-    },
-  ];
-
-  const result = await collection.aggregate(pipeline).toArray();
+  // Minute rollups regrouped into local hours
+  const result = await aggregateRollups(
+    "minute",
+    deviceId,
+    today.start,
+    new Date(today.end.getTime() - 1),
+    { $hour: { date: "$bucket", timezone } },
+  );
 
   // Debug: Log the actual hours found
   const hoursFound = result.map((h) => h._id).sort((a, b) => a - b);
   console.log(`Hours with data: ${hoursFound.join(", ")}`);
 
-  // Create the 24-hour structure
+  // Create the 24-hour structure. DST days have 23 or 25 hours; the repeated
+  // hour is merged into one entry and the skipped one stays empty.
   const todayData = createEmptyTodayData();
   result.forEach((hourData) => {
     const hour = hourData._id;
-    if (hourData.power !== null) todayData[hour].power = hourData.power;
-    if (hourData.current !== null) todayData[hour].current = hourData.current;
-    if (hourData.voltage !== null) todayData[hour].voltage = hourData.voltage;
+    todayData[hour].power = hourData.power.avg ?? 0;
+    todayData[hour].current = hourData.current.avg ?? 0;
+    todayData[hour].voltage = hourData.voltage.avg ?? 0;
+    todayData[hour].stats = pickStats(hourData);
+    todayData[hour].samples = hourData.count;
+    todayData[hour].backfilled = hourData.backfilled;
+    todayData[hour].hasData = true;
   });
 
   console.log(
@@ -268,279 +560,195 @@ async function getTodayDataFromDB(timezone = "Asia/Dhaka") {
   return todayData;
 }
 
-async function getWeekDataFromDB(timezone = "Asia/Dhaka") {
-  console.log("--- Running Optimized MongoDB Aggregation for Week Data ---");
-  console.log(`Using timezone: ${timezone}`);
-
-  const sevenDaysAgo = new Date();
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 6);
-  let localSevenDaysAgo;
-  if (timezone === "Asia/Dhaka") {
-    localSevenDaysAgo = new Date(sevenDaysAgo.getTime() + 6 * 60 * 60 * 1000);
-    localSevenDaysAgo.setUTCHours(0, 0, 0, 0);
-  } else {
-    localSevenDaysAgo = new Date(sevenDaysAgo);
-    localSevenDaysAgo.setHours(0, 0, 0, 0);
-  }
-
-  const pipeline = [
-    {
-      $match: {
-        timestamp: { $gte: localSevenDaysAgo },
-      },
-    },
-    {
-      $unwind: "$status",
-    },
-    {
-      $group: {
-        _id: {
-          date: {
-            $dateToString: {
-              format: "%Y-%m-%d",
-              date: "$timestamp",
-              timezone: timezone,
-            },
-          },
-          code: "$status.code",
-        },
-        value: { $avg: "$status.value" },
-      },
-    },
-    {
-      $group: {
-        _id: "$_id.date",
-        power: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_power"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-        current: {
-          $avg: {
-            $cond: [{ $eq: ["$_id.code", "cur_current"] }, "$value", null],
-          },
-        },
-        voltage: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_voltage"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-      },
-    },
-    {
-      $sort: { _id: 1 },
-    },
-  ];
-
-  const result = await collection.aggregate(pipeline).toArray();
-
-  // Create the 7-day structure
-  const week = createEmptyWeekData(timezone);
-  result.forEach((dayData) => {
-    const dayIndex = week.findIndex((d) => d.date === dayData._id);
-    if (dayIndex !== -1) {
-      if (dayData.power !== null) week[dayIndex].power = dayData.power;
-      if (dayData.current !== null) week[dayIndex].current = dayData.current;
-      if (dayData.voltage !== null) week[dayIndex].voltage = dayData.voltage;
-    }
-  });
-
+// Daily averages per local date ("YYYY-MM-DD") covering all `periods`
+async function getDailyDataFromDB(deviceId, timezone, periods) {
+  console.log("--- Reading Rollups for Daily Data ---");
+  const start = new Date(Math.min(...periods.map((p) => p.start.getTime())));
+  const end = new Date(Math.max(...periods.map((p) => p.end.getTime())));
   console.log(
-    `Week aggregation finished. Found data for ${result.length} days.`,
+    `Days (${timezone}): ${start.toISOString()} to ${end.toISOString()}`,
   );
-  return week;
-}
-
-async function getMonthlyDataFromDB(timezone = "Asia/Dhaka") {
-  console.log("--- Running Optimized MongoDB Aggregation for Monthly Data ---");
-  console.log(`Using timezone: ${timezone}`);
-
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  let localThirtyDaysAgo;
-  if (timezone === "Asia/Dhaka") {
-    localThirtyDaysAgo = new Date(thirtyDaysAgo.getTime() + 6 * 60 * 60 * 1000);
-  } else {
-    localThirtyDaysAgo = new Date(thirtyDaysAgo);
-  }
 
-  const pipeline = [
-    {
-      $match: {
-        timestamp: { $gte: localThirtyDaysAgo },
-      },
-    },
-    {
-      $unwind: "$status",
-    },
-    {
-      $group: {
-        _id: {
-          date: {
-            $dateToString: {
-              format: "%Y-%m-%d",
-              date: "$timestamp",
-              timezone: timezone,
-            },
-          },
-          code: "$status.code",
-        },
-        value: { $avg: "$status.value" },
-      },
-    },
-    {
-      $group: {
-        _id: "$_id.date",
-        power: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_power"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-        current: {
-          $avg: {
-            $cond: [{ $eq: ["$_id.code", "cur_current"] }, "$value", null],
-          },
-        },
-        voltage: {
-          $avg: {
-            $cond: [
-              { $eq: ["$_id.code", "cur_voltage"] },
-              { $divide: ["$value", 10] },
-              null,
-            ],
-          },
-        },
-      },
-    },
-    {
-      $sort: { _id: 1 },
-    },
-  ];
-
-  const result = await collection.aggregate(pipeline).toArray();
-
-  // Create the 30-day structure
-  const month = createEmptyMonthData(timezone);
-  result.forEach((dayData) => {
-    const dayIndex = month.findIndex((d) => d.date === dayData._id);
-    if (dayIndex !== -1) {
-      if (dayData.power !== null) month[dayIndex].power = dayData.power;
-      if (dayData.current !== null) month[dayIndex].current = dayData.current;
-      if (dayData.voltage !== null) month[dayIndex].voltage = dayData.voltage;
-    }
-  });
+  // Quarter-hour rollups regrouped into local days
+  const result = await aggregateRollups(
+    "quarter",
+    deviceId,
+    start,
+    new Date(end.getTime() - 1),
+    { $dateToString: { format: "%Y-%m-%d", date: "$bucket", timezone } },
+  );
 
   console.log(
-    `Month aggregation finished. Found data for ${result.length} days.`,
+    `Daily aggregation finished. Found data for ${result.length} days.`,
   );
-  return month;
+  return new Map(result.map((day) => [day._id, day]));
 }
 
-// Simple helper functions
-function getValue(statusArray, code) {
-  if (!statusArray || !Array.isArray(statusArray)) return 0;
-  const item = statusArray.find((s) => s.code === code);
-  if (!item) return 0;
-  if (code === "cur_voltage") return item.value / 10;
-  if (code === "cur_power") return item.value / 10;
-  if (code === "cur_current") return item.value;
-  return item.value;
-}
-
-function getLocalDateString(date, timezone = "Asia/Dhaka") {
-  if (timezone === "Asia/Dhaka") {
-    const dhakaTime = new Date(date.getTime() + 6 * 60 * 60 * 1000);
-    return dhakaTime.toISOString().split("T")[0]; // YYYY-MM-DD format
-  }
-  return date.toLocaleDateString("en-CA");
+// Spread of each metric within a chart entry: { power: { min, max, stddev },
+// voltage, current }
+function pickStats(rollup) {
+  return Object.fromEntries(
+    ["power", "voltage", "current"].map((metric) => {
+      const { min, max, stddev } = rollup[metric];
+      return [metric, { min, max, stddev }];
+    }),
+  );
 }
 
 function createEmptyTodayData() {
   const today = [];
   for (let hour = 0; hour < 24; hour++) {
-    today.push({ hour, power: 0, current: 0, voltage: 0 });
-  }
-  return today;
-}
-
-function createEmptyWeekData(timezone = "Asia/Dhaka") {
-  const week = [];
-  const today = new Date();
-  console.log(
-    "Creating week data for today:",
-    getLocalDateString(today, timezone),
-  );
-
-  for (let i = 6; i >= 0; i--) {
-    const date = new Date(today);
-    date.setDate(date.getDate() - i);
-    const dateString = getLocalDateString(date, timezone);
-    console.log(`Week day ${i}: ${dateString}`);
-    week.push({
-      date: dateString,
+    // hasData tells hours without readings apart from hours at zero power
+    today.push({
+      hour,
       power: 0,
       current: 0,
       voltage: 0,
+      stats: null,
+      samples: 0,
+      backfilled: 0,
+      hasData: false,
     });
   }
-  return week;
+  return today;
 }
 
-function createEmptyMonthData(timezone = "Asia/Dhaka") {
-  const month = [];
-  const today = new Date();
-  console.log(
-    "Creating month data for today:",
-    getLocalDateString(today, timezone),
+// One entry per date of `period`, filled from the daily averages
+function createDailySeries(period, dailyData) {
+  return period.dates.map((date) => {
+    const day = dailyData.get(date);
+    return {
+      date,
+      power: day?.power.avg ?? 0,
+      current: day?.current.avg ?? 0,
+      voltage: day?.voltage.avg ?? 0,
+      stats: day ? pickStats(day) : null,
+      samples: day?.count ?? 0,
+      backfilled: day?.backfilled ?? 0,
+      hasData: day !== undefined,
+    };
+  });
+}
+
+// Adds energy (kWh) and cost to every chart entry whose key has hourly energy
+// and returns the totals for the period
+function addEnergyToSeries(series, hourlyEnergy, tariff, getKey) {
+  const entries = new Map(
+    series.map((entry) => {
+      entry.energy = 0;
+      entry.cost = tariff ? 0 : null;
+      return [getKey(entry), entry];
+    }),
   );
 
-  for (let i = 29; i >= 0; i--) {
-    const date = new Date(today);
-    date.setDate(date.getDate() - i);
-    const dateString = getLocalDateString(date, timezone);
-    if (i % 5 === 0) console.log(`Month day ${i}: ${dateString}`);
-    month.push({
-      date: dateString,
-      power: 0,
-      current: 0,
-      voltage: 0,
-    });
-  }
-  return month;
+  const inPeriod = hourlyEnergy.filter((e) => entries.has(getKey(e)));
+  const costs = calculateCosts(inPeriod, tariff);
+  const totals = { energy: 0, cost: tariff ? 0 : null };
+
+  inPeriod.forEach((e, i) => {
+    const entry = entries.get(getKey(e));
+    entry.energy += e.energy;
+    totals.energy += e.energy;
+    if (tariff) {
+      entry.cost += costs[i];
+      totals.cost += costs[i];
+    }
+  });
+
+  return totals;
 }
 
-app.get("/main-chart/data", async (req, res) => {
+async function handleChartData(req, res) {
   try {
     console.log("=== OPTIMIZED CHART DATA REQUEST ===");
 
-    const timezone = getUserTimezone(req);
+    const deviceId = req.device.id;
+    console.log(`Request device: ${deviceId}`);
+
+    const { timezone } = req;
     console.log(`Request timezone: ${timezone}`);
 
+    // Rolling windows end today; calendar periods cover this ISO week and
+    // this calendar month
+    const now = new Date();
+    const periods = {
+      today: getPeriod("today", timezone, now),
+      week: getPeriod("last7days", timezone, now),
+      month: getPeriod("last30days", timezone, now),
+      calendarWeek: getPeriod("isoWeek", timezone, now),
+      calendarMonth: getPeriod("calendarMonth", timezone, now),
+    };
+    const earliest = Math.min(
+      ...Object.values(periods).map((p) => p.start.getTime()),
+    );
+
     // Run all aggregations in parallel for maximum efficiency
-    const [todayData, weekData, monthData] = await Promise.all([
-      getTodayDataFromDB(timezone),
-      getWeekDataFromDB(timezone),
-      getMonthlyDataFromDB(timezone),
+    const [todayData, dailyData, tariff, hourlyEnergy] = await Promise.all([
+      getTodayDataFromDB(deviceId, timezone, periods.today),
+      getDailyDataFromDB(deviceId, timezone, Object.values(periods)),
+      getTariffForDevice(req.device),
+      // Energy and cost per local hour, covering every period
+      getHourlyEnergy(deviceId, new Date(earliest), now, timezone),
     ]);
 
+    const weekData = createDailySeries(periods.week, dailyData);
+    const monthData = createDailySeries(periods.month, dailyData);
+    const calendarWeekData = createDailySeries(periods.calendarWeek, dailyData);
+    const calendarMonthData = createDailySeries(
+      periods.calendarMonth,
+      dailyData,
+    );
+    const todayDate = periods.today.dates[0];
+    const byDate = (e) => e.date;
+
+    const energy = {
+      unit: "kWh",
+      tariff: tariff && {
+        id: tariff.id,
+        name: tariff.name,
+        type: tariff.type,
+        currency: tariff.currency,
+      },
+      today: addEnergyToSeries(
+        todayData,
+        hourlyEnergy.filter((e) => e.date === todayDate),
+        tariff,
+        (entry) => entry.hour,
+      ),
+      week: addEnergyToSeries(weekData, hourlyEnergy, tariff, byDate),
+      month: addEnergyToSeries(monthData, hourlyEnergy, tariff, byDate),
+      calendarWeek: addEnergyToSeries(
+        calendarWeekData,
+        hourlyEnergy,
+        tariff,
+        byDate,
+      ),
+      calendarMonth: addEnergyToSeries(
+        calendarMonthData,
+        hourlyEnergy,
+        tariff,
+        byDate,
+      ),
+    };
+
     res.json({
       success: true,
       data: {
+        deviceId,
+        timezone,
+        units: METRIC_UNITS,
+        periods: Object.fromEntries(
+          Object.entries(periods).map(([name, { label, start, end }]) => [
+            name,
+            { label, start: start.toISOString(), end: end.toISOString() },
+          ]),
+        ),
         today: todayData,
         week: weekData,
         month: monthData,
+        calendarWeek: calendarWeekData,
+        calendarMonth: calendarMonthData,
+        energy,
       },
     });
   } catch (error) {
@@ -551,15 +759,35 @@ app.get("/main-chart/data", async (req, res) => {
       details: error.message,
     });
   }
-});
+}
+
+app.get(
+  "/main-chart/data",
+  requireRole("viewer"),
+  loadDefaultDevice,
+  loadTimezone,
+  handleChartData,
+);
+app.get(
+  "/devices/:id/main-chart/data",
+  requireRole("viewer"),
+  loadDevice,
+  loadTimezone,
+  handleChartData,
+);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
   const uptime = process.uptime();
   const memoryUsage = process.memoryUsage();
 
+  const circuit = getCircuitState();
+
   res.json({
-    status: "healthy",
+    status:
+      circuit.state === "closed" && isDatabaseAvailable()
+        ? "healthy"
+        : "degraded",
     uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${Math.floor(uptime % 60)}s`,
     memory: {
       rss: `${Math.round(memoryUsage.rss / 1024 / 1024)}MB`,
@@ -568,34 +796,44 @@ app.get("/health", (req, res) => {
     },
     polling: {
       consecutiveFailures,
-      lastSuccessfulPoll: new Date(lastSuccessfulPoll).toISOString(),
-      pollingInterval,
+      lastSuccessfulPoll: lastSuccessfulPoll?.toISOString() ?? null,
+      pollingInterval: POLL_INTERVAL_MS,
+    },
+    tuya: { circuit, simulated: SIMULATOR_ENABLED },
+    database: {
+      available: isDatabaseAvailable(),
+      readingBuffer: getBufferStatus(),
     },
     timestamp: new Date().toISOString(),
   });
 });
 
+// Prometheus scrape endpoint; scrapers authenticate with an API key
+app.get("/metrics", requireRole("viewer"), (req, res) => {
+  res.type("text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+});
+
 // Timezone test endpoint
-app.get("/timezone-test", (req, res) => {
-  const timezone = getUserTimezone(req);
+app.get("/timezone-test", requireRole("viewer"), loadTimezone, (req, res) => {
+  const { timezone } = req;
   const now = new Date();
+  const today = getPeriod("today", timezone, now);
 
   res.json({
     serverTime: now.toISOString(),
     serverTimezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
     requestedTimezone: timezone,
-    localTime: getDateInTimezone(now, timezone).toISOString(),
-    todayStart: getTodayStartInTimezone(timezone).toISOString(),
-    todayEnd: getTodayEndInTimezone(timezone).toISOString(),
+    localTime: getZonedParts(now, timezone),
+    todayStart: today.start.toISOString(),
+    todayEnd: today.end.toISOString(),
   });
 });
 
 // Database debug endpoint
-app.get("/debug-data", async (req, res) => {
+app.get("/debug-data", requireRole("admin"), loadTimezone, async (req, res) => {
   try {
-    const timezone = getUserTimezone(req);
-    const todayStart = getTodayStartInTimezone(timezone);
-    const todayEnd = getTodayEndInTimezone(timezone);
+    const { timezone } = req;
+    const { start: todayStart, end: todayEnd } = getPeriod("today", timezone);
 
     // Get latest 10 records
     const latestRecords = await collection
@@ -606,7 +844,7 @@ app.get("/debug-data", async (req, res) => {
 
     // Get today's record count
     const todayCount = await collection.countDocuments({
-      timestamp: { $gte: todayStart, $lte: todayEnd },
+      timestamp: { $gte: todayStart, $lt: todayEnd },
     });
 
     // Get total record count
@@ -619,6 +857,7 @@ app.get("/debug-data", async (req, res) => {
       todayRecordCount: todayCount,
       totalRecordCount: totalCount,
       latestRecords: latestRecords.map((r) => ({
+        deviceId: r.deviceId,
         timestamp: r.timestamp.toISOString(),
         status: r.status,
       })),
@@ -629,7 +868,7 @@ app.get("/debug-data", async (req, res) => {
 });
 
 // Manual restart endpoint (for emergencies)
-app.post("/restart", (req, res) => {
+app.post("/restart", requireRole("admin"), (req, res) => {
   console.log("🔄 Manual restart requested");
   res.json({
     message: "Server restarting in 5 seconds...",
@@ -642,54 +881,15 @@ app.post("/restart", (req, res) => {
   }, 5000);
 });
 
-// Timezone handling
-function getUserTimezone(req) {
-  // Try to get timezone from request headers or query params, default to GMT+6
-  const timezone =
-    req.query.timezone || req.headers["x-timezone"] || "Asia/Dhaka";
-  return timezone;
-}
-
-function getTodayStartInTimezone(timezone) {
-  const now = new Date();
-  // For Asia/Dhaka (GMT+6), we need to find the UTC time that corresponds to 00:00:00 Dhaka time
-  if (timezone === "Asia/Dhaka") {
-    // Get current date in Dhaka timezone
-    const dhakaDate = new Date(now.getTime() + 6 * 60 * 60 * 1000);
-    // Set to start of day in Dhaka timezone (00:00:00)
-    dhakaDate.setUTCHours(0, 0, 0, 0);
-    // Convert back to UTC (subtract 6 hours)
-    const utcStart = new Date(dhakaDate.getTime() - 6 * 60 * 60 * 1000);
-    return utcStart;
-  }
-  // Default UTC behavior
-  const localDate = new Date(now);
-  localDate.setHours(0, 0, 0, 0);
-  return localDate;
-}
-
-function getTodayEndInTimezone(timezone) {
-  const now = new Date();
-  // For Asia/Dhaka (GMT+6), we need to find the UTC time that corresponds to 23:59:59 Dhaka time
-  if (timezone === "Asia/Dhaka") {
-    // Get current date in Dhaka timezone
-    const dhakaDate = new Date(now.getTime() + 6 * 60 * 60 * 1000);
-    // Set to end of day in Dhaka timezone (23:59:59)
-    dhakaDate.setUTCHours(23, 59, 59, 999);
-    // Convert back to UTC (subtract 6 hours)
-    const utcEnd = new Date(dhakaDate.getTime() - 6 * 60 * 60 * 1000);
-    return utcEnd;
-  }
-  // Default UTC behavior
-  const localDate = new Date(now);
-  localDate.setHours(23, 59, 59, 999);
-  return localDate;
-}
-
 server.listen(PORT, () => {
   console.log(`🚀 Server running (HTTP + WebSocket) on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🌍 Timezone test: http://localhost:${PORT}/timezone-test`);
   console.log(`🐛 Debug data: http://localhost:${PORT}/debug-data`);
   console.log(`🔄 Manual restart: POST http://localhost:${PORT}/restart`);
+  if (SIMULATOR_ENABLED) {
+    console.log(
+      `🧪 Tuya simulator: virtual devices answer cloud calls, faults at http://localhost:${PORT}/simulator`,
+    );
+  }
 });
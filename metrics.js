@@ -0,0 +1,154 @@
+// Minimal Prometheus registry rendered in the text exposition format. Each
+// module defines the metrics it updates; GET /metrics renders them all.
+const registry = new Map();
+
+// Seconds
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  const pairs = entries.map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`,
+  );
+  return `{${pairs.join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function register(name, help, type, samples) {
+  if (registry.has(name)) throw new Error(`Metric ${name} already exists`);
+  registry.set(name, { help, type, samples });
+}
+
+export function counter(name, help) {
+  const series = new Map();
+  register(name, help, "counter", () =>
+    [...series.values()].map(({ labels, value }) => ({ name, labels, value })),
+  );
+  return {
+    inc(labels = {}, value = 1) {
+      const key = formatLabels(labels);
+      const entry = series.get(key) ?? { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+  };
+}
+
+// `collect` returns [{ labels?, value }] at scrape time, for values owned by
+// another module (client counts, circuit state, ...)
+export function gauge(name, help, collect = null) {
+  const series = new Map();
+  register(name, help, "gauge", () =>
+    (collect ? collect() : [...series.values()]).map(
+      ({ labels = {}, value }) => ({ name, labels, value }),
+    ),
+  );
+  return {
+    set(labels, value) {
+      series.set(formatLabels(labels), { labels, value });
+    },
+    remove(labels) {
+      series.delete(formatLabels(labels));
+    },
+  };
+}
+
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  register(name, help, "histogram", () =>
+    [...series.values()].flatMap(({ labels, counts, sum, count }) => {
+      let cumulative = 0;
+      return [
+        ...buckets.map((le, i) => {
+          cumulative += counts[i];
+          return {
+            name: `${name}_bucket`,
+            labels: { ...labels, le },
+            value: cumulative,
+          };
+        }),
+        {
+          name: `${name}_bucket`,
+          labels: { ...labels, le: "+Inf" },
+          value: count,
+        },
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count },
+      ];
+    }),
+  );
+
+  const observe = (labels, value) => {
+    const key = formatLabels(labels);
+    const entry = series.get(key) ?? {
+      labels,
+      counts: buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+    const bucket = buckets.findIndex((le) => value <= le);
+    if (bucket !== -1) entry.counts[bucket]++;
+    entry.sum += value;
+    entry.count++;
+    series.set(key, entry);
+  };
+
+  return {
+    observe,
+    // Returns a function recording the seconds elapsed until it is called
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) =>
+        observe(
+          { ...labels, ...extraLabels },
+          Number(process.hrtime.bigint() - start) / 1e9,
+        );
+    },
+  };
+}
+
+gauge("process_resident_memory_bytes", "Resident memory size in bytes", () => [
+  { value: process.memoryUsage().rss },
+]);
+gauge("nodejs_heap_size_used_bytes", "Process heap used in bytes", () => [
+  { value: process.memoryUsage().heapUsed },
+]);
+gauge("process_uptime_seconds", "Seconds since the process started", () => [
+  { value: Math.round(process.uptime()) },
+]);
+
+export function renderMetrics() {
+  const lines = [];
+  for (const [name, { help, type, samples }] of registry) {
+    let rendered;
+    try {
+      rendered = samples();
+    } catch (error) {
+      console.error(`Error collecting metric ${name}:`, error.message);
+      continue;
+    }
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const sample of rendered) {
+      if (sample.value === null || sample.value === undefined) continue;
+      lines.push(
+        `${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`,
+      );
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,316 @@
+import mqtt from "mqtt";
+import dotenv from "dotenv";
+import { getBufferStatus } from "./buffer.js";
+import { isDatabaseAvailable } from "./db.js";
+import { getDevice } from "./devices.js";
+import { computeIntervalEnergy, toEnergySample } from "./energy.js";
+import { ROLLUPS } from "./rollups.js";
+import { controlDeviceSwitch } from "./transport.js";
+
+dotenv.config();
+
+// Optional bridge to an MQTT broker, enabled by MQTT_URL
+// (e.g. mqtt://localhost:1883). Topics under MQTT_BASE_TOPIC:
+//   <base>/status                   bridge availability, "online" / "offline"
+//                                   (the broker publishes "offline" as LWT)
+//   <base>/<deviceId>/availability  device availability
+//   <base>/<deviceId>/state         latest reading as JSON, retained
+//   <base>/<deviceId>/switch/set    commands: "ON" / "OFF"
+// Home Assistant discovery configs are published under
+// MQTT_DISCOVERY_PREFIX and re-sent whenever Home Assistant comes online.
+const {
+  MQTT_URL,
+  MQTT_USERNAME,
+  MQTT_PASSWORD,
+  MQTT_BASE_TOPIC = "tuya",
+  MQTT_DISCOVERY_PREFIX = "homeassistant",
+  MQTT_CLIENT_ID = `tuya-dashboard-${process.pid}`,
+} = process.env;
+
+const BRIDGE_TOPIC = `${MQTT_BASE_TOPIC}/status`;
+const COMMAND_TOPIC = `${MQTT_BASE_TOPIC}/+/switch/set`;
+const HA_STATUS_TOPIC = `${MQTT_DISCOVERY_PREFIX}/status`;
+
+const SENSORS = [
+  { metric: "power", name: "Power", deviceClass: "power", unit: "W" },
+  { metric: "voltage", name: "Voltage", deviceClass: "voltage", unit: "V" },
+  { metric: "current", name: "Current", deviceClass: "current", unit: "A" },
+  {
+    metric: "energyTotal",
+    name: "Energy",
+    deviceClass: "energy",
+    unit: "kWh",
+    stateClass: "total_increasing",
+  },
+];
+
+let client = null;
+
+// Devices whose discovery configs were sent on the current connection, and
+// those being sent
+const announced = new Set();
+const announcing = new Set();
+// Latest availability per device, "online" or "offline"
+const availability = new Map();
+// Running energy total per device: { sample, seed, sinceSeed, seeding }.
+// add_ele only holds the energy of the plug's last report, so Home
+// Assistant's total_increasing sensor gets the energy in the daily rollups
+// (`seed`, read once) plus that integrated from the readings seen since, so
+// that it carries on across restarts. It is null until the seed is read.
+const energyTotals = new Map();
+
+function deviceTopic(deviceId, suffix) {
+  return `${MQTT_BASE_TOPIC}/${deviceId}/${suffix}`;
+}
+
+// Home Assistant object ids only allow [a-zA-Z0-9_-]
+function nodeId(deviceId) {
+  return `tuya_${deviceId.replace(/[^a-zA-Z0-9_-]/g, "_")}`;
+}
+
+// Resolves with whether the broker took the message (for QoS 1, once it
+// acknowledged it)
+function publish(topic, payload, options = {}) {
+  if (!client?.connected) return Promise.resolve(false);
+  const message =
+    typeof payload === "string" ? payload : JSON.stringify(payload);
+  return new Promise((resolve) => {
+    client.publish(topic, message, options, (error) => {
+      if (error) {
+        console.error(`❌ MQTT publish to ${topic} failed:`, error.message);
+      }
+      resolve(!error);
+    });
+  });
+}
+
+function discoveryConfigs(device) {
+  const node = nodeId(device.id);
+  const stateTopic = deviceTopic(device.id, "state");
+  const common = {
+    state_topic: stateTopic,
+    availability: [
+      { topic: BRIDGE_TOPIC },
+      { topic: deviceTopic(device.id, "availability") },
+    ],
+    availability_mode: "all",
+    device: {
+      identifiers: [node],
+      name: device.name ?? device.id,
+      manufacturer: "Tuya",
+    },
+  };
+
+  return [
+    {
+      topic: `${MQTT_DISCOVERY_PREFIX}/switch/${node}/switch/config`,
+      config: {
+        ...common,
+        name: "Switch",
+        unique_id: `${node}_switch`,
+        value_template: "{{ value_json.switch }}",
+        command_topic: deviceTopic(device.id, "switch/set"),
+        payload_on: "ON",
+        payload_off: "OFF",
+      },
+    },
+    ...SENSORS.map(({ metric, name, deviceClass, unit, stateClass }) => ({
+      topic: `${MQTT_DISCOVERY_PREFIX}/sensor/${node}/${metric}/config`,
+      config: {
+        ...common,
+        name,
+        unique_id: `${node}_${metric}`,
+        value_template: `{{ value_json.${metric} }}`,
+        device_class: deviceClass,
+        unit_of_measurement: unit,
+        state_class: stateClass ?? "measurement",
+      },
+    })),
+  ];
+}
+
+// Sends the discovery configs of a device, again with the next reading
+// unless the broker took all of them
+async function announceDevice(deviceId) {
+  if (announced.has(deviceId) || announcing.has(deviceId)) return;
+  announcing.add(deviceId);
+  try {
+    const device = await getDevice(deviceId);
+    if (!device) return;
+    const results = await Promise.all([
+      ...discoveryConfigs(device).map(({ topic, config }) =>
+        publish(topic, config, { retain: true, qos: 1 }),
+      ),
+      publish(
+        deviceTopic(deviceId, "availability"),
+        availability.get(deviceId) ?? "online",
+        { retain: true, qos: 1 },
+      ),
+    ]);
+    if (results.every(Boolean)) announced.add(deviceId);
+  } finally {
+    announcing.delete(deviceId);
+  }
+}
+
+// Clears the retained discovery configs so Home Assistant drops the entities
+export function removeMqttDevice(deviceId) {
+  const node = nodeId(deviceId);
+  publish(`${MQTT_DISCOVERY_PREFIX}/switch/${node}/switch/config`, "", {
+    retain: true,
+    qos: 1,
+  });
+  for (const { metric } of SENSORS) {
+    publish(`${MQTT_DISCOVERY_PREFIX}/sensor/${node}/${metric}/config`, "", {
+      retain: true,
+      qos: 1,
+    });
+  }
+  announced.delete(deviceId);
+  availability.delete(deviceId);
+  energyTotals.delete(deviceId);
+}
+
+// Reads the energy of a device in the daily rollups. What was integrated
+// before is in there too, so the running total starts over from it.
+async function seedEnergyTotal(deviceId, energy) {
+  energy.seeding = true;
+  energy.sinceSeed = 0;
+  try {
+    const [result] = await ROLLUPS.day.collection
+      .aggregate([
+        { $match: { deviceId } },
+        { $group: { _id: null, energy: { $sum: "$energy" } } },
+      ])
+      .toArray();
+    energy.seed = result?.energy ?? 0;
+  } catch (error) {
+    console.error(
+      `❌ Could not read the energy total of ${deviceId}:`,
+      error.message,
+    );
+  } finally {
+    energy.seeding = false;
+  }
+}
+
+// doc: the device_data document stored by pollDeviceStatus
+export function publishMqttReading(doc) {
+  const sample = toEnergySample(doc);
+  let energy = energyTotals.get(doc.deviceId);
+  if (!energy) {
+    energy = { sample, seed: null, sinceSeed: 0, seeding: false };
+    energyTotals.set(doc.deviceId, energy);
+  }
+  energy.sinceSeed += computeIntervalEnergy(energy.sample, sample);
+  energy.sample = sample;
+  // Buffered readings are missing from the rollups until they are replayed
+  if (
+    energy.seed === null &&
+    !energy.seeding &&
+    isDatabaseAvailable() &&
+    !getBufferStatus().buffering
+  ) {
+    seedEnergyTotal(doc.deviceId, energy);
+  }
+
+  if (!client?.connected) return;
+  const switchState = doc.status.find((s) => s.code === "switch_1")?.value;
+
+  announceDevice(doc.deviceId).catch((error) =>
+    console.error(
+      `❌ MQTT discovery for ${doc.deviceId} failed:`,
+      error.message,
+    ),
+  );
+  publish(
+    deviceTopic(doc.deviceId, "state"),
+    {
+      time: doc.timestamp.toISOString(),
+      ...doc.normalized,
+      energyTotal:
+        energy.seed === null
+          ? null
+          : Number((energy.seed + energy.sinceSeed).toFixed(5)),
+      switch:
+        typeof switchState === "boolean" ? (switchState ? "ON" : "OFF") : null,
+    },
+    { retain: true },
+  );
+}
+
+// state: a connectivity state ("online", "offline", "unreachable", ...)
+export function publishMqttAvailability(deviceId, state) {
+  const value = state === "online" ? "online" : "offline";
+  availability.set(deviceId, value);
+  publish(deviceTopic(deviceId, "availability"), value, {
+    retain: true,
+    qos: 1,
+  });
+}
+
+async function handleCommand(topic, payload) {
+  const deviceId = topic.split("/").at(-3);
+  const command = payload.toString().trim().toUpperCase();
+  if (!["ON", "OFF"].includes(command)) {
+    console.warn(`⚠️ Ignoring MQTT command "${payload}" on ${topic}`);
+    return;
+  }
+
+  const device = await getDevice(deviceId);
+  if (!device) {
+    console.warn(`⚠️ Ignoring MQTT command for unknown device ${deviceId}`);
+    return;
+  }
+
+  const state = command === "ON";
+  const result = await controlDeviceSwitch(deviceId, state, {
+    source: "mqtt",
+    actor: { type: "mqtt", id: topic, name: "MQTT" },
+    ip: null,
+  });
+  if (!result || result.success === false) {
+    console.error(
+      `❌ MQTT switch command for ${deviceId} rejected: ${result?.msg ?? "no response"}`,
+    );
+  }
+}
+
+function handleMessage(topic, payload) {
+  if (topic === HA_STATUS_TOPIC) {
+    // Home Assistant restarted: send discovery again with the next readings
+    if (payload.toString() === "online") announced.clear();
+    return;
+  }
+  handleCommand(topic, payload).catch((error) =>
+    console.error(`❌ MQTT command on ${topic} failed:`, error.message),
+  );
+}
+
+export function startMqttBridge() {
+  if (!MQTT_URL) return null;
+
+  client = mqtt.connect(MQTT_URL, {
+    clientId: MQTT_CLIENT_ID,
+    username: MQTT_USERNAME,
+    password: MQTT_PASSWORD,
+    reconnectPeriod: 5000,
+    // Readings are published every few seconds; do not queue them offline
+    queueQoSZero: false,
+    will: { topic: BRIDGE_TOPIC, payload: "offline", retain: true, qos: 1 },
+  });
+
+  client.on("connect", () => {
+    console.log(`📡 Connected to MQTT broker at ${MQTT_URL}`);
+    announced.clear();
+    publish(BRIDGE_TOPIC, "online", { retain: true, qos: 1 });
+    client.subscribe([COMMAND_TOPIC, HA_STATUS_TOPIC], { qos: 1 }, (error) => {
+      if (error) console.error("❌ MQTT subscribe failed:", error.message);
+    });
+  });
+  client.on("message", handleMessage);
+  client.on("error", (error) => console.error("❌ MQTT error:", error.message));
+  client.on("offline", () => console.warn("⚠️ MQTT broker unreachable"));
+
+  return client;
+}
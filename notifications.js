@@ -0,0 +1,115 @@
+import axios from "axios";
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+import { publishEvent } from "./realtime.js";
+
+dotenv.config();
+
+const {
+  ALERT_WEBHOOK_URL,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  ALERT_EMAIL_FROM,
+  ALERT_EMAIL_TO,
+} = process.env;
+
+// A channel is { name, send(event, alert) } where event is "raised",
+// "acknowledged" or "resolved". Channels are called in parallel and a
+// failing channel never blocks the others.
+const channels = [];
+
+export function registerChannel(channel) {
+  channels.push(channel);
+}
+
+export function getChannelNames() {
+  return channels.map((channel) => channel.name);
+}
+
+function describe(event, alert) {
+  const device = alert.deviceId ? ` on ${alert.deviceId}` : "";
+  return `[${alert.severity.toUpperCase()}] ${alert.type}${device} ${event}: ${alert.message}`;
+}
+
+export function createWebSocketChannel() {
+  return {
+    name: "websocket",
+    async send(event, alert) {
+      publishEvent("alert", { event, alert }, alert.deviceId);
+    },
+  };
+}
+
+export function createWebhookChannel(url) {
+  return {
+    name: "webhook",
+    async send(event, alert) {
+      await axios.post(
+        url,
+        { event, alert, text: describe(event, alert) },
+        { timeout: 10000 },
+      );
+    },
+  };
+}
+
+export function createEmailChannel({ transport, from, to }) {
+  const transporter = nodemailer.createTransport(transport);
+  return {
+    name: "email",
+    async send(event, alert) {
+      // Acknowledgements are only interesting to the dashboard
+      if (event === "acknowledged") return;
+      const subject = describe(event, alert);
+      await transporter.sendMail({
+        from,
+        to,
+        subject,
+        text: `${subject}\n\n${JSON.stringify(alert, null, 2)}`,
+      });
+    },
+  };
+}
+
+export async function notify(event, alert) {
+  const results = await Promise.allSettled(
+    channels.map((channel) => channel.send(event, alert)),
+  );
+  results.forEach((result, i) => {
+    if (result.status === "rejected") {
+      console.error(
+        `❌ Alert channel ${channels[i].name} failed:`,
+        result.reason?.message,
+      );
+    }
+  });
+}
+
+// Channels configured through the environment
+export function registerDefaultChannels() {
+  registerChannel(createWebSocketChannel());
+
+  if (ALERT_WEBHOOK_URL) {
+    registerChannel(createWebhookChannel(ALERT_WEBHOOK_URL));
+  }
+
+  if (SMTP_HOST && ALERT_EMAIL_TO) {
+    registerChannel(
+      createEmailChannel({
+        transport: {
+          host: SMTP_HOST,
+          port: Number(SMTP_PORT) || 587,
+          secure: SMTP_SECURE === "true",
+          auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+        },
+        from: ALERT_EMAIL_FROM || SMTP_USER,
+        to: ALERT_EMAIL_TO,
+      }),
+    );
+  }
+
+  console.log(`🔔 Alert channels: ${getChannelNames().join(", ")}`);
+}
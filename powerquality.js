@@ -0,0 +1,325 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import dotenv from "dotenv";
+import { requireRole } from "./auth.js";
+import { db, writeWhenAvailable } from "./db.js";
+import { loadDevice } from "./devices.js";
+import { publishEvent } from "./realtime.js";
+import { mergeRollups, metricStats, ROLLUPS } from "./rollups.js";
+import { getPeriod, getZonedParts, loadTimezone } from "./timezone.js";
+
+dotenv.config();
+
+const voltageEvents = db.collection("voltage_events");
+
+// Readings below sagPct or above swellPct of the nominal voltage start a sag
+// or swell episode. The defaults are the EN 50160 band of 230 V ±10%.
+export const VOLTAGE_BANDS = {
+  nominal: Number(process.env.NOMINAL_VOLTAGE) || 230,
+  sagPct: Number(process.env.VOLTAGE_SAG_PCT) || 90,
+  swellPct: Number(process.env.VOLTAGE_SWELL_PCT) || 110,
+};
+const SAG_BELOW = (VOLTAGE_BANDS.nominal * VOLTAGE_BANDS.sagPct) / 100;
+const SWELL_ABOVE = (VOLTAGE_BANDS.nominal * VOLTAGE_BANDS.swellPct) / 100;
+
+const EVENT_TYPES = ["sag", "swell"];
+const SUMMARY_PERIODS = [
+  "today",
+  "last7days",
+  "last30days",
+  "isoWeek",
+  "calendarMonth",
+];
+const METRICS = ["power", "voltage", "current"];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Episode in progress per device, as stored in voltage_events
+const episodes = new Map();
+
+function toEvent(doc) {
+  if (!doc) return null;
+  const { _id, open, ...rest } = doc;
+  return { id: _id.toString(), ...rest, ongoing: open };
+}
+
+export async function initPowerQuality() {
+  await voltageEvents.createIndex({ deviceId: 1, startedAt: -1 });
+  const open = await voltageEvents.find({ open: true }).toArray();
+  open.forEach((doc) => episodes.set(doc.deviceId, doc));
+}
+
+function classify(voltage) {
+  if (voltage < SAG_BELOW) return "sag";
+  if (voltage > SWELL_ABOVE) return "swell";
+  return null;
+}
+
+// Depth of a sag or height of a swell, in % of the nominal voltage
+function deviationPct(voltage) {
+  const { nominal } = VOLTAGE_BANDS;
+  return Number(((Math.abs(voltage - nominal) / nominal) * 100).toFixed(2));
+}
+
+async function closeEpisode(episode, endedAt) {
+  episodes.delete(episode.deviceId);
+  const update = {
+    endedAt,
+    durationSec: Math.round((endedAt - episode.startedAt) / 1000),
+    open: false,
+  };
+  await writeWhenAvailable(() =>
+    voltageEvents.updateOne({ _id: episode._id }, { $set: update }),
+  );
+  Object.assign(episode, update);
+
+  console.log(
+    `⚡ ${episode.deviceId} voltage ${episode.type} ended after ${update.durationSec}s (${episode.extremeVoltage} V)`,
+  );
+  publishEvent(
+    "voltage_event",
+    { event: "ended", voltageEvent: toEvent(episode) },
+    episode.deviceId,
+  );
+}
+
+// Follows sag and swell episodes through the polled readings
+// ({ deviceId, timestamp, voltage }). An episode lasts from its first reading
+// outside the band to the first reading back inside, so durations are
+// accurate to the polling interval.
+export async function checkVoltageEvents({ deviceId, timestamp, voltage }) {
+  // Devices without voltage metering report nothing or 0 V
+  if (typeof voltage !== "number" || voltage <= 0) return;
+
+  const type = classify(voltage);
+  const episode = episodes.get(deviceId);
+
+  if (episode && episode.type === type) {
+    const deeper =
+      type === "sag"
+        ? voltage < episode.extremeVoltage
+        : voltage > episode.extremeVoltage;
+    episode.samples++;
+    if (deeper) {
+      episode.extremeVoltage = voltage;
+      episode.deviationPct = deviationPct(voltage);
+    }
+    const progress = {
+      samples: episode.samples,
+      extremeVoltage: episode.extremeVoltage,
+      deviationPct: episode.deviationPct,
+    };
+    await writeWhenAvailable(
+      () => voltageEvents.updateOne({ _id: episode._id }, { $set: progress }),
+      `voltage_event:${episode._id}`,
+    );
+    return;
+  }
+
+  if (episode) await closeEpisode(episode, timestamp);
+  if (!type) return;
+
+  // The id is set here so that updates deferred while MongoDB is unreachable
+  // can refer to the episode before it is inserted
+  const started = {
+    _id: new ObjectId(),
+    deviceId,
+    type,
+    startedAt: timestamp,
+    endedAt: null,
+    durationSec: null,
+    extremeVoltage: voltage,
+    deviationPct: deviationPct(voltage),
+    nominalVoltage: VOLTAGE_BANDS.nominal,
+    samples: 1,
+    open: true,
+  };
+  const inserted = { ...started };
+  await writeWhenAvailable(() => voltageEvents.insertOne(inserted));
+  episodes.set(deviceId, started);
+
+  console.log(`⚡ ${deviceId} voltage ${type} started (${voltage} V)`);
+  publishEvent(
+    "voltage_event",
+    { event: "started", voltageEvent: toEvent(started) },
+    deviceId,
+  );
+}
+
+// Statistics of merged rollup buckets plus the voltage events among `events`
+function summarize(rollups, events, end) {
+  const merged = mergeRollups(rollups);
+  const summary = { samples: merged.count };
+  for (const metric of METRICS) {
+    summary[metric] = metricStats(metric, merged[metric], merged.count);
+  }
+
+  const worst = (type) => {
+    const matching = events.filter((e) => e.type === type);
+    return matching.length > 0
+      ? Math.max(...matching.map((e) => e.deviationPct))
+      : null;
+  };
+  summary.voltageEvents = {
+    sags: events.filter((e) => e.type === "sag").length,
+    swells: events.filter((e) => e.type === "swell").length,
+    worstSagPct: worst("sag"),
+    worstSwellPct: worst("swell"),
+    // Ongoing episodes count up to the end of the period or now
+    outOfBandSec: Math.round(
+      events.reduce(
+        (sum, e) =>
+          sum + (Math.min(e.endedAt ?? Date.now(), end) - e.startedAt) / 1000,
+        0,
+      ),
+    ),
+  };
+  return summary;
+}
+
+// Power-quality summary of a period and of each of its local days. Read from
+// the quarter-hour rollups, which fall inside a single local day in every
+// timezone; events are assigned to the day they started.
+export async function getPowerQualitySummary(deviceId, period, timezone) {
+  const { label, start, end, dates } = getPeriod(period, timezone);
+  const [rollups, events] = await Promise.all([
+    ROLLUPS.quarter.collection
+      .find({ deviceId, bucket: { $gte: start, $lt: end } })
+      .toArray(),
+    voltageEvents
+      .find({ deviceId, startedAt: { $gte: start, $lt: end } })
+      .sort({ startedAt: 1 })
+      .toArray(),
+  ]);
+
+  const byDate = (date, items, getTime) =>
+    items.filter(
+      (item) => getZonedParts(getTime(item), timezone).date === date,
+    );
+
+  return {
+    period: { name: period, label, start, end },
+    summary: summarize(rollups, events, end),
+    days: dates.map((date) => ({
+      date,
+      ...summarize(
+        byDate(date, rollups, (r) => r.bucket),
+        byDate(date, events, (e) => e.startedAt),
+        end,
+      ),
+    })),
+  };
+}
+
+export const powerQualityRouter = express.Router();
+
+powerQualityRouter.get(
+  "/devices/:id/power-quality",
+  requireRole("viewer"),
+  loadDevice,
+  loadTimezone,
+  async (req, res) => {
+    const { period = "last7days" } = req.query;
+    if (!SUMMARY_PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid period parameter. Must be one of: ${SUMMARY_PERIODS.join(", ")}`,
+      });
+    }
+
+    try {
+      const summary = await getPowerQualitySummary(
+        req.device.id,
+        period,
+        req.timezone,
+      );
+      res.json({
+        success: true,
+        data: {
+          deviceId: req.device.id,
+          timezone: req.timezone,
+          bands: {
+            nominalVoltage: VOLTAGE_BANDS.nominal,
+            sagBelow: SAG_BELOW,
+            swellAbove: SWELL_ABOVE,
+          },
+          ...summary,
+        },
+      });
+    } catch (error) {
+      console.error("Error summarizing power quality:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to summarize power quality",
+        details: error.message,
+      });
+    }
+  },
+);
+
+powerQualityRouter.get(
+  "/devices/:id/voltage-events",
+  requireRole("viewer"),
+  loadDevice,
+  async (req, res) => {
+    const { type, from, to, open } = req.query;
+    const filter = { deviceId: req.device.id };
+
+    if (type !== undefined) {
+      if (!EVENT_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid type parameter. Must be one of: ${EVENT_TYPES.join(", ")}`,
+        });
+      }
+      filter.type = type;
+    }
+    if (open !== undefined) {
+      if (!["true", "false"].includes(open)) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid open parameter. Must be true or false",
+        });
+      }
+      filter.open = open === "true";
+    }
+    if (from !== undefined || to !== undefined) {
+      filter.startedAt = {};
+      for (const [param, op] of [
+        [from, "$gte"],
+        [to, "$lte"],
+      ]) {
+        if (param === undefined) continue;
+        const date = new Date(param);
+        if (Number.isNaN(date.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid from/to parameters. Must be ISO dates",
+          });
+        }
+        filter.startedAt[op] = date;
+      }
+    }
+
+    try {
+      const limit = Math.min(
+        Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT,
+        MAX_LIMIT,
+      );
+      const docs = await voltageEvents
+        .find(filter)
+        .sort({ startedAt: -1 })
+        .limit(limit)
+        .toArray();
+      res.json({ success: true, data: docs.map(toEvent) });
+    } catch (error) {
+      console.error("Error listing voltage events:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to list voltage events",
+        details: error.message,
+      });
+    }
+  },
+);
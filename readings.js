@@ -0,0 +1,109 @@
+import { getDeviceSpec } from "./specs.js";
+
+// Metrics normalized from Tuya data points, in SI units (energy in kWh, the
+// unit tariffs are priced in)
+export const METRIC_CODES = {
+  power: "cur_power",
+  voltage: "cur_voltage",
+  current: "cur_current",
+  energyTotal: "add_ele",
+};
+
+export const METRIC_UNITS = {
+  power: "W",
+  voltage: "V",
+  current: "A",
+  energyTotal: "kWh",
+};
+
+// Factors from the units Tuya specifications use to ours
+const UNIT_FACTORS = {
+  W: 1,
+  kW: 1000,
+  V: 1,
+  mV: 0.001,
+  A: 1,
+  mA: 0.001,
+  kWh: 1,
+  "kW·h": 1,
+  "kw·h": 1,
+  Wh: 0.001,
+  "W·h": 0.001,
+};
+
+// What most smart plugs report, used until a device's spec is known
+export const DEFAULT_SCALES = {
+  power: { scale: 1, unit: "W" },
+  voltage: { scale: 1, unit: "V" },
+  current: { scale: 0, unit: "mA" },
+  energyTotal: { scale: 3, unit: "kW·h" },
+};
+
+const SCALES_TTL_MS = 60 * 60 * 1000;
+const SCALES_RETRY_MS = 10 * 60 * 1000;
+const scalesCache = new Map();
+
+// Scale and unit per metric from the device's status specification, falling
+// back to DEFAULT_SCALES for metrics it does not describe
+export function scalesFromSpec(spec) {
+  const scales = { ...DEFAULT_SCALES };
+  for (const [metric, code] of Object.entries(METRIC_CODES)) {
+    const dataPoint = [
+      ...(spec?.status ?? []),
+      ...(spec?.functions ?? []),
+    ].find((dp) => dp.code === code);
+    const { scale, unit } = dataPoint?.values ?? {};
+    if (Number.isInteger(scale) && UNIT_FACTORS[unit] !== undefined) {
+      scales[metric] = { scale, unit };
+    }
+  }
+  return scales;
+}
+
+// Cached scales of a device. When the spec cannot be fetched the defaults
+// are used and the spec is retried a few minutes later.
+export async function getDeviceScales(deviceId) {
+  const cached = scalesCache.get(deviceId);
+  if (cached && cached.expiresAt > Date.now()) return cached.scales;
+
+  let scales;
+  let ttl = SCALES_TTL_MS;
+  try {
+    scales = scalesFromSpec(await getDeviceSpec(deviceId));
+  } catch (error) {
+    console.warn(
+      `⚠️ No specification for ${deviceId} (${error.message}), using default scales`,
+    );
+    scales = DEFAULT_SCALES;
+    ttl = SCALES_RETRY_MS;
+  }
+  scalesCache.set(deviceId, { scales, expiresAt: Date.now() + ttl });
+  return scales;
+}
+
+// Normalized metrics of a Tuya status array: { power, voltage, current,
+// energyTotal }, null for metrics the device did not report
+export function normalizeStatus(statusArray, scales = DEFAULT_SCALES) {
+  const normalized = {};
+  for (const [metric, code] of Object.entries(METRIC_CODES)) {
+    const item = Array.isArray(statusArray)
+      ? statusArray.find((s) => s.code === code)
+      : null;
+    if (typeof item?.value !== "number") {
+      normalized[metric] = null;
+      continue;
+    }
+    const { scale, unit } = scales[metric];
+    const value = (item.value / 10 ** scale) * UNIT_FACTORS[unit];
+    // Drop floating point noise such as 0.45000000000000007
+    normalized[metric] = Number(value.toPrecision(12));
+  }
+  return normalized;
+}
+
+// A metric of a stored reading. Readings stored before normalization are
+// converted with the default scales.
+export function getMetric(doc, metric) {
+  const normalized = doc.normalized ?? normalizeStatus(doc.status);
+  return normalized[metric];
+}
@@ -0,0 +1,342 @@
+import { WebSocketServer } from "ws";
+import dotenv from "dotenv";
+import { authenticateRequest, hasRole } from "./auth.js";
+import { getDevice } from "./devices.js";
+import { gauge } from "./metrics.js";
+import { METRIC_UNITS } from "./readings.js";
+import { controlDeviceSwitch } from "./transport.js";
+
+dotenv.config();
+
+// Protocol v1: every message is an envelope { v: 1, type, id?, ts, data }.
+// Clients opt in with the "tuya.v1" subprotocol or ?protocol=1; clients that
+// do not keep receiving the legacy untyped reading objects.
+//
+// Client -> server:
+//   subscribe    { deviceIds?: [id] | "*", metrics?: [metric] | "*" }
+//   unsubscribe  { deviceIds?: [id], metrics?: [metric] }
+//   command      { deviceId, action: "switch", state }  (operator role)
+//   replay       { deviceId, limit? }
+//   ping
+// Server -> client:
+//   welcome, reading, replay, alert, notice, pong, and ack / error carrying
+//   the id of the request they answer
+export const PROTOCOL_VERSION = 1;
+const SUBPROTOCOL = "tuya.v1";
+const METRICS = ["power", "voltage", "current"];
+
+const HEARTBEAT_MS = Number(process.env.WS_HEARTBEAT_MS) || 30000;
+const REPLAY_LIMIT = Number(process.env.WS_REPLAY_LIMIT) || 20;
+
+let wss = null;
+
+// Latest readings per device, newest last, replayed to new subscribers
+const recentReadings = new Map();
+
+gauge("websocket_clients", "Connected WebSocket clients by protocol", () => {
+  const counts = { v1: 0, legacy: 0 };
+  wss?.clients.forEach((ws) => {
+    counts[ws.version === PROTOCOL_VERSION ? "v1" : "legacy"]++;
+  });
+  return Object.entries(counts).map(([protocol, value]) => ({
+    labels: { protocol },
+    value,
+  }));
+});
+
+function envelope(type, data, id) {
+  return JSON.stringify({
+    v: PROTOCOL_VERSION,
+    type,
+    ...(id !== undefined && { id }),
+    ts: new Date().toISOString(),
+    data,
+  });
+}
+
+function send(ws, type, data, id) {
+  if (ws.readyState === 1) ws.send(envelope(type, data, id));
+}
+
+function isSubscribed(ws, deviceId) {
+  const { deviceIds } = ws.subscription;
+  return deviceId === null || deviceIds === null || deviceIds.has(deviceId);
+}
+
+// Keeps only the subscribed metrics of a reading
+function filterReading(ws, reading) {
+  const { metrics } = ws.subscription;
+  if (metrics === null) return reading;
+  const filtered = { deviceId: reading.deviceId, time: reading.time };
+  for (const metric of metrics) filtered[metric] = reading[metric];
+  return filtered;
+}
+
+function sendReplay(ws, deviceId, limit = REPLAY_LIMIT) {
+  const readings = (recentReadings.get(deviceId) ?? []).slice(-limit);
+  send(ws, "replay", {
+    deviceId,
+    readings: readings.map((reading) => filterReading(ws, reading)),
+  });
+}
+
+function replaySubscribed(ws) {
+  for (const deviceId of recentReadings.keys()) {
+    if (isSubscribed(ws, deviceId)) sendReplay(ws, deviceId);
+  }
+}
+
+// Returns { value } with a Set (null meaning everything), or { error }
+function parseSelection(value, name, allowed = null) {
+  if (value === undefined || value === "*") return { value: null };
+  if (!Array.isArray(value) || value.some((v) => typeof v !== "string")) {
+    return { error: `${name} must be "*" or an array of strings` };
+  }
+  const unknown = allowed ? value.filter((v) => !allowed.includes(v)) : [];
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown ${name}: ${unknown.join(", ")}. Must be among: ${allowed.join(", ")}`,
+    };
+  }
+  return { value: new Set(value) };
+}
+
+function subscriptionSummary(ws) {
+  const { deviceIds, metrics } = ws.subscription;
+  return {
+    deviceIds: deviceIds ? [...deviceIds] : "*",
+    metrics: metrics ? [...metrics] : "*",
+  };
+}
+
+const handlers = {
+  async subscribe(ws, data = {}) {
+    const deviceIds = parseSelection(data.deviceIds, "deviceIds");
+    const metrics = parseSelection(data.metrics, "metrics", METRICS);
+    const error = deviceIds.error ?? metrics.error;
+    if (error) throw new Error(error);
+
+    // Subscriptions add up, except that "*" replaces the list
+    const current = ws.subscription;
+    const merge = (existing, added) =>
+      existing === null || added === null
+        ? added
+        : new Set([...existing, ...added]);
+    const previous = current.deviceIds;
+    ws.subscription = {
+      deviceIds:
+        data.deviceIds === undefined
+          ? previous
+          : merge(previous, deviceIds.value),
+      metrics:
+        data.metrics === undefined
+          ? current.metrics
+          : merge(current.metrics, metrics.value),
+    };
+
+    // Replay devices that were not subscribed before
+    for (const deviceId of recentReadings.keys()) {
+      const isNew = previous !== null && !previous.has(deviceId);
+      if (isNew && isSubscribed(ws, deviceId)) sendReplay(ws, deviceId);
+    }
+    return subscriptionSummary(ws);
+  },
+
+  async unsubscribe(ws, data = {}) {
+    const deviceIds = parseSelection(data.deviceIds, "deviceIds");
+    const metrics = parseSelection(data.metrics, "metrics", METRICS);
+    const error = deviceIds.error ?? metrics.error;
+    if (error) throw new Error(error);
+
+    // Unsubscribing from "*" (or from a wildcard subscription) clears it
+    const remove = (existing, removed) =>
+      existing === null || removed === null
+        ? new Set()
+        : new Set([...existing].filter((v) => !removed.has(v)));
+    const { subscription } = ws;
+    ws.subscription = {
+      deviceIds:
+        data.deviceIds === undefined
+          ? subscription.deviceIds
+          : remove(subscription.deviceIds, deviceIds.value),
+      metrics:
+        data.metrics === undefined
+          ? subscription.metrics
+          : remove(subscription.metrics, metrics.value),
+    };
+    return subscriptionSummary(ws);
+  },
+
+  async command(ws, data = {}) {
+    if (!hasRole(ws.auth, "operator")) {
+      throw new Error("Requires operator role");
+    }
+    const { deviceId, action, state } = data;
+    if (action !== "switch") {
+      throw new Error('Invalid action. Must be "switch"');
+    }
+    if (typeof state !== "boolean") {
+      throw new Error("Invalid state. Must be true (on) or false (off)");
+    }
+    if (!(await getDevice(deviceId))) {
+      throw new Error(`Device ${deviceId} is not registered`);
+    }
+
+    const result = await controlDeviceSwitch(deviceId, state, {
+      source: "websocket",
+      actor: ws.auth,
+      ip: ws.ip,
+    });
+    if (!result || result.success === false) {
+      throw new Error(result?.msg || "Tuya rejected the command");
+    }
+    return { deviceId, state, result };
+  },
+
+  async replay(ws, data = {}) {
+    const limit = Number.isInteger(data.limit) ? data.limit : REPLAY_LIMIT;
+    if (limit < 1 || limit > REPLAY_LIMIT) {
+      throw new Error(`Invalid limit. Must be between 1 and ${REPLAY_LIMIT}`);
+    }
+    sendReplay(ws, data.deviceId, limit);
+    return { deviceId: data.deviceId };
+  },
+
+  async ping() {
+    return null;
+  },
+};
+
+async function handleMessage(ws, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch {
+    return send(ws, "error", { message: "Messages must be JSON" });
+  }
+
+  const { type, id, data } = message ?? {};
+  const handler = Object.hasOwn(handlers, type) ? handlers[type] : null;
+  if (!handler) {
+    return send(ws, "error", { message: `Unknown message type: ${type}` }, id);
+  }
+
+  try {
+    const result = await handler(ws, data);
+    if (type === "ping") return send(ws, "pong", null, id);
+    send(ws, "ack", { type, result }, id);
+  } catch (error) {
+    send(ws, "error", { type, message: error.message }, id);
+  }
+}
+
+// Connections are authenticated at upgrade and need at least the viewer role
+async function verifyClient({ req }, done) {
+  try {
+    const { auth, error } = await authenticateRequest(req, {
+      allowQueryToken: true,
+    });
+    if (!auth) return done(false, 401, error ?? "Authentication required");
+    if (!hasRole(auth, "viewer")) return done(false, 403, "Forbidden");
+    req.auth = auth;
+    done(true);
+  } catch (error) {
+    console.error("Error authenticating WebSocket client:", error);
+    done(false, 500, "Failed to authenticate");
+  }
+}
+
+function handleConnection(ws, req) {
+  const query = new URL(req.url, "http://localhost").searchParams;
+  ws.auth = req.auth;
+  ws.ip = req.socket.remoteAddress;
+  ws.version =
+    ws.protocol === SUBPROTOCOL || query.get("protocol") === "1"
+      ? PROTOCOL_VERSION
+      : 0;
+  ws.isAlive = true;
+  ws.on("pong", () => {
+    ws.isAlive = true;
+  });
+  if (ws.version === 0) return;
+
+  // New clients follow every device and metric unless they ask otherwise,
+  // e.g. ?devices=a,b&metrics=power
+  const devices = query.get("devices");
+  const metrics = query.get("metrics");
+  ws.subscription = {
+    deviceIds: devices ? new Set(devices.split(",")) : null,
+    metrics: metrics
+      ? new Set(metrics.split(",").filter((m) => METRICS.includes(m)))
+      : null,
+  };
+
+  ws.on("message", (raw) => handleMessage(ws, raw));
+  send(ws, "welcome", {
+    protocol: PROTOCOL_VERSION,
+    user: ws.auth,
+    subscription: subscriptionSummary(ws),
+    units: METRIC_UNITS,
+    replayLimit: REPLAY_LIMIT,
+  });
+  replaySubscribed(ws);
+}
+
+// Drops clients that did not answer the previous ping
+function heartbeat() {
+  wss.clients.forEach((ws) => {
+    if (!ws.isAlive) {
+      ws.terminate();
+      return;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+}
+
+export function attachWebSocketServer(server) {
+  wss = new WebSocketServer({
+    server,
+    verifyClient,
+    handleProtocols: (protocols) =>
+      protocols.has(SUBPROTOCOL) ? SUBPROTOCOL : false,
+  });
+  wss.on("connection", handleConnection);
+
+  const interval = setInterval(heartbeat, HEARTBEAT_MS);
+  wss.on("close", () => clearInterval(interval));
+  return wss;
+}
+
+function forEachClient(callback) {
+  if (!wss) return;
+  wss.clients.forEach((ws) => {
+    if (ws.readyState === 1) callback(ws);
+  });
+}
+
+// reading: { deviceId, time, power, voltage, current }
+export function publishReading(reading) {
+  const readings = recentReadings.get(reading.deviceId) ?? [];
+  readings.push(reading);
+  if (readings.length > REPLAY_LIMIT) readings.shift();
+  recentReadings.set(reading.deviceId, readings);
+
+  const legacy = JSON.stringify(reading);
+  forEachClient((ws) => {
+    if (ws.version === 0) ws.send(legacy);
+    else if (isSubscribed(ws, reading.deviceId)) {
+      send(ws, "reading", filterReading(ws, reading));
+    }
+  });
+}
+
+// Any other server event. Legacy clients receive { type, ...data }; v1
+// clients only receive events of devices they subscribe to, or of no device.
+export function publishEvent(type, data, deviceId = null) {
+  const legacy = JSON.stringify({ type, ...data });
+  forEachClient((ws) => {
+    if (ws.version === 0) ws.send(legacy);
+    else if (isSubscribed(ws, deviceId)) send(ws, type, data);
+  });
+}
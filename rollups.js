@@ -0,0 +1,455 @@
+import dotenv from "dotenv";
+import { db } from "./db.js";
+import { computeIntervalEnergy, toEnergySample } from "./energy.js";
+import { getMetric } from "./readings.js";
+
+dotenv.config();
+
+const deviceData = db.collection("device_data");
+
+// Buckets are aligned to UTC minutes, quarter hours, hours and days. Every
+// UTC offset in use is a whole number of quarter hours, so local hours and
+// days are rebuilt from the quarter-hour buckets, which are kept for good.
+export const ROLLUPS = {
+  minute: { collection: db.collection("rollups_minute"), ms: 60 * 1000 },
+  quarter: {
+    collection: db.collection("rollups_quarter_hourly"),
+    ms: 15 * 60 * 1000,
+  },
+  hour: { collection: db.collection("rollups_hourly"), ms: 60 * 60 * 1000 },
+  day: {
+    collection: db.collection("rollups_daily"),
+    ms: 24 * 60 * 60 * 1000,
+  },
+};
+
+const METRICS = ["power", "voltage", "current"];
+
+// Width of the histogram bins kept per metric and bucket, in W, V and A.
+// Percentiles read from them are accurate to half a bin.
+const HISTOGRAM_BIN_WIDTHS = { power: 1, voltage: 0.5, current: 0.01 };
+
+// Raw readings and minute rollups expire after these many days (0 keeps
+// them forever); quarter-hour, hourly and daily rollups are kept. Raw
+// readings are kept unless RAW_DATA_TTL_DAYS is set, as they are the only
+// source the rollups can be rebuilt from.
+const RAW_DATA_TTL_DAYS = Number(process.env.RAW_DATA_TTL_DAYS ?? 0);
+const MINUTE_ROLLUP_TTL_DAYS = Number(process.env.MINUTE_ROLLUP_TTL_DAYS ?? 35);
+
+const REBUILD_BATCH_SIZE = 1000;
+
+function bucketStart(date, ms) {
+  return new Date(Math.floor(date.getTime() / ms) * ms);
+}
+
+// Creates, changes or drops the TTL index on `field`
+async function ensureTtlIndex(collection, field, days) {
+  const name = `${field}_ttl`;
+  const indexes = await collection.indexes().catch(() => []);
+  const existing = indexes.find((index) => index.name === name);
+  const seconds = Math.round(days * 24 * 60 * 60);
+
+  if (days <= 0) {
+    if (existing) await collection.dropIndex(name);
+    return;
+  }
+  if (!existing) {
+    await collection.createIndex(
+      { [field]: 1 },
+      { name, expireAfterSeconds: seconds },
+    );
+  } else if (existing.expireAfterSeconds !== seconds) {
+    await db.command({
+      collMod: collection.collectionName,
+      index: { name, expireAfterSeconds: seconds },
+    });
+  }
+}
+
+// True when the oldest raw reading has been folded into the rollups, i.e.
+// raw readings can expire without losing history
+async function rollupsCoverReadings() {
+  const oldest = await deviceData.findOne(
+    { deviceId: { $exists: true } },
+    { sort: { timestamp: 1 }, projection: { deviceId: 1, timestamp: 1 } },
+  );
+  if (!oldest) return true;
+  const bucket = await ROLLUPS.quarter.collection.findOne(
+    {
+      deviceId: oldest.deviceId,
+      bucket: bucketStart(oldest.timestamp, ROLLUPS.quarter.ms),
+    },
+    { projection: { _id: 1 } },
+  );
+  return bucket !== null;
+}
+
+export async function initRollups() {
+  for (const { collection } of Object.values(ROLLUPS)) {
+    await collection.createIndex({ deviceId: 1, bucket: 1 }, { unique: true });
+  }
+  await ensureTtlIndex(
+    ROLLUPS.minute.collection,
+    "bucket",
+    MINUTE_ROLLUP_TTL_DAYS,
+  );
+
+  if (await rollupsCoverReadings()) {
+    await ensureTtlIndex(deviceData, "timestamp", RAW_DATA_TTL_DAYS);
+  } else {
+    console.warn(
+      `⚠️ Rollups do not cover the stored raw readings. Run \`npm run rollups:rebuild\` to backfill chart history${RAW_DATA_TTL_DAYS > 0 ? "; raw readings will only start expiring after the next restart" : ""}.`,
+    );
+  }
+}
+
+// Upserts that fold one reading into its bucket at every resolution. Each
+// metric keeps its own count, as readings may lack some of them.
+export function buildRollupUpdates(doc, energy) {
+  const inc = { count: 1, energy };
+  if (doc.backfilled) inc.backfilled = 1;
+  const min = {};
+  const max = {};
+
+  for (const metric of METRICS) {
+    const value = getMetric(doc, metric);
+    if (typeof value !== "number") continue;
+    const bin = Math.floor(value / HISTOGRAM_BIN_WIDTHS[metric] + 1e-9);
+    inc[`${metric}.count`] = 1;
+    inc[`${metric}.sum`] = value;
+    inc[`${metric}.sumSq`] = value * value;
+    inc[`${metric}.hist.${bin}`] = 1;
+    min[`${metric}.min`] = value;
+    max[`${metric}.max`] = value;
+  }
+
+  // $min and $max may not be given empty
+  const update = { $inc: inc };
+  if (Object.keys(min).length > 0) {
+    Object.assign(update, { $min: min, $max: max });
+  }
+  return Object.entries(ROLLUPS).map(([resolution, { ms }]) => ({
+    resolution,
+    filter: { deviceId: doc.deviceId, bucket: bucketStart(doc.timestamp, ms) },
+    update,
+  }));
+}
+
+function round(value) {
+  return Number(value.toPrecision(12));
+}
+
+// Value below which `q` of the counted readings fall, from a bucket histogram
+function histogramPercentile(metric, stats, count, q) {
+  const width = HISTOGRAM_BIN_WIDTHS[metric];
+  const target = Math.ceil(q * count);
+  const bins = Object.keys(stats.hist)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  let seen = 0;
+  for (const bin of bins) {
+    seen += stats.hist[bin];
+    if (seen >= target) {
+      const value = (bin + 0.5) * width;
+      return round(Math.min(stats.max, Math.max(stats.min, value)));
+    }
+  }
+  return null;
+}
+
+// { avg, min, max, p95, stddev } of one metric of a rollup bucket. Buckets
+// written before sumSq and hist were added have no p95 or stddev until the
+// rollups are rebuilt; those written before per-metric counts counted every
+// reading for every metric, so `count` (the bucket's) stands in for theirs.
+export function metricStats(metric, stats, bucketCount) {
+  const count = stats?.count ?? bucketCount;
+  if (!stats || !count) return null;
+  const avg = stats.sum / count;
+  return {
+    avg,
+    min: stats.min,
+    max: stats.max,
+    p95: stats.hist ? histogramPercentile(metric, stats, count, 0.95) : null,
+    stddev:
+      stats.sumSq === undefined
+        ? null
+        : round(Math.sqrt(Math.max(0, stats.sumSq / count - avg ** 2))),
+  };
+}
+
+// Folds rollup buckets into one with the same shape:
+// { count, power: { count, sum, sumSq, min, max, hist }, voltage, current }
+export function mergeRollups(docs) {
+  const merged = { count: 0 };
+  for (const metric of METRICS) {
+    merged[metric] = {
+      count: 0,
+      sum: 0,
+      sumSq: 0,
+      min: null,
+      max: null,
+      hist: {},
+    };
+  }
+
+  for (const doc of docs) {
+    merged.count += doc.count;
+    for (const metric of METRICS) {
+      const from = doc[metric];
+      const into = merged[metric];
+      if (!from) continue;
+      into.count += from.count ?? doc.count;
+      into.sum += from.sum;
+      into.min = into.min === null ? from.min : Math.min(into.min, from.min);
+      into.max = into.max === null ? from.max : Math.max(into.max, from.max);
+
+      // One bucket without them leaves the whole merge without them
+      if (from.sumSq === undefined) into.sumSq = undefined;
+      else if (into.sumSq !== undefined) into.sumSq += from.sumSq;
+      if (!from.hist) into.hist = undefined;
+      else if (into.hist) {
+        for (const [bin, n] of Object.entries(from.hist)) {
+          into.hist[bin] = (into.hist[bin] ?? 0) + n;
+        }
+      }
+    }
+  }
+  return merged;
+}
+
+// Last energy sample per device, to integrate the next reading against
+const lastSamples = new Map();
+
+async function getPreviousSample(deviceId, before) {
+  const cached = lastSamples.get(deviceId);
+  if (cached && cached.time < before.getTime()) return cached;
+
+  const doc = await deviceData.findOne(
+    { deviceId, timestamp: { $lt: before } },
+    {
+      sort: { timestamp: -1 },
+      projection: { timestamp: 1, status: 1, normalized: 1, meteredEnergy: 1 },
+    },
+  );
+  return doc ? toEnergySample(doc) : null;
+}
+
+// Folds a freshly stored device_data document into the rollups
+export async function applyReadingToRollups(doc) {
+  const sample = toEnergySample(doc);
+  const prev = await getPreviousSample(doc.deviceId, doc.timestamp);
+  const energy = prev ? computeIntervalEnergy(prev, sample) : 0;
+  lastSamples.set(doc.deviceId, sample);
+
+  await Promise.all(
+    buildRollupUpdates(doc, energy).map(({ resolution, filter, update }) =>
+      ROLLUPS[resolution].collection.updateOne(filter, update, {
+        upsert: true,
+      }),
+    ),
+  );
+}
+
+// Folds backfilled readings (one device, oldest first) into the rollups.
+// `next` is the first stored reading after them: the energy it was credited
+// for the whole gap is replaced with that of the last backfilled interval.
+export async function applyBackfillToRollups(docs, next = null) {
+  if (docs.length === 0) return;
+  const ops = Object.fromEntries(
+    Object.keys(ROLLUPS).map((resolution) => [resolution, []]),
+  );
+
+  const before = await getPreviousSample(docs[0].deviceId, docs[0].timestamp);
+  let prev = before;
+  for (const doc of docs) {
+    const sample = toEnergySample(doc);
+    const energy = prev ? computeIntervalEnergy(prev, sample) : 0;
+    prev = sample;
+    for (const { resolution, filter, update } of buildRollupUpdates(
+      doc,
+      energy,
+    )) {
+      ops[resolution].push({ updateOne: { filter, update, upsert: true } });
+    }
+  }
+
+  const nextSample = next && toEnergySample(next);
+  const credited =
+    before && next ? computeIntervalEnergy(before, nextSample) : 0;
+  const correction = next
+    ? computeIntervalEnergy(prev, nextSample) - credited
+    : 0;
+  if (correction !== 0) {
+    for (const [resolution, { ms }] of Object.entries(ROLLUPS)) {
+      ops[resolution].push({
+        updateOne: {
+          filter: {
+            deviceId: next.deviceId,
+            bucket: bucketStart(next.timestamp, ms),
+          },
+          update: { $inc: { energy: correction } },
+          upsert: true,
+        },
+      });
+    }
+  }
+
+  for (const [resolution, batch] of Object.entries(ops)) {
+    await ROLLUPS[resolution].collection.bulkWrite(batch, { ordered: false });
+  }
+}
+
+// Recomputes rollups from raw readings. The range is widened to whole UTC
+// days so that no bucket is left holding only part of its readings.
+export async function rebuildRollups({ deviceId, from, to } = {}) {
+  const dayMs = ROLLUPS.day.ms;
+  const start = from ? bucketStart(from, dayMs) : null;
+  const end = to ? new Date(bucketStart(to, dayMs).getTime() + dayMs) : null;
+
+  const rawFilter = deviceId ? { deviceId } : {};
+  const bucketFilter = deviceId ? { deviceId } : {};
+  if (start || end) {
+    const range = {};
+    if (start) range.$gte = start;
+    if (end) range.$lt = end;
+    rawFilter.timestamp = range;
+    bucketFilter.bucket = range;
+  }
+
+  for (const { collection } of Object.values(ROLLUPS)) {
+    await collection.deleteMany(bucketFilter);
+  }
+
+  const cursor = deviceData
+    .find(rawFilter, {
+      projection: {
+        deviceId: 1,
+        timestamp: 1,
+        status: 1,
+        normalized: 1,
+        meteredEnergy: 1,
+        backfilled: 1,
+      },
+    })
+    .sort({ deviceId: 1, timestamp: 1 });
+
+  const batches = Object.fromEntries(
+    Object.keys(ROLLUPS).map((resolution) => [resolution, []]),
+  );
+  const flush = async () => {
+    for (const [resolution, ops] of Object.entries(batches)) {
+      if (ops.length === 0) continue;
+      await ROLLUPS[resolution].collection.bulkWrite(ops, { ordered: false });
+      batches[resolution] = [];
+    }
+  };
+
+  let prev = null;
+  let processed = 0;
+  for await (const doc of cursor) {
+    if (!doc.deviceId) continue;
+    const sample = toEnergySample(doc);
+    const energy =
+      prev?.deviceId === doc.deviceId
+        ? computeIntervalEnergy(prev.sample, sample)
+        : 0;
+    prev = { deviceId: doc.deviceId, sample };
+
+    for (const { resolution, filter, update } of buildRollupUpdates(
+      doc,
+      energy,
+    )) {
+      batches[resolution].push({ updateOne: { filter, update, upsert: true } });
+    }
+    if (++processed % REBUILD_BATCH_SIZE === 0) {
+      await flush();
+      console.log(`Rebuilt rollups for ${processed} readings...`);
+    }
+  }
+  await flush();
+  lastSamples.clear();
+
+  return { processed };
+}
+
+// Rollups of one device in [from, to] regrouped by `groupBy` (a Mongo
+// expression over $bucket), with averages weighted by reading count:
+// [{ _id, count, backfilled, energy, power: { avg, min, max, stddev },
+// voltage, current }]. stddev is null when a bucket predates sumSq.
+export async function aggregateRollups(
+  resolution,
+  deviceId,
+  from,
+  to,
+  groupBy,
+) {
+  const group = {
+    _id: groupBy,
+    count: { $sum: "$count" },
+    backfilled: { $sum: "$backfilled" },
+    energy: { $sum: "$energy" },
+  };
+  const project = { count: 1, backfilled: 1, energy: 1 };
+
+  for (const metric of METRICS) {
+    const count = `$${metric}Count`;
+    const avg = {
+      $cond: [{ $gt: [count, 0] }, { $divide: [`$${metric}Sum`, count] }, null],
+    };
+    // Buckets older than per-metric counts counted every reading
+    const bucketCount = { $ifNull: [`$${metric}.count`, "$count"] };
+    group[`${metric}Count`] = {
+      $sum: { $cond: [{ $gt: [`$${metric}`, null] }, bucketCount, 0] },
+    };
+    group[`${metric}Sum`] = { $sum: `$${metric}.sum` };
+    group[`${metric}SumSq`] = { $sum: `$${metric}.sumSq` };
+    // Readings in buckets that have sumSq
+    group[`${metric}SqCount`] = {
+      $sum: { $cond: [{ $gt: [`$${metric}.sumSq`, null] }, bucketCount, 0] },
+    };
+    group[`${metric}Min`] = { $min: `$${metric}.min` };
+    group[`${metric}Max`] = { $max: `$${metric}.max` };
+    project[metric] = {
+      avg,
+      min: `$${metric}Min`,
+      max: `$${metric}Max`,
+      stddev: {
+        $cond: [
+          {
+            $and: [{ $gt: [count, 0] }, { $eq: [`$${metric}SqCount`, count] }],
+          },
+          {
+            $sqrt: {
+              $max: [
+                0,
+                {
+                  $subtract: [
+                    { $divide: [`$${metric}SumSq`, count] },
+                    { $pow: [avg, 2] },
+                  ],
+                },
+              ],
+            },
+          },
+          null,
+        ],
+      },
+    };
+  }
+
+  return ROLLUPS[resolution].collection
+    .aggregate([
+      {
+        $match: {
+          deviceId,
+          bucket: { $gte: bucketStart(from, ROLLUPS[resolution].ms), $lte: to },
+        },
+      },
+      { $group: group },
+      { $match: { count: { $gt: 0 } } },
+      { $project: project },
+      { $sort: { _id: 1 } },
+    ])
+    .toArray();
+}
@@ -0,0 +1,496 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import { requireRole } from "./auth.js";
+import { db, isDatabaseAvailable, writeWhenAvailable } from "./db.js";
+import { getDevice } from "./devices.js";
+import { alertKey, raiseAlert, resolveAlert } from "./alerts.js";
+import { METRIC_UNITS } from "./readings.js";
+import { controlDeviceSwitch } from "./transport.js";
+
+const rules = db.collection("rules");
+const ruleEvents = db.collection("rule_events");
+
+const OPERATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+const SEVERITIES = ["info", "warning", "critical"];
+const RULES_REFRESH_MS = 60 * 1000;
+
+function toRule(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+function parseId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function isNonNegative(value) {
+  return isNumber(value) && value >= 0;
+}
+
+function validateAction(action, field) {
+  if (action?.type === "switch") {
+    if (typeof action.state !== "boolean") {
+      return `${field}.state must be true (on) or false (off)`;
+    }
+    return null;
+  }
+  if (action?.type === "alert") {
+    if (
+      action.severity !== undefined &&
+      !SEVERITIES.includes(action.severity)
+    ) {
+      return `${field}.severity must be one of: ${SEVERITIES.join(", ")}`;
+    }
+    if (action.message !== undefined && typeof action.message !== "string") {
+      return `${field}.message must be a string`;
+    }
+    return null;
+  }
+  return `${field}.type must be "switch" or "alert"`;
+}
+
+function pickAction(action) {
+  if (!action) return null;
+  return action.type === "switch"
+    ? { type: "switch", state: action.state }
+    : {
+        type: "alert",
+        severity: action.severity ?? "warning",
+        message: action.message ?? null,
+      };
+}
+
+// Returns { rule } with the fields to store, or { error }
+function validateRuleInput(body) {
+  const {
+    deviceId,
+    name,
+    metric,
+    operator,
+    threshold,
+    clearThreshold = null,
+    durationSec = 0,
+    cooldownSec = 0,
+    action,
+    recoveryAction = null,
+    enabled = true,
+  } = body;
+
+  if (typeof deviceId !== "string" || deviceId === "") {
+    return { error: "Invalid deviceId parameter. Must be a registered device" };
+  }
+  if (typeof name !== "string" || name.trim() === "") {
+    return { error: "Invalid name parameter. Must be a non-empty string" };
+  }
+  if (typeof metric !== "string" || metric === "") {
+    return {
+      error:
+        "Invalid metric parameter. Use power, voltage, current or a numeric DP code",
+    };
+  }
+  if (!OPERATORS[operator]) {
+    return {
+      error: `Invalid operator parameter. Must be one of: ${Object.keys(OPERATORS).join(" ")}`,
+    };
+  }
+  if (!isNumber(threshold)) {
+    return { error: "Invalid threshold parameter. Must be a number" };
+  }
+  if (clearThreshold !== null) {
+    const above = operator.startsWith(">");
+    if (
+      !isNumber(clearThreshold) ||
+      (above ? clearThreshold > threshold : clearThreshold < threshold)
+    ) {
+      return {
+        error: `Invalid clearThreshold parameter. Must be a number ${above ? "at or below" : "at or above"} threshold`,
+      };
+    }
+  }
+  if (!isNonNegative(durationSec)) {
+    return { error: "Invalid durationSec parameter. Must be >= 0" };
+  }
+  if (!isNonNegative(cooldownSec)) {
+    return { error: "Invalid cooldownSec parameter. Must be >= 0" };
+  }
+  if (typeof enabled !== "boolean") {
+    return { error: "Invalid enabled parameter. Must be true or false" };
+  }
+
+  const actionError =
+    validateAction(action, "action") ||
+    (recoveryAction && validateAction(recoveryAction, "recoveryAction"));
+  if (actionError) return { error: actionError };
+
+  return {
+    rule: {
+      deviceId,
+      name: name.trim(),
+      metric,
+      // Named metrics are compared in SI units, raw DP codes as reported
+      unit: METRIC_UNITS[metric] ?? null,
+      operator,
+      threshold,
+      clearThreshold,
+      durationSec,
+      cooldownSec,
+      action: pickAction(action),
+      recoveryAction: pickAction(recoveryAction),
+      enabled,
+    },
+  };
+}
+
+function initialRuntime() {
+  return { state: "idle", pendingSince: null, lastFiredAt: null };
+}
+
+// Enabled rules grouped by device, with their runtime state kept in memory
+// and written back to Mongo on every transition (later, while it is
+// unreachable)
+let rulesByDevice = null;
+let rulesLoadedAt = 0;
+
+export async function reloadRules() {
+  const docs = await rules.find({ enabled: true }).toArray();
+  rulesByDevice = new Map();
+  for (const doc of docs) {
+    doc.runtime ??= initialRuntime();
+    const list = rulesByDevice.get(doc.deviceId) ?? [];
+    list.push(doc);
+    rulesByDevice.set(doc.deviceId, list);
+  }
+  rulesLoadedAt = Date.now();
+}
+
+function getMetricValue(reading, metric) {
+  if (["power", "voltage", "current"].includes(metric)) return reading[metric];
+  const item = reading.status?.find((s) => s.code === metric);
+  return isNumber(item?.value) ? item.value : null;
+}
+
+// True once the value has moved back past clearThreshold (or, without
+// hysteresis, once the condition no longer holds)
+function hasCleared(rule, value) {
+  if (rule.clearThreshold === null) {
+    return !OPERATORS[rule.operator](value, rule.threshold);
+  }
+  return rule.operator.startsWith(">")
+    ? value <= rule.clearThreshold
+    : value >= rule.clearThreshold;
+}
+
+function ruleAlertKey(rule) {
+  return alertKey(`rule:${rule._id}`, rule.deviceId);
+}
+
+async function runAction(rule, action, value) {
+  if (action.type === "switch") {
+    const response = await controlDeviceSwitch(rule.deviceId, action.state, {
+      source: "rule",
+      actor: { type: "rule", id: rule._id.toString(), name: rule.name },
+    });
+    if (!response || response.success === false) {
+      throw new Error(response?.msg || "Tuya rejected the command");
+    }
+    return { response };
+  }
+
+  const message =
+    action.message ??
+    `${rule.name}: ${rule.metric} ${rule.operator} ${rule.threshold} (value ${value})`;
+  const alert = await raiseAlert({
+    type: "rule",
+    key: ruleAlertKey(rule),
+    deviceId: rule.deviceId,
+    severity: action.severity,
+    message,
+    value,
+  });
+  return { alertId: alert.id };
+}
+
+async function recordEvent(rule, type, action, value, at) {
+  const event = {
+    ruleId: rule._id,
+    deviceId: rule.deviceId,
+    type,
+    metric: rule.metric,
+    value,
+    action,
+    at,
+  };
+
+  if (action) {
+    try {
+      Object.assign(event, await runAction(rule, action, value), {
+        status: "success",
+      });
+    } catch (error) {
+      console.error(
+        `❌ Rule ${rule._id} ${type} action failed:`,
+        error.message,
+      );
+      Object.assign(event, { status: "failed", error: error.message });
+    }
+  }
+
+  await writeWhenAvailable(() => ruleEvents.insertOne(event));
+}
+
+async function saveRuntime(rule) {
+  const runtime = rule.runtime;
+  await writeWhenAvailable(
+    () => rules.updateOne({ _id: rule._id }, { $set: { runtime } }),
+    `rule:${rule._id}:runtime`,
+  );
+}
+
+// Moves a rule's runtime on by one value: idle -> pending once the condition
+// holds, pending -> active once it has held for durationSec outside the
+// cooldown, active -> idle once the value has cleared. Returns { runtime,
+// event } with the new runtime (the same object when nothing changed) and
+// "fired", "recovered" or null.
+export function stepRule(rule, runtime, value, at) {
+  if (runtime.state === "active") {
+    if (!hasCleared(rule, value)) return { runtime, event: null };
+    return {
+      runtime: { ...runtime, state: "idle", pendingSince: null },
+      event: "recovered",
+    };
+  }
+
+  if (!OPERATORS[rule.operator](value, rule.threshold)) {
+    return {
+      runtime:
+        runtime.state === "pending"
+          ? { ...runtime, state: "idle", pendingSince: null }
+          : runtime,
+      event: null,
+    };
+  }
+
+  const pending =
+    runtime.state === "idle"
+      ? { ...runtime, state: "pending", pendingSince: at }
+      : runtime;
+  const heldFor = at - pending.pendingSince;
+  const sinceLastFire = runtime.lastFiredAt
+    ? at - runtime.lastFiredAt
+    : Infinity;
+  if (
+    heldFor < rule.durationSec * 1000 ||
+    sinceLastFire < rule.cooldownSec * 1000
+  ) {
+    return { runtime: pending, event: null };
+  }
+
+  return {
+    runtime: { state: "active", pendingSince: null, lastFiredAt: at },
+    event: "fired",
+  };
+}
+
+async function evaluateRule(rule, reading) {
+  const value = getMetricValue(reading, rule.metric);
+  if (value === null || value === undefined) return;
+
+  const at = reading.timestamp;
+  const { runtime, event } = stepRule(rule, rule.runtime, value, at);
+  if (runtime === rule.runtime) return;
+  rule.runtime = runtime;
+  await saveRuntime(rule);
+
+  if (event === "recovered") {
+    console.log(`✅ Rule "${rule.name}" recovered (${rule.metric}=${value})`);
+    if (rule.action.type === "alert") await resolveAlert(ruleAlertKey(rule));
+    await recordEvent(rule, "recovered", rule.recoveryAction, value, at);
+  } else if (event === "fired") {
+    console.log(`🚨 Rule "${rule.name}" fired (${rule.metric}=${value})`);
+    await recordEvent(rule, "fired", rule.action, value, at);
+  }
+}
+
+export async function initRules() {
+  await ruleEvents.createIndex({ ruleId: 1, at: -1 });
+  await reloadRules();
+}
+
+// Checks a reading ({ deviceId, timestamp, power, voltage, current, status })
+// against every enabled rule of its device
+export async function evaluateRules(reading) {
+  // While MongoDB is unreachable the rules loaded last keep being evaluated
+  const stale = Date.now() - rulesLoadedAt > RULES_REFRESH_MS;
+  if (!rulesByDevice || (stale && isDatabaseAvailable())) await reloadRules();
+
+  for (const rule of rulesByDevice.get(reading.deviceId) ?? []) {
+    try {
+      await evaluateRule(rule, reading);
+    } catch (error) {
+      console.error(`❌ Failed to evaluate rule ${rule._id}:`, error.message);
+    }
+  }
+}
+
+export const rulesRouter = express.Router();
+
+rulesRouter.get("/rules", requireRole("viewer"), async (req, res) => {
+  try {
+    const filter = req.query.deviceId ? { deviceId: req.query.deviceId } : {};
+    const docs = await rules.find(filter).sort({ createdAt: 1 }).toArray();
+    res.json({ success: true, data: docs.map(toRule) });
+  } catch (error) {
+    console.error("Error listing rules:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list rules",
+      details: error.message,
+    });
+  }
+});
+
+rulesRouter.post("/rules", requireRole("operator"), async (req, res) => {
+  try {
+    const { rule, error } = validateRuleInput(req.body ?? {});
+    if (error) return res.status(400).json({ success: false, error });
+
+    if (!(await getDevice(rule.deviceId))) {
+      return res.status(400).json({
+        success: false,
+        error: `Device ${rule.deviceId} is not registered`,
+      });
+    }
+
+    const now = new Date();
+    const doc = {
+      ...rule,
+      runtime: initialRuntime(),
+      createdAt: now,
+      updatedAt: now,
+    };
+    await rules.insertOne(doc);
+    await reloadRules();
+
+    res.status(201).json({ success: true, data: toRule(doc) });
+  } catch (error) {
+    console.error("Error creating rule:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create rule",
+      details: error.message,
+    });
+  }
+});
+
+// Resolves :id to a stored rule document
+async function loadRule(req, res, next) {
+  const id = parseId(req.params.id);
+  const doc = id && (await rules.findOne({ _id: id }));
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: `Rule ${req.params.id} not found`,
+    });
+  }
+  req.rule = doc;
+  next();
+}
+
+rulesRouter.get("/rules/:id", requireRole("viewer"), loadRule, (req, res) => {
+  res.json({ success: true, data: toRule(req.rule) });
+});
+
+// Partial updates are merged over the stored rule and revalidated. Changing
+// a rule resets its runtime state.
+rulesRouter.patch(
+  "/rules/:id",
+  requireRole("operator"),
+  loadRule,
+  async (req, res) => {
+    try {
+      const { _id, createdAt } = req.rule;
+      const { rule, error } = validateRuleInput({ ...req.rule, ...req.body });
+      if (error) return res.status(400).json({ success: false, error });
+
+      const doc = {
+        ...rule,
+        runtime: initialRuntime(),
+        createdAt,
+        updatedAt: new Date(),
+      };
+      await rules.replaceOne({ _id }, doc);
+      await reloadRules();
+
+      res.json({ success: true, data: toRule({ _id, ...doc }) });
+    } catch (error) {
+      console.error("Error updating rule:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update rule",
+        details: error.message,
+      });
+    }
+  },
+);
+
+rulesRouter.delete(
+  "/rules/:id",
+  requireRole("operator"),
+  loadRule,
+  async (req, res) => {
+    try {
+      await rules.deleteOne({ _id: req.rule._id });
+      await reloadRules();
+      res.json({ success: true, data: toRule(req.rule) });
+    } catch (error) {
+      console.error("Error deleting rule:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete rule",
+        details: error.message,
+      });
+    }
+  },
+);
+
+rulesRouter.get(
+  "/rules/:id/events",
+  requireRole("viewer"),
+  loadRule,
+  async (req, res) => {
+    try {
+      const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, 500);
+      const events = await ruleEvents
+        .find({ ruleId: req.rule._id })
+        .sort({ at: -1 })
+        .limit(limit)
+        .toArray();
+
+      res.json({
+        success: true,
+        data: events.map(({ _id, ruleId, ...event }) => ({
+          id: _id.toString(),
+          ruleId: ruleId.toString(),
+          ...event,
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching rule events:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch rule events",
+        details: error.message,
+      });
+    }
+  },
+);
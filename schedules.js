@@ -0,0 +1,560 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import { requireRole } from "./auth.js";
+import { db } from "./db.js";
+import { getDevice } from "./devices.js";
+import { controlDeviceSwitch } from "./transport.js";
+import {
+  getUserTimezone,
+  getZonedParts,
+  normalizeTimezone,
+  zonedTimeToUtc,
+} from "./timezone.js";
+
+const schedules = db.collection("schedules");
+const scheduleRuns = db.collection("schedule_runs");
+
+const TICK_INTERVAL_MS = 15 * 1000;
+// Runs found due later than this are treated as missed (e.g. server was down)
+const MISSED_RUN_GRACE_MS = 2 * 60 * 1000;
+// Upper bound on occurrences inspected when catching up after downtime
+const MAX_MISSED_OCCURRENCES = 500;
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_PRESETS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+};
+const MISSED_RUN_POLICIES = ["catchup", "skip"];
+
+function toSchedule(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+function parseId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+function parseTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value ?? "");
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+function parseLocalDateTime(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T([01]\d|2[0-3]):([0-5]\d)$/.exec(
+    value ?? "",
+  );
+  if (!match) return null;
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return { year, month, day, hour, minute };
+}
+
+function parseDays(days) {
+  if (typeof days === "string") return DAY_PRESETS[days] ?? null;
+  if (!Array.isArray(days) || days.length === 0) return null;
+
+  const parsed = new Set();
+  for (const day of days) {
+    const index =
+      typeof day === "number" ? day : DAY_NAMES.indexOf(String(day));
+    if (!Number.isInteger(index) || index < 0 || index > 6) return null;
+    parsed.add(index);
+  }
+  return [...parsed].sort();
+}
+
+// Returns { schedule } with the fields to store, or { error }
+function validateScheduleInput(body, defaultTimezone) {
+  const {
+    deviceId,
+    name,
+    type,
+    timezone = defaultTimezone,
+    missedRunPolicy = "catchup",
+  } = body;
+
+  if (typeof deviceId !== "string" || deviceId === "") {
+    return { error: "Invalid deviceId parameter. Must be a registered device" };
+  }
+  if (name !== undefined && (typeof name !== "string" || name.trim() === "")) {
+    return { error: "Invalid name parameter. Must be a non-empty string" };
+  }
+  if (!normalizeTimezone(timezone)) {
+    return { error: `Invalid timezone: ${timezone}` };
+  }
+  if (!MISSED_RUN_POLICIES.includes(missedRunPolicy)) {
+    return {
+      error: `Invalid missedRunPolicy parameter. Must be one of: ${MISSED_RUN_POLICIES.join(", ")}`,
+    };
+  }
+
+  const schedule = {
+    deviceId,
+    type,
+    timezone: normalizeTimezone(timezone),
+    missedRunPolicy,
+  };
+  if (name !== undefined) schedule.name = name.trim();
+
+  if (type === "weekly") {
+    const days = parseDays(body.days);
+    if (!days) {
+      return {
+        error:
+          'Invalid days parameter. Use "daily", "weekdays", "weekends" or an array of sun..sat / 0..6',
+      };
+    }
+    if (!Array.isArray(body.times) || body.times.length === 0) {
+      return {
+        error:
+          'Weekly schedules need times, e.g. [{ "time": "08:00", "state": true }]',
+      };
+    }
+    for (const entry of body.times) {
+      if (!parseTime(entry?.time) || typeof entry.state !== "boolean") {
+        return {
+          error:
+            "Each entry in times needs time (HH:MM) and state (true for on, false for off)",
+        };
+      }
+    }
+    schedule.days = days;
+    schedule.times = body.times
+      .map(({ time, state }) => ({ time, state }))
+      .sort((a, b) => a.time.localeCompare(b.time));
+  } else if (type === "once") {
+    if (!parseLocalDateTime(body.runAt)) {
+      return {
+        error:
+          "Invalid runAt parameter. Must be a local date-time YYYY-MM-DDTHH:MM",
+      };
+    }
+    if (typeof body.state !== "boolean") {
+      return {
+        error: "Invalid state parameter. Must be true (on) or false (off)",
+      };
+    }
+    schedule.runAt = body.runAt;
+    schedule.state = body.state;
+  } else {
+    return { error: 'Invalid type parameter. Must be "weekly" or "once"' };
+  }
+
+  return { schedule };
+}
+
+// Occurrences of `schedule` in (after, until], oldest first: [{ at, state }]
+export function listOccurrences(schedule, after, until, limit = Infinity) {
+  const { timezone } = schedule;
+
+  if (schedule.type === "once") {
+    const at = zonedTimeToUtc(parseLocalDateTime(schedule.runAt), timezone);
+    return at > after && at <= until ? [{ at, state: schedule.state }] : [];
+  }
+
+  const occurrences = [];
+  const start = getZonedParts(after, timezone);
+  for (let offset = 0; occurrences.length < limit; offset++) {
+    const day = new Date(
+      Date.UTC(start.year, start.month - 1, start.day + offset),
+    );
+    const fields = {
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+    };
+    // Midnight is at or before any time of the day, so we can stop here
+    if (zonedTimeToUtc(fields, timezone) > until) break;
+    if (!schedule.days.includes(day.getUTCDay())) continue;
+
+    for (const { time, state } of schedule.times) {
+      const at = zonedTimeToUtc({ ...fields, ...parseTime(time) }, timezone);
+      if (at > after && at <= until) occurrences.push({ at, state });
+      if (occurrences.length >= limit) break;
+    }
+  }
+  return occurrences;
+}
+
+function getNextOccurrence(schedule, after) {
+  // A weekly schedule always fires within the next 8 days
+  const horizon =
+    schedule.type === "once"
+      ? new Date(8.64e15)
+      : new Date(after.getTime() + 8 * 24 * 60 * 60 * 1000);
+  return listOccurrences(schedule, after, horizon, 1)[0] ?? null;
+}
+
+// Latest occurrence in (after, until], or null
+function getLastOccurrence(schedule, after, until) {
+  // A weekly schedule fired within the last 8 days if at all
+  const from =
+    schedule.type === "once"
+      ? after
+      : new Date(Math.max(after, until.getTime() - 8 * 24 * 60 * 60 * 1000));
+  return listOccurrences(schedule, from, until).at(-1) ?? null;
+}
+
+function withNextRun(schedule, after) {
+  const next = getNextOccurrence(schedule, after);
+  return {
+    ...schedule,
+    nextRunAt: next?.at ?? null,
+    nextState: next?.state ?? null,
+  };
+}
+
+async function recordRun(schedule, scheduledFor, state, outcome) {
+  await scheduleRuns.insertOne({
+    scheduleId: schedule._id,
+    deviceId: schedule.deviceId,
+    scheduledFor,
+    state,
+    executedAt: new Date(),
+    ...outcome,
+  });
+}
+
+async function executeRun(schedule, scheduledFor, state) {
+  try {
+    const device = await getDevice(schedule.deviceId);
+    if (!device) {
+      throw new Error(`Device ${schedule.deviceId} is not registered`);
+    }
+
+    const response = await controlDeviceSwitch(schedule.deviceId, state, {
+      source: "schedule",
+      actor: {
+        type: "schedule",
+        id: schedule._id.toString(),
+        name: schedule.name ?? null,
+      },
+    });
+    if (!response || response.success === false) {
+      throw new Error(response?.msg || "Tuya rejected the command");
+    }
+
+    console.log(
+      `⏰ Schedule ${schedule._id} switched ${schedule.deviceId} ${state ? "on" : "off"}`,
+    );
+    await recordRun(schedule, scheduledFor, state, {
+      status: "success",
+      response,
+    });
+  } catch (error) {
+    console.error(`❌ Schedule ${schedule._id} run failed:`, error.message);
+    await recordRun(schedule, scheduledFor, state, {
+      status: "failed",
+      error: error.message,
+    });
+  }
+}
+
+// Splits the occurrences that came due into the one to run and the ones to
+// record as skipped: { run, skipped: [{ at, state, reason }] }. When
+// occurrences were missed, "catchup" runs only the latest one (the state the
+// device should be in now) and "skip" runs none of them.
+export function planDueRuns(due, now, missedRunPolicy) {
+  const latest = due[due.length - 1];
+  const skipped = due.slice(0, -1).map((occurrence) => ({
+    ...occurrence,
+    reason: "superseded by a later missed run",
+  }));
+
+  if (now - latest.at > MISSED_RUN_GRACE_MS && missedRunPolicy === "skip") {
+    skipped.push({
+      ...latest,
+      reason: "missed while the server was unavailable",
+    });
+    return { run: null, skipped };
+  }
+  return { run: latest, skipped };
+}
+
+// Occurrences that came due since the schedule was last handled, oldest
+// first: its nextRunAt, at most MAX_MISSED_OCCURRENCES after it, and always
+// the latest one by `now`, the state catch-up puts the device in. Those cut
+// off in between are not recorded.
+export function listDueOccurrences(schedule, now) {
+  const due = [
+    { at: schedule.nextRunAt, state: schedule.nextState },
+    ...listOccurrences(
+      schedule,
+      schedule.nextRunAt,
+      now,
+      MAX_MISSED_OCCURRENCES,
+    ),
+  ];
+  const latest = getLastOccurrence(schedule, due.at(-1).at, now);
+  if (latest) due.push(latest);
+  return due;
+}
+
+// Handles every occurrence that came due since the schedule was last handled
+async function processDueSchedule(schedule, now) {
+  const due = listDueOccurrences(schedule, now);
+  const next = getNextOccurrence(schedule, now);
+
+  // Claim the run; another instance may have advanced it already
+  const { modifiedCount } = await schedules.updateOne(
+    { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+    {
+      $set: {
+        nextRunAt: next?.at ?? null,
+        nextState: next?.state ?? null,
+        lastRunAt: now,
+        enabled: next !== null,
+        updatedAt: now,
+      },
+    },
+  );
+  if (modifiedCount === 0) return;
+
+  const { run, skipped } = planDueRuns(due, now, schedule.missedRunPolicy);
+  for (const { at, state, reason } of skipped) {
+    await recordRun(schedule, at, state, { status: "skipped", reason });
+  }
+
+  if (!run) {
+    console.log(
+      `⏭️ Schedule ${schedule._id} skipped missed run at ${due[due.length - 1].at.toISOString()}`,
+    );
+    return;
+  }
+  await executeRun(schedule, run.at, run.state);
+}
+
+let ticking = false;
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = new Date();
+    const due = await schedules
+      .find({ enabled: true, nextRunAt: { $lte: now } })
+      .toArray();
+    for (const schedule of due) {
+      await processDueSchedule(schedule, now);
+    }
+  } catch (error) {
+    console.error("❌ Scheduler tick failed:", error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+// Missed runs are handled on the first tick after startup
+export async function startScheduler() {
+  await schedules.createIndex({ enabled: 1, nextRunAt: 1 });
+  await scheduleRuns.createIndex({ scheduleId: 1, scheduledFor: -1 });
+  setInterval(tick, TICK_INTERVAL_MS);
+  await tick();
+}
+
+export const schedulesRouter = express.Router();
+
+schedulesRouter.get("/schedules", requireRole("viewer"), async (req, res) => {
+  try {
+    const filter = req.query.deviceId ? { deviceId: req.query.deviceId } : {};
+    const docs = await schedules.find(filter).sort({ createdAt: 1 }).toArray();
+    res.json({ success: true, data: docs.map(toSchedule) });
+  } catch (error) {
+    console.error("Error listing schedules:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list schedules",
+      details: error.message,
+    });
+  }
+});
+
+schedulesRouter.post(
+  "/schedules",
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      const { schedule, error } = validateScheduleInput(
+        req.body ?? {},
+        getUserTimezone(req),
+      );
+      if (error) return res.status(400).json({ success: false, error });
+
+      if (!(await getDevice(schedule.deviceId))) {
+        return res.status(400).json({
+          success: false,
+          error: `Device ${schedule.deviceId} is not registered`,
+        });
+      }
+
+      const now = new Date();
+      const doc = {
+        ...withNextRun(schedule, now),
+        enabled: true,
+        lastRunAt: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      if (!doc.nextRunAt) {
+        return res.status(400).json({
+          success: false,
+          error: "Schedule has no future runs",
+        });
+      }
+
+      await schedules.insertOne(doc);
+      res.status(201).json({ success: true, data: toSchedule(doc) });
+    } catch (error) {
+      console.error("Error creating schedule:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to create schedule",
+        details: error.message,
+      });
+    }
+  },
+);
+
+// Resolves :id to a stored schedule document
+async function loadSchedule(req, res, next) {
+  const id = parseId(req.params.id);
+  const doc = id && (await schedules.findOne({ _id: id }));
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: `Schedule ${req.params.id} not found`,
+    });
+  }
+  req.schedule = doc;
+  next();
+}
+
+schedulesRouter.get(
+  "/schedules/:id",
+  requireRole("viewer"),
+  loadSchedule,
+  (req, res) => {
+    res.json({ success: true, data: toSchedule(req.schedule) });
+  },
+);
+
+schedulesRouter.post(
+  "/schedules/:id/pause",
+  requireRole("operator"),
+  loadSchedule,
+  async (req, res) => {
+    try {
+      const doc = await schedules.findOneAndUpdate(
+        { _id: req.schedule._id },
+        {
+          $set: {
+            enabled: false,
+            nextRunAt: null,
+            nextState: null,
+            updatedAt: new Date(),
+          },
+        },
+        { returnDocument: "after" },
+      );
+      res.json({ success: true, data: toSchedule(doc) });
+    } catch (error) {
+      console.error("Error pausing schedule:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to pause schedule",
+        details: error.message,
+      });
+    }
+  },
+);
+
+// Runs that fell inside the pause are not caught up
+schedulesRouter.post(
+  "/schedules/:id/resume",
+  requireRole("operator"),
+  loadSchedule,
+  async (req, res) => {
+    try {
+      const now = new Date();
+      const { nextRunAt, nextState } = withNextRun(req.schedule, now);
+      if (!nextRunAt) {
+        return res.status(400).json({
+          success: false,
+          error: "Schedule has no future runs",
+        });
+      }
+
+      const doc = await schedules.findOneAndUpdate(
+        { _id: req.schedule._id },
+        { $set: { enabled: true, nextRunAt, nextState, updatedAt: now } },
+        { returnDocument: "after" },
+      );
+      res.json({ success: true, data: toSchedule(doc) });
+    } catch (error) {
+      console.error("Error resuming schedule:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to resume schedule",
+        details: error.message,
+      });
+    }
+  },
+);
+
+schedulesRouter.delete(
+  "/schedules/:id",
+  requireRole("operator"),
+  loadSchedule,
+  async (req, res) => {
+    try {
+      await schedules.deleteOne({ _id: req.schedule._id });
+      res.json({ success: true, data: toSchedule(req.schedule) });
+    } catch (error) {
+      console.error("Error deleting schedule:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete schedule",
+        details: error.message,
+      });
+    }
+  },
+);
+
+schedulesRouter.get(
+  "/schedules/:id/runs",
+  requireRole("viewer"),
+  loadSchedule,
+  async (req, res) => {
+    try {
+      const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, 500);
+      const runs = await scheduleRuns
+        .find({ scheduleId: req.schedule._id })
+        .sort({ scheduledFor: -1 })
+        .limit(limit)
+        .toArray();
+
+      res.json({
+        success: true,
+        data: runs.map(({ _id, scheduleId, ...run }) => ({
+          id: _id.toString(),
+          scheduleId: scheduleId.toString(),
+          ...run,
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching schedule runs:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch schedule runs",
+        details: error.message,
+      });
+    }
+  },
+);
@@ -0,0 +1,99 @@
+import { parseArgs } from "util";
+import { client, db } from "../db.js";
+import { getDeviceScales, METRIC_UNITS, normalizeStatus } from "../readings.js";
+import { initRollups, rebuildRollups } from "../rollups.js";
+
+// npm run readings:normalize -- [--device <id>] [--all] [--skip-rollups]
+//
+// Stores SI values next to the raw status of readings saved before
+// normalization (or of every reading with --all, e.g. after fixing a spec),
+// converts current thresholds of older rules from mA to A, and rebuilds the
+// rollups, whose current used to be summed in mA. Stop the server first.
+const { values } = parseArgs({
+  options: {
+    device: { type: "string" },
+    all: { type: "boolean", default: false },
+    "skip-rollups": { type: "boolean", default: false },
+  },
+});
+
+const BATCH_SIZE = 1000;
+const deviceData = db.collection("device_data");
+const rules = db.collection("rules");
+
+async function normalizeDevice(deviceId) {
+  const scales = await getDeviceScales(deviceId);
+  const filter = values.all
+    ? { deviceId }
+    : { deviceId, normalized: { $exists: false } };
+  const cursor = deviceData.find(filter, { projection: { status: 1 } });
+
+  let ops = [];
+  let updated = 0;
+  for await (const doc of cursor) {
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { normalized: normalizeStatus(doc.status, scales) } },
+      },
+    });
+    if (ops.length === BATCH_SIZE) {
+      await deviceData.bulkWrite(ops, { ordered: false });
+      updated += ops.length;
+      ops = [];
+      console.log(`${deviceId}: normalized ${updated} readings...`);
+    }
+  }
+  if (ops.length > 0) {
+    await deviceData.bulkWrite(ops, { ordered: false });
+    updated += ops.length;
+  }
+  return updated;
+}
+
+// Rules saved before normalization have no unit and compare current in mA
+async function migrateRules() {
+  const filter = { unit: { $exists: false } };
+  if (values.device) filter.deviceId = values.device;
+
+  let migrated = 0;
+  for await (const rule of rules.find(filter)) {
+    const update = { unit: METRIC_UNITS[rule.metric] ?? null };
+    if (rule.metric === "current") {
+      update.threshold = rule.threshold / 1000;
+      if (rule.clearThreshold !== null) {
+        update.clearThreshold = rule.clearThreshold / 1000;
+      }
+    }
+    await rules.updateOne({ _id: rule._id }, { $set: update });
+    migrated++;
+  }
+  return migrated;
+}
+
+try {
+  await client.connect();
+
+  const deviceIds = values.device
+    ? [values.device]
+    : (await deviceData.distinct("deviceId")).filter(Boolean);
+  for (const deviceId of deviceIds) {
+    const updated = await normalizeDevice(deviceId);
+    console.log(`✅ ${deviceId}: normalized ${updated} readings`);
+  }
+
+  const migrated = await migrateRules();
+  console.log(`✅ Added units to ${migrated} rules`);
+
+  if (!values["skip-rollups"]) {
+    await initRollups();
+    console.log("Rebuilding rollups...");
+    const { processed } = await rebuildRollups({ deviceId: values.device });
+    console.log(`✅ Rebuilt rollups from ${processed} readings`);
+  }
+} catch (error) {
+  console.error("❌ Normalization failed:", error);
+  process.exitCode = 1;
+} finally {
+  await client.close();
+}
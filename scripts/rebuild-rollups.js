@@ -0,0 +1,44 @@
+import { parseArgs } from "util";
+import { client } from "../db.js";
+import { initRollups, rebuildRollups } from "../rollups.js";
+
+// npm run rollups:rebuild -- [--device <id>] [--from <date>] [--to <date>]
+//
+// Stop the server first: readings polled while the rebuild runs would be
+// counted twice in the buckets being rebuilt.
+const { values } = parseArgs({
+  options: {
+    device: { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+  },
+});
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    console.error(`Invalid --${name} date: ${value}`);
+    process.exit(1);
+  }
+  return date;
+}
+
+const options = {
+  deviceId: values.device,
+  from: parseDate(values.from, "from"),
+  to: parseDate(values.to, "to"),
+};
+
+try {
+  await client.connect();
+  await initRollups();
+  console.log("Rebuilding rollups...", options);
+  const { processed } = await rebuildRollups(options);
+  console.log(`✅ Rebuilt rollups from ${processed} readings`);
+} catch (error) {
+  console.error("❌ Rollup rebuild failed:", error);
+  process.exitCode = 1;
+} finally {
+  await client.close();
+}
@@ -0,0 +1,45 @@
+import { parseArgs } from "util";
+import { client } from "../db.js";
+import { initSessions, rebuildSessions } from "../sessions.js";
+
+// npm run sessions:rebuild -- [--device <id>] [--from <date>] [--to <date>]
+//
+// Detects usage sessions in readings stored before session tracking existed,
+// or again after changing the SESSION_* thresholds. Stop the server first:
+// its live tracker would save the sessions in progress a second time.
+const { values } = parseArgs({
+  options: {
+    device: { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+  },
+});
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    console.error(`Invalid --${name} date: ${value}`);
+    process.exit(1);
+  }
+  return date;
+}
+
+const options = {
+  deviceId: values.device,
+  from: parseDate(values.from, "from"),
+  to: parseDate(values.to, "to"),
+};
+
+try {
+  await client.connect();
+  await initSessions();
+  console.log("Rebuilding usage sessions...", options);
+  const { deleted, inserted } = await rebuildSessions(options);
+  console.log(`✅ Replaced ${deleted} usage sessions with ${inserted}`);
+} catch (error) {
+  console.error("❌ Usage session rebuild failed:", error);
+  process.exitCode = 1;
+} finally {
+  await client.close();
+}
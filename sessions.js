@@ -0,0 +1,564 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import dotenv from "dotenv";
+import { requireRole } from "./auth.js";
+import { db, writeWhenAvailable } from "./db.js";
+import { loadDevice } from "./devices.js";
+import { computeIntervalEnergy, toEnergySample } from "./energy.js";
+import { publishEvent } from "./realtime.js";
+import { calculateCosts, getTariffForDevice } from "./tariffs.js";
+import { getPeriod, getZonedParts, loadTimezone } from "./timezone.js";
+
+dotenv.config();
+
+const deviceData = db.collection("device_data");
+const sessions = db.collection("usage_sessions");
+
+// A session starts when power reaches SESSION_ON_WATTS and ends once it has
+// stayed below SESSION_OFF_WATTS for SESSION_END_SECONDS; the gap between the
+// two thresholds keeps a fluctuating load from splitting into many sessions
+const ON_WATTS = Number(process.env.SESSION_ON_WATTS) || 10;
+const OFF_WATTS = Number(process.env.SESSION_OFF_WATTS) || 5;
+const END_AFTER_MS = (Number(process.env.SESSION_END_SECONDS) || 60) * 1000;
+// Shorter sessions are inrush spikes and are dropped
+const MIN_DURATION_MS = (Number(process.env.SESSION_MIN_SECONDS) || 30) * 1000;
+// Without a reading for this long the session ends at the last one, like
+// energy integration (server downtime, device offline, ...)
+const MAX_GAP_MS = 5 * 60 * 1000;
+// Open sessions are saved this often so a restart loses little
+const SAVE_INTERVAL_MS = 60 * 1000;
+
+const PERIODS = [
+  "today",
+  "last7days",
+  "last30days",
+  "isoWeek",
+  "calendarMonth",
+];
+// Standby power is the median idle reading, binned to this many watts
+const STANDBY_BIN_WATTS = 0.1;
+const HOURS_PER_MONTH = 30 * 24;
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Detector state per device, for the live stream
+const trackers = new Map();
+
+function toSession(doc) {
+  if (!doc) return null;
+  const { _id, open, lastSeenAt, ...rest } = doc;
+  return { id: _id.toString(), ...rest, ongoing: open };
+}
+
+function round(value, digits = 3) {
+  return Number(value.toFixed(digits));
+}
+
+function sessionFields(session) {
+  const durationMs = session.endedAt - session.startedAt;
+  return {
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    durationSec: Math.round(durationMs / 1000),
+    peakPower: session.peakPower,
+    avgPower:
+      durationMs > 0
+        ? round((session.energy * 3600 * 1000 * 1000) / durationMs, 1)
+        : null,
+    energy: round(session.energy, 5),
+    samples: session.samples,
+  };
+}
+
+// Feeds one energy sample ({ time, power, metered }) to a detector state and
+// returns what happened: { ended } with a finished session that is long
+// enough to keep, { started } once the current session is long enough to
+// keep, or {}. Times are ms; energy is kWh.
+export function stepSessionDetector(state, sample) {
+  const result = {};
+  const previous = state.last;
+  state.last = sample;
+  if (sample.power === null) return result;
+
+  let { session } = state;
+  if (session && previous && sample.time - previous.time > MAX_GAP_MS) {
+    result.ended = endSession(state, previous.time);
+    session = null;
+  }
+
+  if (session) {
+    session.energy += computeIntervalEnergy(previous, sample);
+    session.samples++;
+    session.peakPower = Math.max(session.peakPower, sample.power);
+
+    if (sample.power >= OFF_WATTS) {
+      session.quietSince = null;
+    } else if (session.quietSince === null) {
+      // Idle draw after the load stops belongs to standby, not the session
+      session.quietSince = sample.time;
+      session.energyAtQuiet = session.energy;
+    } else if (sample.time - session.quietSince >= END_AFTER_MS) {
+      result.ended = endSession(state);
+      return result;
+    }
+
+    if (
+      !session.kept &&
+      session.quietSince === null &&
+      sample.time - session.startedAt >= MIN_DURATION_MS
+    ) {
+      session.kept = true;
+      session.endedAt = sample.time;
+      result.started = sessionFields(session);
+    }
+    return result;
+  }
+
+  if (sample.power >= ON_WATTS) {
+    state.session = {
+      startedAt: sample.time,
+      endedAt: sample.time,
+      peakPower: sample.power,
+      energy: 0,
+      samples: 1,
+      quietSince: null,
+      energyAtQuiet: 0,
+      kept: false,
+    };
+  }
+  return result;
+}
+
+// Ends the session where the load stopped, or at `lastSeen` when readings
+// stopped first
+function endSession(state, lastSeen) {
+  const { session } = state;
+  state.session = null;
+  if (session.quietSince !== null) {
+    session.endedAt = session.quietSince;
+    session.energy = session.energyAtQuiet;
+  } else {
+    session.endedAt = lastSeen;
+  }
+  if (session.endedAt - session.startedAt < MIN_DURATION_MS) return undefined;
+  return sessionFields(session);
+}
+
+export function createSessionDetector() {
+  return { session: null, last: null };
+}
+
+function toDates(fields) {
+  return {
+    ...fields,
+    startedAt: new Date(fields.startedAt),
+    endedAt: new Date(fields.endedAt),
+  };
+}
+
+async function saveEnded(deviceId, tracker, fields) {
+  const update = { ...toDates(fields), open: false, lastSeenAt: null };
+  const id = tracker.openId ?? new ObjectId();
+  const saved = tracker.openId !== null;
+  tracker.openId = null;
+
+  const doc = { _id: id, deviceId, ...update };
+  await writeWhenAvailable(() =>
+    saved
+      ? sessions.updateOne({ _id: id }, { $set: update })
+      : // The session ended before it was ever saved (reading gap)
+        sessions.insertOne(doc),
+  );
+  console.log(
+    `🔌 ${deviceId} usage session ended: ${update.durationSec}s, ${update.energy} kWh`,
+  );
+  publishEvent(
+    "session",
+    { event: "ended", session: toSession(doc) },
+    deviceId,
+  );
+}
+
+// Follows usage sessions through the polled readings (device_data documents)
+export async function trackUsageSession(doc) {
+  let tracker = trackers.get(doc.deviceId);
+  if (!tracker) {
+    tracker = { state: createSessionDetector(), openId: null, savedAt: 0 };
+    trackers.set(doc.deviceId, tracker);
+  }
+
+  const sample = toEnergySample(doc);
+  const { started, ended } = stepSessionDetector(tracker.state, sample);
+
+  if (ended) await saveEnded(doc.deviceId, tracker, ended);
+
+  if (started) {
+    // The id is set here so that updates deferred while MongoDB is
+    // unreachable can refer to the session before it is inserted
+    const session = {
+      _id: new ObjectId(),
+      deviceId: doc.deviceId,
+      ...toDates(started),
+      open: true,
+      lastSeenAt: doc.timestamp,
+    };
+    await writeWhenAvailable(() => sessions.insertOne(session));
+    tracker.openId = session._id;
+    tracker.savedAt = sample.time;
+    publishEvent(
+      "session",
+      { event: "started", session: toSession(session) },
+      doc.deviceId,
+    );
+  } else if (
+    tracker.openId &&
+    tracker.state.session &&
+    sample.time - tracker.savedAt >= SAVE_INTERVAL_MS
+  ) {
+    tracker.state.session.endedAt = sample.time;
+    const id = tracker.openId;
+    const progress = {
+      ...toDates(sessionFields(tracker.state.session)),
+      lastSeenAt: doc.timestamp,
+    };
+    await writeWhenAvailable(
+      () => sessions.updateOne({ _id: id }, { $set: progress }),
+      `session:${id}`,
+    );
+    tracker.savedAt = sample.time;
+  }
+}
+
+export async function initSessions() {
+  await sessions.createIndex({ deviceId: 1, startedAt: -1 });
+  // Detector state lives in memory, so sessions left open by a restart end
+  // where they were last saved
+  await sessions.updateMany({ open: true }, [
+    { $set: { open: false, endedAt: "$lastSeenAt", lastSeenAt: null } },
+  ]);
+}
+
+// Re-detects usage sessions from the stored readings, replacing the finished
+// sessions saved between `from` and `to` (all devices and all time by
+// default). Used by `npm run sessions:rebuild`; the live tracker must not run
+// at the same time.
+export async function rebuildSessions({ deviceId, from, to } = {}) {
+  const deviceIds = deviceId
+    ? [deviceId]
+    : await deviceData.distinct("deviceId");
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lt = to;
+
+  let deleted = 0;
+  let inserted = 0;
+  for (const id of deviceIds) {
+    const filter = { deviceId: id, normalized: { $exists: true } };
+    if (from || to) filter.timestamp = range;
+    const cursor = deviceData
+      .find(filter, {
+        projection: {
+          timestamp: 1,
+          status: 1,
+          normalized: 1,
+          meteredEnergy: 1,
+        },
+      })
+      .sort({ timestamp: 1 });
+
+    const state = createSessionDetector();
+    const docs = [];
+    for await (const doc of cursor) {
+      const { ended } = stepSessionDetector(state, toEnergySample(doc));
+      if (ended) docs.push({ deviceId: id, ...toDates(ended), open: false });
+    }
+
+    const existing = { deviceId: id, open: false };
+    if (from || to) existing.startedAt = range;
+    const result = await sessions.deleteMany(existing);
+    if (docs.length > 0) await sessions.insertMany(docs);
+    deleted += result.deletedCount;
+    inserted += docs.length;
+    console.log(`${id}: ${docs.length} sessions`);
+  }
+  return { deleted, inserted };
+}
+
+// Usage per local day of a period: [{ date, sessions, durationSec, energy }]
+async function summarizeSessions(deviceId, period, timezone) {
+  const { label, start, end, dates } = getPeriod(period, timezone);
+  const docs = await sessions
+    .find({ deviceId, startedAt: { $gte: start, $lt: end } })
+    .sort({ startedAt: 1 })
+    .toArray();
+
+  const days = new Map(
+    dates.map((date) => [
+      date,
+      { date, sessions: 0, durationSec: 0, energy: 0, peakPower: null },
+    ]),
+  );
+  for (const doc of docs) {
+    const day = days.get(getZonedParts(doc.startedAt, timezone).date);
+    if (!day) continue;
+    day.sessions++;
+    day.durationSec += doc.durationSec;
+    day.energy += doc.energy;
+    day.peakPower = Math.max(day.peakPower ?? 0, doc.peakPower);
+  }
+
+  const totals = { sessions: docs.length, durationSec: 0, energy: 0 };
+  for (const day of days.values()) {
+    totals.durationSec += day.durationSec;
+    totals.energy += day.energy;
+    day.energy = round(day.energy, 5);
+  }
+  totals.energy = round(totals.energy, 5);
+  totals.avgDurationSec =
+    docs.length > 0 ? Math.round(totals.durationSec / docs.length) : null;
+  totals.avgEnergy =
+    docs.length > 0 ? round(totals.energy / docs.length, 5) : null;
+
+  return {
+    period: { name: period, label, start, end },
+    summary: totals,
+    days: [...days.values()],
+  };
+}
+
+// Median of a histogram of { value, count } bins sorted by value
+function histogramMedian(bins) {
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0);
+  let seen = 0;
+  for (const bin of bins) {
+    seen += bin.count;
+    if (seen * 2 >= total) return bin.value;
+  }
+  return null;
+}
+
+// Standby (phantom) load of a device over a period: the typical draw of
+// readings below SESSION_OFF_WATTS that are not 0 W (switched off), and the
+// share of the time spent there. Readings are 5 s apart, so their counts
+// stand in for time.
+export async function getStandbySummary(deviceId, period, timezone, tariff) {
+  const { label, start, end } = getPeriod(period, timezone);
+  const [result] = await deviceData
+    .aggregate([
+      {
+        $match: {
+          deviceId,
+          timestamp: { $gte: start, $lt: end },
+          "normalized.power": { $type: "number" },
+        },
+      },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          idle: [
+            { $match: { "normalized.power": { $gt: 0, $lt: OFF_WATTS } } },
+            {
+              $group: {
+                _id: {
+                  $multiply: [
+                    {
+                      $round: [
+                        { $divide: ["$normalized.power", STANDBY_BIN_WATTS] },
+                        0,
+                      ],
+                    },
+                    STANDBY_BIN_WATTS,
+                  ],
+                },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+        },
+      },
+    ])
+    .toArray();
+
+  const total = result.total[0]?.count ?? 0;
+  const bins = result.idle.map(({ _id, count }) => ({ value: _id, count }));
+  const idle = bins.reduce((sum, bin) => sum + bin.count, 0);
+  const watts = idle > 0 ? round(histogramMedian(bins), 1) : null;
+  const idleShare = total > 0 ? idle / total : null;
+
+  // Projected over a 30-day month with the same idle share, spread evenly
+  // over the hours so time-of-use rates apply in proportion; slab tariffs
+  // price it as if it were the only load
+  let monthly = null;
+  if (watts !== null) {
+    const energy = (watts * idleShare * HOURS_PER_MONTH) / 1000;
+    const hourly = Array.from({ length: HOURS_PER_MONTH }, (_, i) => ({
+      hour: i % 24,
+      energy: energy / HOURS_PER_MONTH,
+    }));
+    monthly = {
+      energy: round(energy, 3),
+      cost: tariff
+        ? round(
+            calculateCosts(hourly, tariff).reduce((sum, c) => sum + c, 0),
+            2,
+          )
+        : null,
+      currency: tariff?.currency ?? null,
+    };
+  }
+
+  return {
+    period: { name: period, label, start, end },
+    thresholdWatts: OFF_WATTS,
+    samples: total,
+    idleSamples: idle,
+    standbyWatts: watts,
+    idleSharePct: idleShare === null ? null : round(idleShare * 100, 1),
+    monthly,
+  };
+}
+
+// Returns { period } from the query, or { error }
+function parsePeriod(query, fallback) {
+  const { period = fallback } = query;
+  if (!PERIODS.includes(period)) {
+    return {
+      error: `Invalid period parameter. Must be one of: ${PERIODS.join(", ")}`,
+    };
+  }
+  return { period };
+}
+
+export const sessionsRouter = express.Router();
+
+sessionsRouter.get(
+  "/devices/:id/sessions",
+  requireRole("viewer"),
+  loadDevice,
+  async (req, res) => {
+    const { from, to, minDurationSec } = req.query;
+    const filter = { deviceId: req.device.id };
+
+    if (from !== undefined || to !== undefined) {
+      filter.startedAt = {};
+      for (const [param, op] of [
+        [from, "$gte"],
+        [to, "$lte"],
+      ]) {
+        if (param === undefined) continue;
+        const date = new Date(param);
+        if (Number.isNaN(date.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid from/to parameters. Must be ISO dates",
+          });
+        }
+        filter.startedAt[op] = date;
+      }
+    }
+    if (minDurationSec !== undefined) {
+      const seconds = Number(minDurationSec);
+      if (!Number.isFinite(seconds) || seconds < 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid minDurationSec parameter. Must be a positive number",
+        });
+      }
+      filter.durationSec = { $gte: seconds };
+    }
+
+    try {
+      const limit = Math.min(
+        Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT,
+        MAX_LIMIT,
+      );
+      const docs = await sessions
+        .find(filter)
+        .sort({ startedAt: -1 })
+        .limit(limit)
+        .toArray();
+      res.json({ success: true, data: docs.map(toSession) });
+    } catch (error) {
+      console.error("Error listing usage sessions:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to list usage sessions",
+        details: error.message,
+      });
+    }
+  },
+);
+
+sessionsRouter.get(
+  "/devices/:id/sessions/summary",
+  requireRole("viewer"),
+  loadDevice,
+  loadTimezone,
+  async (req, res) => {
+    const { period, error } = parsePeriod(req.query, "last7days");
+    if (error) return res.status(400).json({ success: false, error });
+
+    try {
+      const summary = await summarizeSessions(
+        req.device.id,
+        period,
+        req.timezone,
+      );
+      res.json({
+        success: true,
+        data: { deviceId: req.device.id, timezone: req.timezone, ...summary },
+      });
+    } catch (error) {
+      console.error("Error summarizing usage sessions:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to summarize usage sessions",
+        details: error.message,
+      });
+    }
+  },
+);
+
+sessionsRouter.get(
+  "/devices/:id/standby",
+  requireRole("viewer"),
+  loadDevice,
+  loadTimezone,
+  async (req, res) => {
+    const { period, error } = parsePeriod(req.query, "last7days");
+    if (error) return res.status(400).json({ success: false, error });
+
+    try {
+      const tariff = await getTariffForDevice(req.device);
+      const standby = await getStandbySummary(
+        req.device.id,
+        period,
+        req.timezone,
+        tariff,
+      );
+      res.json({
+        success: true,
+        data: {
+          deviceId: req.device.id,
+          timezone: req.timezone,
+          tariff: tariff && {
+            id: tariff.id,
+            name: tariff.name,
+            type: tariff.type,
+            currency: tariff.currency,
+          },
+          ...standby,
+        },
+      });
+    } catch (error) {
+      console.error("Error estimating standby load:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to estimate standby load",
+        details: error.message,
+      });
+    }
+  },
+);
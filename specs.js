@@ -0,0 +1,242 @@
+import express from "express";
+import dotenv from "dotenv";
+import { requireRole } from "./auth.js";
+import {
+  db,
+  isConnectionError,
+  isDatabaseAvailable,
+  reportDatabaseError,
+  writeWhenAvailable,
+} from "./db.js";
+import { loadDevice } from "./devices.js";
+import { fetchDeviceSpecification } from "./tuya.js";
+import { sendDeviceCommands } from "./transport.js";
+
+dotenv.config();
+
+const deviceSpecs = db.collection("device_specs");
+
+// Specifications rarely change; refetch them after this many hours
+const SPEC_TTL_MS = (Number(process.env.SPEC_CACHE_TTL_HOURS) || 24) * 3600000;
+
+const specCache = new Map();
+
+function toSpec(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { deviceId: _id, ...rest };
+}
+
+// Tuya describes each data point's constraints as a JSON string
+function parseDataPoints(items = []) {
+  return items.map(({ code, type, values, name, desc }) => {
+    let parsed = {};
+    try {
+      parsed = typeof values === "string" ? JSON.parse(values) : (values ?? {});
+    } catch {
+      console.warn(`⚠️ Unreadable spec values for ${code}: ${values}`);
+    }
+    return { code, type, values: parsed, name, desc };
+  });
+}
+
+// Stored specification of a device, or null when there is none or MongoDB
+// cannot be reached
+async function readStoredSpec(deviceId) {
+  if (!isDatabaseAvailable()) return null;
+  try {
+    return await deviceSpecs.findOne({ _id: deviceId });
+  } catch (error) {
+    if (!isConnectionError(error)) throw error;
+    reportDatabaseError(error);
+    return null;
+  }
+}
+
+// Cached specification of a device: { deviceId, category, functions, status,
+// fetchedAt }. A stale copy is served when Tuya cannot be reached; while
+// MongoDB is down, specifications come from memory or straight from Tuya.
+export async function getDeviceSpec(deviceId, { refresh = false } = {}) {
+  let doc = specCache.get(deviceId) ?? (await readStoredSpec(deviceId));
+  const isFresh = doc && Date.now() - doc.fetchedAt.getTime() < SPEC_TTL_MS;
+  if (doc && isFresh && !refresh) {
+    specCache.set(deviceId, doc);
+    return toSpec(doc);
+  }
+
+  try {
+    const spec = await fetchDeviceSpecification(deviceId);
+    doc = {
+      _id: deviceId,
+      category: spec.category ?? null,
+      functions: parseDataPoints(spec.functions),
+      status: parseDataPoints(spec.status),
+      fetchedAt: new Date(),
+    };
+    const fetched = doc;
+    await writeWhenAvailable(
+      () =>
+        deviceSpecs.replaceOne({ _id: deviceId }, fetched, { upsert: true }),
+      `spec:${deviceId}`,
+    );
+  } catch (error) {
+    if (!doc) throw error;
+    console.warn(
+      `⚠️ Using cached specification for ${deviceId}: ${error.message}`,
+    );
+  }
+
+  specCache.set(deviceId, doc);
+  return toSpec(doc);
+}
+
+// Returns an error message when `value` does not fit the data point, or null
+export function validateDataPointValue(dataPoint, value) {
+  const { code, type, values } = dataPoint;
+
+  switch (type) {
+    case "Boolean":
+      return typeof value === "boolean"
+        ? null
+        : `${code} must be true or false`;
+
+    case "Integer": {
+      const { min, max, step = 1 } = values;
+      if (!Number.isInteger(value)) return `${code} must be an integer`;
+      if (min !== undefined && value < min) return `${code} must be >= ${min}`;
+      if (max !== undefined && value > max) return `${code} must be <= ${max}`;
+      if (step > 1 && (value - (min ?? 0)) % step !== 0) {
+        return `${code} must be in steps of ${step}`;
+      }
+      return null;
+    }
+
+    case "Enum":
+      return Array.isArray(values.range) && values.range.includes(value)
+        ? null
+        : `${code} must be one of: ${(values.range ?? []).join(", ")}`;
+
+    case "Bitmap": {
+      const bits = values.maxlen ?? values.label?.length ?? 32;
+      return Number.isInteger(value) && value >= 0 && value < 2 ** bits
+        ? null
+        : `${code} must be a bitmap of at most ${bits} bits`;
+    }
+
+    case "String":
+    case "Raw": {
+      if (typeof value !== "string") return `${code} must be a string`;
+      const { maxlen } = values;
+      return maxlen && value.length > maxlen
+        ? `${code} must be at most ${maxlen} characters`
+        : null;
+    }
+
+    case "Json":
+      return value !== null && typeof value === "object"
+        ? null
+        : `${code} must be a JSON object`;
+
+    default:
+      return `${code} has unsupported type ${type}`;
+  }
+}
+
+// Returns { values: { code: value } } for a valid command list, or { error }
+function validateCommands(spec, commands) {
+  if (!Array.isArray(commands) || commands.length === 0) {
+    return {
+      error:
+        "Invalid commands parameter. Must be a non-empty array of { code, value }",
+    };
+  }
+
+  const functions = new Map(spec.functions.map((f) => [f.code, f]));
+  const values = {};
+  for (const command of commands) {
+    const { code, value } = command ?? {};
+    const dataPoint = functions.get(code);
+    if (!dataPoint) {
+      return {
+        error: `Unknown or read-only DP code: ${code}. Writable codes: ${[...functions.keys()].join(", ")}`,
+      };
+    }
+    if (code in values) return { error: `Duplicate DP code: ${code}` };
+
+    const error = validateDataPointValue(dataPoint, value);
+    if (error) return { error };
+    values[code] = value;
+  }
+  return { values };
+}
+
+export const specsRouter = express.Router();
+
+specsRouter.get(
+  "/devices/:id/spec",
+  requireRole("viewer"),
+  loadDevice,
+  async (req, res) => {
+    try {
+      const spec = await getDeviceSpec(req.device.id, {
+        refresh: req.query.refresh === "true",
+      });
+      res.json({ success: true, data: spec });
+    } catch (error) {
+      console.error("Error fetching device specification:", error);
+      res.status(502).json({
+        success: false,
+        error: "Failed to fetch device specification from Tuya API",
+        details: error.message,
+      });
+    }
+  },
+);
+
+specsRouter.post(
+  "/devices/:id/commands",
+  requireRole("operator"),
+  loadDevice,
+  async (req, res) => {
+    const deviceId = req.device.id;
+    let spec;
+    try {
+      spec = await getDeviceSpec(deviceId);
+    } catch (error) {
+      console.error("Error fetching device specification:", error);
+      return res.status(502).json({
+        success: false,
+        error: "Cannot validate commands without the device specification",
+        details: error.message,
+      });
+    }
+
+    const { values, error } = validateCommands(spec, req.body?.commands);
+    if (error) return res.status(400).json({ success: false, error });
+
+    try {
+      const result = await sendDeviceCommands(deviceId, values, {
+        source: "api",
+        actor: req.auth,
+        ip: req.ip,
+      });
+
+      if (result && result.success !== false) {
+        res.json({ success: true, data: { deviceId, values, result } });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: "Device rejected the commands",
+          data: result,
+        });
+      }
+    } catch (error) {
+      console.error("Error sending device commands:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to send device commands",
+        details: error.message,
+      });
+    }
+  },
+);
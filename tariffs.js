@@ -0,0 +1,309 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+import { requireRole } from "./auth.js";
+import { db } from "./db.js";
+
+const tariffs = db.collection("tariffs");
+const devices = db.collection("devices");
+
+const TARIFF_TYPES = ["flat", "tiered", "tou"];
+
+function toTariff(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id.toString(), ...rest };
+}
+
+function parseId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+function isRate(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+function isHour(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 24;
+}
+
+// Returns { tariff } with the fields to store, or { error }
+function validateTariffInput(body) {
+  const { name, type, currency = "BDT", isDefault = false } = body;
+
+  if (typeof name !== "string" || name.trim() === "") {
+    return { error: "Invalid name parameter. Must be a non-empty string" };
+  }
+  if (!TARIFF_TYPES.includes(type)) {
+    return {
+      error: `Invalid type parameter. Must be one of: ${TARIFF_TYPES.join(", ")}`,
+    };
+  }
+  if (typeof currency !== "string" || currency.trim() === "") {
+    return { error: "Invalid currency parameter. Must be a non-empty string" };
+  }
+  if (typeof isDefault !== "boolean") {
+    return { error: "Invalid isDefault parameter. Must be true or false" };
+  }
+
+  const tariff = {
+    name: name.trim(),
+    type,
+    currency: currency.trim(),
+    isDefault,
+  };
+
+  if (type === "flat") {
+    if (!isRate(body.rate)) {
+      return { error: "Flat tariffs need a non-negative rate per kWh" };
+    }
+    tariff.rate = body.rate;
+  }
+
+  if (type === "tiered") {
+    const { tiers } = body;
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      return { error: "Tiered tariffs need a non-empty tiers array" };
+    }
+    let previousLimit = 0;
+    for (const [i, tier] of tiers.entries()) {
+      const isLast = i === tiers.length - 1;
+      if (!isRate(tier?.rate)) {
+        return { error: `Tier ${i + 1} needs a non-negative rate per kWh` };
+      }
+      if (tier.upTo === null || tier.upTo === undefined) {
+        if (!isLast) {
+          return { error: "Only the last tier may leave upTo unbounded" };
+        }
+      } else if (!isRate(tier.upTo) || tier.upTo <= previousLimit) {
+        return {
+          error: `Tier ${i + 1} upTo must be greater than the previous tier`,
+        };
+      } else {
+        previousLimit = tier.upTo;
+      }
+    }
+    tariff.tiers = tiers.map((tier) => ({
+      upTo: tier.upTo ?? null,
+      rate: tier.rate,
+    }));
+  }
+
+  if (type === "tou") {
+    const { periods } = body;
+    if (!isRate(body.rate)) {
+      return {
+        error: "Time-of-use tariffs need a rate for hours outside any period",
+      };
+    }
+    if (!Array.isArray(periods) || periods.length === 0) {
+      return { error: "Time-of-use tariffs need a non-empty periods array" };
+    }
+    for (const [i, period] of periods.entries()) {
+      if (
+        !isHour(period?.startHour) ||
+        !isHour(period.endHour) ||
+        period.startHour === period.endHour
+      ) {
+        return {
+          error: `Period ${i + 1} needs distinct startHour and endHour between 0 and 24`,
+        };
+      }
+      if (!isRate(period.rate)) {
+        return { error: `Period ${i + 1} needs a non-negative rate per kWh` };
+      }
+    }
+    tariff.rate = body.rate;
+    tariff.periods = periods.map(({ startHour, endHour, rate }) => ({
+      startHour,
+      endHour,
+      rate,
+    }));
+  }
+
+  return { tariff };
+}
+
+// Tariff assigned to the device, falling back to the default tariff
+export async function getTariffForDevice(device) {
+  if (device.tariffId) {
+    const id = parseId(device.tariffId);
+    const tariff = id && (await tariffs.findOne({ _id: id }));
+    if (tariff) return toTariff(tariff);
+  }
+  return toTariff(await tariffs.findOne({ isDefault: true }));
+}
+
+export async function tariffExists(id) {
+  const _id = parseId(id);
+  return Boolean(_id && (await tariffs.countDocuments({ _id }, { limit: 1 })));
+}
+
+function touRate(tariff, hour) {
+  const period = tariff.periods.find(({ startHour, endHour }) =>
+    startHour < endHour
+      ? hour >= startHour && hour < endHour
+      : hour >= startHour || hour < endHour,
+  );
+  return period ? period.rate : tariff.rate;
+}
+
+// Cost of `kWh` on a slab tariff when `consumed` kWh were already used
+function tieredCost(tiers, kWh, consumed) {
+  let cost = 0;
+  let remaining = kWh;
+  let position = consumed;
+
+  for (const tier of tiers) {
+    const limit = tier.upTo ?? Infinity;
+    if (position >= limit) continue;
+    const inTier = Math.min(remaining, limit - position);
+    cost += inTier * tier.rate;
+    remaining -= inTier;
+    position += inTier;
+    if (remaining <= 0) break;
+  }
+  if (remaining > 0) cost += remaining * tiers[tiers.length - 1].rate;
+
+  return cost;
+}
+
+// Prices chronologically ordered hourly entries ({ hour, energy } in kWh).
+// Slabs of a tiered tariff count from the first entry, so pass one billing
+// period at a time. Returns the cost of each entry in the same order.
+export function calculateCosts(entries, tariff) {
+  if (!tariff) return entries.map(() => null);
+
+  let consumed = 0;
+  return entries.map(({ hour, energy }) => {
+    let cost;
+    if (tariff.type === "flat") cost = energy * tariff.rate;
+    if (tariff.type === "tou") cost = energy * touRate(tariff, hour);
+    if (tariff.type === "tiered") {
+      cost = tieredCost(tariff.tiers, energy, consumed);
+    }
+    consumed += energy;
+    return cost;
+  });
+}
+
+async function clearOtherDefaults(id) {
+  await tariffs.updateMany(
+    { _id: { $ne: id }, isDefault: true },
+    { $set: { isDefault: false } },
+  );
+}
+
+export const tariffsRouter = express.Router();
+
+tariffsRouter.get("/tariffs", requireRole("viewer"), async (req, res) => {
+  try {
+    const docs = await tariffs.find({}).sort({ name: 1 }).toArray();
+    res.json({ success: true, data: docs.map(toTariff) });
+  } catch (error) {
+    console.error("Error listing tariffs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list tariffs",
+      details: error.message,
+    });
+  }
+});
+
+tariffsRouter.post("/tariffs", requireRole("admin"), async (req, res) => {
+  try {
+    const { tariff, error } = validateTariffInput(req.body ?? {});
+    if (error) return res.status(400).json({ success: false, error });
+
+    const now = new Date();
+    const doc = { ...tariff, createdAt: now, updatedAt: now };
+    const { insertedId } = await tariffs.insertOne(doc);
+    if (doc.isDefault) await clearOtherDefaults(insertedId);
+
+    res.status(201).json({ success: true, data: toTariff(doc) });
+  } catch (error) {
+    console.error("Error creating tariff:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create tariff",
+      details: error.message,
+    });
+  }
+});
+
+// Resolves :id to a stored tariff document
+async function loadTariff(req, res, next) {
+  const id = parseId(req.params.id);
+  const doc = id && (await tariffs.findOne({ _id: id }));
+  if (!doc) {
+    return res.status(404).json({
+      success: false,
+      error: `Tariff ${req.params.id} not found`,
+    });
+  }
+  req.tariff = doc;
+  next();
+}
+
+tariffsRouter.get(
+  "/tariffs/:id",
+  requireRole("viewer"),
+  loadTariff,
+  (req, res) => {
+    res.json({ success: true, data: toTariff(req.tariff) });
+  },
+);
+
+// Partial updates are merged over the stored tariff and revalidated
+tariffsRouter.patch(
+  "/tariffs/:id",
+  requireRole("admin"),
+  loadTariff,
+  async (req, res) => {
+    try {
+      const { _id, createdAt } = req.tariff;
+      const { tariff, error } = validateTariffInput({
+        ...req.tariff,
+        ...req.body,
+      });
+      if (error) return res.status(400).json({ success: false, error });
+
+      const doc = { ...tariff, createdAt, updatedAt: new Date() };
+      await tariffs.replaceOne({ _id }, doc);
+      if (doc.isDefault) await clearOtherDefaults(_id);
+
+      res.json({ success: true, data: toTariff({ _id, ...doc }) });
+    } catch (error) {
+      console.error("Error updating tariff:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update tariff",
+        details: error.message,
+      });
+    }
+  },
+);
+
+tariffsRouter.delete(
+  "/tariffs/:id",
+  requireRole("admin"),
+  loadTariff,
+  async (req, res) => {
+    try {
+      const { _id } = req.tariff;
+      await tariffs.deleteOne({ _id });
+      await devices.updateMany(
+        { tariffId: _id.toString() },
+        { $unset: { tariffId: "" } },
+      );
+
+      res.json({ success: true, data: toTariff(req.tariff) });
+    } catch (error) {
+      console.error("Error deleting tariff:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete tariff",
+        details: error.message,
+      });
+    }
+  },
+);
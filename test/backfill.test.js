@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SCALES } from "../readings.js";
+
+process.env.GAP_MIN_SECONDS = "60";
+process.env.BACKFILL_STEP_SECONDS = "60";
+const { buildReadings, gapsInWindow } = await import("../backfill.js");
+
+const FROM = new Date("2026-10-19T00:00:00Z");
+const TO = new Date("2026-10-19T01:00:00Z");
+
+function at(minutes) {
+  return new Date(FROM.getTime() + minutes * 60 * 1000);
+}
+
+function every30s(fromMinutes, toMinutes) {
+  const timestamps = [];
+  for (let m = fromMinutes; m <= toMinutes; m += 0.5) timestamps.push(at(m));
+  return timestamps;
+}
+
+function spans(gaps) {
+  return gaps.map(({ start, end }) => [
+    (start - FROM) / 60000,
+    (end - FROM) / 60000,
+  ]);
+}
+
+test("readings further apart than the minimum gap leave a gap", () => {
+  const gaps = gapsInWindow(
+    [...every30s(0, 10), ...every30s(25, 60)],
+    FROM,
+    TO,
+    at(-60),
+  );
+  assert.deepEqual(spans(gaps), [[10, 25]]);
+  assert.equal(gaps[0].durationSec, 15 * 60);
+});
+
+test("missing readings at the end of the window are a gap", () => {
+  const gaps = gapsInWindow(every30s(0, 40), FROM, TO, at(-60));
+  assert.deepEqual(spans(gaps), [[40, 60]]);
+});
+
+test("a device registered inside the window has no gap before it", () => {
+  // Registered at 00:20, first reported at 00:22
+  assert.deepEqual(spans(gapsInWindow(every30s(22, 60), FROM, TO, at(20))), [
+    [20, 22],
+  ]);
+  // First reading at 00:30, registered later
+  assert.deepEqual(spans(gapsInWindow(every30s(30, 50), FROM, TO, at(30))), [
+    [50, 60],
+  ]);
+});
+
+test("a device tracked from after the window, or never, has no gaps", () => {
+  assert.deepEqual(gapsInWindow([], FROM, TO, at(90)), []);
+  assert.deepEqual(gapsInWindow([], FROM, TO, null), []);
+  assert.deepEqual(spans(gapsInWindow([], FROM, TO, at(-1))), [[0, 60]]);
+});
+
+function report(minutes, code, value) {
+  return { event_id: 7, event_time: at(minutes).getTime(), code, value };
+}
+
+test("backfilled readings carry the energy of the add_ele reports", () => {
+  const gap = { start: at(0), end: at(5) };
+  const docs = buildReadings(
+    "plug1",
+    gap,
+    [
+      report(0.5, "cur_power", "10000"),
+      report(0.5, "add_ele", "12"),
+      report(1.5, "add_ele", "17"),
+      report(1.8, "add_ele", "3"),
+      report(3.5, "add_ele", "16"),
+    ],
+    [{ code: "add_ele", value: 40 }],
+    DEFAULT_SCALES,
+  );
+
+  assert.deepEqual(
+    docs.map((doc) => doc.meteredEnergy),
+    [0.012, 0.02, 0, 0.016],
+  );
+  assert.equal(docs[0].normalized.power, 1000);
+  assert.equal(docs[1].normalized.energyTotal, 0.003);
+});
+
+test("backfilled readings of devices without add_ele have no metered energy", () => {
+  const docs = buildReadings(
+    "plug1",
+    { start: at(0), end: at(3) },
+    [report(0.5, "cur_power", "10000")],
+    null,
+    DEFAULT_SCALES,
+  );
+  assert.equal(docs.length, 2);
+  assert.ok(docs.every((doc) => doc.meteredEnergy === undefined));
+});
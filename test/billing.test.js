@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { budgetStatus, findCrossedThresholds } from "../billing.js";
+
+function budget(fields = {}) {
+  return {
+    _id: new ObjectId(),
+    deviceId: "plug1",
+    name: "Heater",
+    metric: "cost",
+    amount: 2000,
+    thresholds: [50, 80, 100],
+    ...fields,
+  };
+}
+
+function usage(cost, projectedCost = null, cycle = "2026-10-01") {
+  return {
+    cycle: { label: cycle },
+    toDate: { energy: cost / 8, cost },
+    projection:
+      projectedCost === null
+        ? null
+        : { energy: projectedCost / 8, cost: projectedCost },
+  };
+}
+
+test("reports usage and projection as percentages of the budget", () => {
+  const status = budgetStatus(budget(), usage(1234, 2466));
+  assert.equal(status.cycle, "2026-10-01");
+  assert.equal(status.usedPct, 61.7);
+  assert.equal(status.projectedPct, 123.3);
+
+  const energy = budgetStatus(
+    budget({ metric: "energy", amount: 100 }),
+    usage(400),
+  );
+  assert.equal(energy.usedPct, 50);
+  assert.equal(energy.projectedPct, null);
+});
+
+test("crosses every threshold reached that was not notified yet", () => {
+  const b = budget({ notified: { cycle: "2026-10-01", thresholds: [50] } });
+  assert.deepEqual(findCrossedThresholds(b, budgetStatus(b, usage(1700))), {
+    newCycle: false,
+    crossed: [80],
+  });
+  assert.deepEqual(findCrossedThresholds(b, budgetStatus(b, usage(2000))), {
+    newCycle: false,
+    crossed: [80, 100],
+  });
+  assert.deepEqual(
+    findCrossedThresholds(b, budgetStatus(b, usage(900))).crossed,
+    [],
+  );
+});
+
+test("a new cycle notifies its thresholds again", () => {
+  const b = budget({
+    notified: { cycle: "2026-09-01", thresholds: [50, 80, 100] },
+  });
+  const status = budgetStatus(b, usage(1100, null, "2026-10-01"));
+  assert.deepEqual(findCrossedThresholds(b, status), {
+    newCycle: true,
+    crossed: [50],
+  });
+});
+
+test("nothing is crossed without usage in the budget's metric", () => {
+  const b = budget();
+  const status = budgetStatus(b, {
+    cycle: { label: "2026-10-01" },
+    toDate: { energy: 12, cost: null },
+    projection: null,
+  });
+  assert.equal(status.usedPct, null);
+  assert.deepEqual(findCrossedThresholds(b, status).crossed, []);
+});
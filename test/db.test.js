@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { BSON } from "mongodb";
+
+// A stand-in mongod that answers the driver's handshake (OP_QUERY) and every
+// later command (OP_MSG) with { ok: 1 }, enough for pings to succeed
+const OP_REPLY = 1;
+const OP_QUERY = 2004;
+const OP_MSG = 2013;
+
+const HELLO = {
+  ismaster: true,
+  helloOk: true,
+  maxBsonObjectSize: 16 * 1024 * 1024,
+  maxMessageSizeBytes: 48000000,
+  maxWriteBatchSize: 100000,
+  minWireVersion: 0,
+  maxWireVersion: 21,
+  logicalSessionTimeoutMinutes: 30,
+  connectionId: 1,
+  ok: 1,
+};
+
+function header(length, responseTo, opCode) {
+  const buffer = Buffer.alloc(16);
+  buffer.writeInt32LE(length, 0);
+  buffer.writeInt32LE(0, 4);
+  buffer.writeInt32LE(responseTo, 8);
+  buffer.writeInt32LE(opCode, 12);
+  return buffer;
+}
+
+function reply(requestId, opCode, doc) {
+  const body = Buffer.from(BSON.serialize({ ...doc, localTime: new Date() }));
+  if (opCode === OP_QUERY) {
+    const fields = Buffer.alloc(20);
+    fields.writeInt32LE(1, 16); // numberReturned
+    return Buffer.concat([
+      header(16 + 20 + body.length, requestId, OP_REPLY),
+      fields,
+      body,
+    ]);
+  }
+  const fields = Buffer.alloc(5); // flagBits, then a kind 0 section
+  return Buffer.concat([
+    header(16 + 5 + body.length, requestId, OP_MSG),
+    fields,
+    body,
+  ]);
+}
+
+function commandOf(message, opCode) {
+  let offset = 16;
+  if (opCode === OP_QUERY) {
+    offset += 4;
+    offset = message.indexOf(0, offset) + 1 + 8; // collection name, skip/limit
+  } else {
+    offset += 5;
+  }
+  const size = message.readInt32LE(offset);
+  return BSON.deserialize(message.subarray(offset, offset + size));
+}
+
+function startFakeMongo(port) {
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+    let buffer = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= 4 && buffer.length >= buffer.readInt32LE(0)) {
+        const message = buffer.subarray(0, buffer.readInt32LE(0));
+        buffer = buffer.subarray(message.length);
+        const opCode = message.readInt32LE(12);
+        const command = commandOf(message, opCode);
+        const isHello = "hello" in command || "ismaster" in command;
+        socket.write(
+          reply(message.readInt32LE(4), opCode, isHello ? HELLO : { ok: 1 }),
+        );
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () =>
+      resolve({
+        close: () => {
+          sockets.forEach((socket) => socket.destroy());
+          return new Promise((done) => server.close(done));
+        },
+      }),
+    );
+  });
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test("connects and runs deferred writes once MongoDB comes up after starting during an outage", async () => {
+  const port = await freePort();
+  process.env.MONGO_URI = `mongodb://127.0.0.1:${port}/?directConnection=true`;
+  process.env.MONGO_CHECK_SECONDS = "0.2";
+  process.env.MONGO_SERVER_SELECTION_TIMEOUT_MS = "300";
+  const { client, connectDatabase, isDatabaseAvailable, writeWhenAvailable } =
+    await import("../db.js");
+
+  const connected = connectDatabase();
+  await sleep(1000);
+  assert.equal(isDatabaseAvailable(), false);
+
+  const written = [];
+  const write = (name) => async () => written.push(name);
+  assert.equal(await writeWhenAvailable(write("insert")), undefined);
+  await writeWhenAvailable(write("first progress"), "progress");
+  await writeWhenAvailable(write("close"));
+  await writeWhenAvailable(write("last progress"), "progress");
+  assert.deepEqual(written, []);
+
+  const mongo = await startFakeMongo(port);
+  try {
+    await Promise.race([
+      connected,
+      sleep(5000).then(() => {
+        throw new Error("waitForDatabase did not resolve");
+      }),
+    ]);
+    assert.equal(isDatabaseAvailable(), true);
+    await sleep(50);
+    assert.deepEqual(written, ["insert", "close", "last progress"]);
+  } finally {
+    await client.close();
+    await mongo.close();
+  }
+});
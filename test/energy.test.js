@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeIntervalEnergy, toEnergySample } from "../energy.js";
+
+function reading(seconds, power, addEle) {
+  return {
+    timestamp: new Date(seconds * 1000),
+    normalized: { power, voltage: 230, current: null, energyTotal: addEle },
+  };
+}
+
+function totalEnergy(docs) {
+  const samples = docs.map(toEnergySample);
+  let energy = 0;
+  for (let i = 1; i < samples.length; i++) {
+    energy += computeIntervalEnergy(samples[i - 1], samples[i]);
+  }
+  return energy;
+}
+
+// 1 kW for 60 s is 1/60 kWh
+const EXPECTED = 1 / 60;
+
+test("integrates power when add_ele repeats the last report's increment", () => {
+  const docs = [0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60].map((s) =>
+    reading(s, 1000, 0.017),
+  );
+  assert.ok(Math.abs(totalEnergy(docs) - EXPECTED) < 1e-9);
+});
+
+test("integrates power when add_ele is a running counter", () => {
+  const docs = [0, 15, 30, 45, 60].map((s) =>
+    reading(s, 1000, 12.3 + s / 3600),
+  );
+  assert.ok(Math.abs(totalEnergy(docs) - EXPECTED) < 1e-9);
+});
+
+test("counts nothing across gaps or missing power", () => {
+  const sample = (seconds, power) =>
+    toEnergySample(reading(seconds, power, null));
+  assert.equal(computeIntervalEnergy(sample(0, 500), sample(301, 500)), 0);
+  assert.equal(computeIntervalEnergy(sample(0, null), sample(5, 500)), 0);
+  assert.equal(computeIntervalEnergy(sample(5, 500), sample(5, 500)), 0);
+});
+
+test("uses the energy metered by add_ele reports when a reading has it", () => {
+  const prev = toEnergySample(reading(0, 1000, null));
+  const metered = { ...reading(60, 1000, 0.02), meteredEnergy: 0.02 };
+  assert.equal(computeIntervalEnergy(prev, toEnergySample(metered)), 0.02);
+  // Not across gaps either
+  const late = { ...reading(400, 1000, 0.02), meteredEnergy: 0.02 };
+  assert.equal(computeIntervalEnergy(prev, toEnergySample(late)), 0);
+});
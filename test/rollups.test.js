@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeIntervalEnergy } from "../energy.js";
+import { buildRollupUpdates, mergeRollups, metricStats } from "../rollups.js";
+
+function reading(timestamp, normalized) {
+  return {
+    deviceId: "plug1",
+    timestamp: new Date(timestamp),
+    normalized: { power: null, voltage: null, current: null, ...normalized },
+  };
+}
+
+test("a reading lands in the bucket it falls in at every resolution", () => {
+  const updates = buildRollupUpdates(
+    reading("2026-10-19T10:37:12.500Z", { power: 100 }),
+    0.001,
+  );
+  assert.deepEqual(
+    Object.fromEntries(
+      updates.map(({ resolution, filter }) => [
+        resolution,
+        filter.bucket.toISOString(),
+      ]),
+    ),
+    {
+      minute: "2026-10-19T10:37:00.000Z",
+      quarter: "2026-10-19T10:30:00.000Z",
+      hour: "2026-10-19T10:00:00.000Z",
+      day: "2026-10-19T00:00:00.000Z",
+    },
+  );
+  assert.ok(updates.every(({ filter }) => filter.deviceId === "plug1"));
+});
+
+test("metrics a reading lacks are left out of its bucket", () => {
+  const [{ update }] = buildRollupUpdates(
+    reading("2026-10-19T10:37:00Z", { power: 120.4, voltage: 231 }),
+    0,
+  );
+  assert.equal(update.$inc.count, 1);
+  assert.equal(update.$inc["power.count"], 1);
+  assert.equal(update.$inc["power.sum"], 120.4);
+  assert.equal(update.$inc["power.hist.120"], 1);
+  assert.equal(update.$inc["voltage.hist.462"], 1);
+  assert.equal(update.$min["voltage.min"], 231);
+  assert.equal(update.$inc["current.count"], undefined);
+  assert.equal(update.$inc["current.sum"], undefined);
+  assert.equal(update.$min["current.min"], undefined);
+  assert.equal(update.$max["current.max"], undefined);
+
+  const [{ update: empty }] = buildRollupUpdates(
+    reading("2026-10-19T10:37:00Z", {}),
+    0,
+  );
+  assert.deepEqual(empty, { $inc: { count: 1, energy: 0 } });
+});
+
+test("merged buckets average each metric over the readings that had it", () => {
+  const merged = mergeRollups([
+    {
+      count: 3,
+      power: {
+        count: 3,
+        sum: 300,
+        sumSq: 30000,
+        min: 100,
+        max: 100,
+        hist: { 100: 3 },
+      },
+      current: {
+        count: 1,
+        sum: 0.5,
+        sumSq: 0.25,
+        min: 0.5,
+        max: 0.5,
+        hist: { 50: 1 },
+      },
+    },
+    {
+      count: 1,
+      power: { count: 1, sum: 500, sumSq: 250000, min: 500, max: 500 },
+    },
+  ]);
+
+  assert.equal(merged.count, 4);
+  assert.equal(merged.power.count, 4);
+  assert.equal(merged.power.min, 100);
+  assert.equal(merged.power.max, 500);
+  // The second bucket had no histogram
+  assert.equal(merged.power.hist, undefined);
+
+  const power = metricStats("power", merged.power, merged.count);
+  assert.equal(power.avg, 200);
+  assert.ok(Math.abs(power.stddev - Math.sqrt(70000 - 200 * 200)) < 1e-6);
+  assert.equal(power.p95, null);
+
+  const current = metricStats("current", merged.current, merged.count);
+  assert.equal(current.avg, 0.5);
+  assert.equal(current.min, 0.5);
+  assert.equal(metricStats("voltage", merged.voltage, merged.count), null);
+});
+
+test("buckets without per-metric counts count every reading", () => {
+  const merged = mergeRollups([
+    { count: 2, power: { sum: 300, min: 100, max: 200 } },
+  ]);
+  assert.equal(merged.power.count, 2);
+  assert.equal(metricStats("power", merged.power, merged.count).avg, 150);
+  assert.equal(metricStats("power", { sum: 90 }, 3).avg, 30);
+});
+
+test("energy between readings is the trapezoid under the power curve", () => {
+  // 1 kW rising to 2 kW over 60 s
+  const energy = computeIntervalEnergy(
+    { time: 0, power: 1000 },
+    { time: 60 * 1000, power: 2000 },
+  );
+  assert.ok(Math.abs(energy - 1.5 / 60) < 1e-12);
+});
+
+test("no energy is counted across gaps longer than five minutes", () => {
+  const prev = { time: 0, power: 1000 };
+  assert.ok(computeIntervalEnergy(prev, { time: 5 * 60 * 1000, power: 1000 }));
+  assert.equal(
+    computeIntervalEnergy(prev, { time: 5 * 60 * 1000 + 1, power: 1000 }),
+    0,
+  );
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { stepRule } from "../rules.js";
+
+const idle = { state: "idle", pendingSince: null, lastFiredAt: null };
+
+function rule(fields = {}) {
+  return {
+    operator: ">",
+    threshold: 1000,
+    clearThreshold: null,
+    durationSec: 0,
+    cooldownSec: 0,
+    ...fields,
+  };
+}
+
+// Feeds [seconds, value] pairs to a rule and returns the events it raised
+function run(rule, values) {
+  let runtime = idle;
+  const events = [];
+  for (const [seconds, value] of values) {
+    const step = stepRule(rule, runtime, value, new Date(seconds * 1000));
+    runtime = step.runtime;
+    if (step.event) events.push([seconds, step.event]);
+  }
+  return { runtime, events };
+}
+
+test("fires once the condition holds and recovers once it no longer does", () => {
+  const { events } = run(rule(), [
+    [0, 900],
+    [5, 1200],
+    [10, 1300],
+    [15, 950],
+  ]);
+  assert.deepEqual(events, [
+    [5, "fired"],
+    [15, "recovered"],
+  ]);
+});
+
+test("hysteresis keeps the rule active until the value passes clearThreshold", () => {
+  const { events } = run(rule({ clearThreshold: 800 }), [
+    [0, 1200],
+    [5, 950],
+    [10, 1100],
+    [15, 850],
+    [20, 800],
+    [25, 1050],
+  ]);
+  assert.deepEqual(events, [
+    [0, "fired"],
+    [20, "recovered"],
+    [25, "fired"],
+  ]);
+});
+
+test("hysteresis works the other way round for below-threshold rules", () => {
+  const { events } = run(
+    rule({ operator: "<", threshold: 200, clearThreshold: 210 }),
+    [
+      [0, 195],
+      [5, 205],
+      [10, 211],
+    ],
+  );
+  assert.deepEqual(events, [
+    [0, "fired"],
+    [10, "recovered"],
+  ]);
+});
+
+test("waits for the condition to hold for durationSec", () => {
+  const { events, runtime } = run(rule({ durationSec: 30 }), [
+    [0, 1200],
+    [20, 1200],
+    [25, 900],
+    [30, 1200],
+    [55, 1200],
+  ]);
+  assert.deepEqual(events, []);
+  assert.deepEqual(runtime, {
+    state: "pending",
+    pendingSince: new Date(30 * 1000),
+    lastFiredAt: null,
+  });
+  assert.equal(
+    stepRule(rule({ durationSec: 30 }), runtime, 1200, new Date(60 * 1000))
+      .event,
+    "fired",
+  );
+});
+
+test("does not fire again within the cooldown", () => {
+  const { events } = run(rule({ cooldownSec: 60 }), [
+    [0, 1200],
+    [10, 900],
+    [20, 1200],
+    [70, 1200],
+  ]);
+  assert.deepEqual(events, [
+    [0, "fired"],
+    [10, "recovered"],
+    [70, "fired"],
+  ]);
+});
+
+test("returns the same runtime when nothing changes", () => {
+  const active = {
+    state: "active",
+    pendingSince: null,
+    lastFiredAt: new Date(),
+  };
+  assert.equal(stepRule(rule(), idle, 900, new Date()).runtime, idle);
+  assert.equal(stepRule(rule(), active, 1500, new Date()).runtime, active);
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  listDueOccurrences,
+  listOccurrences,
+  planDueRuns,
+} from "../schedules.js";
+
+const weekly = {
+  type: "weekly",
+  timezone: "Asia/Dhaka",
+  days: [1, 2, 3, 4, 5],
+  times: [
+    { time: "08:00", state: true },
+    { time: "18:30", state: false },
+  ],
+};
+
+test("lists weekly occurrences on the schedule's days in its timezone", () => {
+  // Friday 2026-10-16 00:00 to Tuesday 2026-10-20 00:00, Dhaka time (UTC+6)
+  const occurrences = listOccurrences(
+    weekly,
+    new Date("2026-10-15T18:00:00Z"),
+    new Date("2026-10-19T18:00:00Z"),
+  );
+  assert.deepEqual(
+    occurrences.map(({ at, state }) => [at.toISOString(), state]),
+    [
+      ["2026-10-16T02:00:00.000Z", true],
+      ["2026-10-16T12:30:00.000Z", false],
+      ["2026-10-19T02:00:00.000Z", true],
+      ["2026-10-19T12:30:00.000Z", false],
+    ],
+  );
+});
+
+test("shifts times skipped by a DST jump forward by the gap", () => {
+  const schedule = {
+    type: "weekly",
+    timezone: "Europe/Berlin",
+    days: [0],
+    times: [{ time: "02:30", state: true }],
+  };
+  // 2026-03-29 02:00 does not exist in Berlin; clocks go to 03:00 (UTC+2)
+  const [occurrence] = listOccurrences(
+    schedule,
+    new Date("2026-03-28T12:00:00Z"),
+    new Date("2026-03-30T00:00:00Z"),
+  );
+  assert.equal(occurrence.at.toISOString(), "2026-03-29T01:30:00.000Z");
+});
+
+test("lists a one-off schedule only inside the window", () => {
+  const once = {
+    type: "once",
+    timezone: "Asia/Dhaka",
+    runAt: "2026-10-20T07:15",
+    state: false,
+  };
+  const at = new Date("2026-10-20T01:15:00Z");
+  assert.deepEqual(listOccurrences(once, new Date(at - 1), at), [
+    { at, state: false },
+  ]);
+  assert.deepEqual(listOccurrences(once, at, new Date(at.getTime() + 1)), []);
+});
+
+// Server down from Friday morning to Monday 10:00 Dhaka time
+const now = new Date("2026-10-19T04:00:00Z");
+const due = listOccurrences(weekly, new Date("2026-10-16T01:00:00Z"), now);
+
+test("catchup runs only the latest missed occurrence", () => {
+  const { run, skipped } = planDueRuns(due, now, "catchup");
+  assert.deepEqual(run, { at: new Date("2026-10-19T02:00:00Z"), state: true });
+  assert.deepEqual(
+    skipped.map(({ at, reason }) => [at.toISOString(), reason]),
+    [
+      ["2026-10-16T02:00:00.000Z", "superseded by a later missed run"],
+      ["2026-10-16T12:30:00.000Z", "superseded by a later missed run"],
+    ],
+  );
+});
+
+test("skip runs none of the missed occurrences", () => {
+  const { run, skipped } = planDueRuns(due, now, "skip");
+  assert.equal(run, null);
+  assert.equal(skipped.length, 3);
+  assert.equal(skipped[2].reason, "missed while the server was unavailable");
+});
+
+test("skip still runs an occurrence that is due within the grace period", () => {
+  const occurrence = { at: new Date(now.getTime() - 60 * 1000), state: false };
+  assert.deepEqual(planDueRuns([occurrence], now, "skip"), {
+    run: occurrence,
+    skipped: [],
+  });
+});
+
+test("catchup runs the latest occurrence however many were missed", () => {
+  // Every hour, on the hour, for the 30 days the server was down
+  const hourly = {
+    type: "weekly",
+    timezone: "Asia/Dhaka",
+    days: [0, 1, 2, 3, 4, 5, 6],
+    times: Array.from({ length: 24 }, (_, hour) => ({
+      time: `${String(hour).padStart(2, "0")}:00`,
+      state: hour % 2 === 1,
+    })),
+    nextRunAt: new Date("2026-09-19T04:00:00Z"),
+    nextState: true,
+  };
+  const later = new Date("2026-10-19T04:20:00Z");
+  const due = listDueOccurrences(hourly, later);
+
+  assert.equal(due.length, 502);
+  assert.deepEqual(due.at(-1), {
+    at: new Date("2026-10-19T04:00:00Z"),
+    state: false,
+  });
+  const { run, skipped } = planDueRuns(due, later, "catchup");
+  assert.deepEqual(run, due.at(-1));
+  assert.equal(skipped.length, 501);
+});
+
+test("due occurrences end with the latest one only once", () => {
+  const schedule = { ...weekly, nextRunAt: due[0].at, nextState: due[0].state };
+  assert.deepEqual(listDueOccurrences(schedule, now), due);
+});
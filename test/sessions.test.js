@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSessionDetector, stepSessionDetector } from "../sessions.js";
+
+// Feeds [seconds, watts] samples to a fresh detector and returns what it
+// reported, as [seconds, "started" | "ended", session]
+function detect(samples) {
+  const state = createSessionDetector();
+  const events = [];
+  for (const [seconds, power] of samples) {
+    const result = stepSessionDetector(state, { time: seconds * 1000, power });
+    if (result.started) events.push([seconds, "started", result.started]);
+    if (result.ended) events.push([seconds, "ended", result.ended]);
+  }
+  return events;
+}
+
+function every5s(from, to, power) {
+  const samples = [];
+  for (let s = from; s <= to; s += 5) samples.push([s, power]);
+  return samples;
+}
+
+test("a session runs from the first sample over ON to the first under OFF", () => {
+  const events = detect([
+    ...every5s(0, 120, 100),
+    ...every5s(125, 240, 2), // standby, ends the session after 60 s
+  ]);
+
+  assert.deepEqual(
+    events.map(([seconds, type]) => [seconds, type]),
+    [
+      [30, "started"],
+      [185, "ended"],
+    ],
+  );
+  const session = events[1][2];
+  assert.equal(session.startedAt, 0);
+  assert.equal(session.endedAt, 125 * 1000);
+  assert.equal(session.durationSec, 125);
+  assert.equal(session.peakPower, 100);
+  // 100 W for 120 s, then the ramp down to 2 W; the standby draw is left out
+  assert.equal(session.energy, Number(((12000 + 255) / 3.6e6).toFixed(5)));
+  assert.equal(session.avgPower, 98);
+});
+
+test("a load dipping between the two thresholds stays one session", () => {
+  const samples = [];
+  for (let s = 0; s <= 300; s += 5) samples.push([s, s % 10 === 0 ? 12 : 6]);
+  const events = detect([...samples, ...every5s(305, 400, 0)]);
+
+  assert.deepEqual(
+    events.map(([seconds, type]) => [seconds, type]),
+    [
+      [30, "started"],
+      [365, "ended"],
+    ],
+  );
+  assert.equal(events[1][2].durationSec, 305);
+});
+
+test("inrush spikes shorter than the minimum duration are dropped", () => {
+  const events = detect([...every5s(0, 15, 800), ...every5s(20, 120, 0)]);
+  assert.deepEqual(events, []);
+});
+
+test("a gap in the readings ends the session at the last one", () => {
+  const events = detect([
+    ...every5s(0, 60, 100),
+    [60 + 6 * 60, 100], // six minutes later
+  ]);
+  const [, type, session] = events.at(-1);
+  assert.equal(type, "ended");
+  assert.equal(session.endedAt, 60 * 1000);
+});
+
+test("samples without power are skipped", () => {
+  const state = createSessionDetector();
+  assert.deepEqual(stepSessionDetector(state, { time: 0, power: null }), {});
+  assert.equal(state.session, null);
+});
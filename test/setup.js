@@ -0,0 +1,3 @@
+// Modules open their MongoDB collections when imported. Tests of code that
+// does not reach the database only need a client, which never connects.
+process.env.MONGO_URI ??= "mongodb://127.0.0.1:27017";
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateCosts } from "../tariffs.js";
+
+function assertCosts(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((cost, i) => assert.ok(Math.abs(cost - expected[i]) < 1e-9));
+}
+
+test("flat tariffs charge every kWh the same", () => {
+  const tariff = { type: "flat", rate: 8 };
+  assertCosts(
+    calculateCosts(
+      [
+        { hour: 0, energy: 0.5 },
+        { hour: 13, energy: 1.25 },
+      ],
+      tariff,
+    ),
+    [4, 10],
+  );
+});
+
+test("tiered tariffs split an hour across the slab it crosses", () => {
+  const tariff = {
+    type: "tiered",
+    tiers: [
+      { upTo: 2, rate: 5 },
+      { upTo: 5, rate: 7 },
+      { upTo: null, rate: 10 },
+    ],
+  };
+  assertCosts(
+    calculateCosts(
+      [
+        { hour: 0, energy: 1.5 },
+        { hour: 1, energy: 1 }, // 0.5 kWh at 5, 0.5 kWh at 7
+        { hour: 2, energy: 3 }, // 2.5 kWh at 7, 0.5 kWh at 10
+      ],
+      tariff,
+    ),
+    [7.5, 6, 22.5],
+  );
+});
+
+test("tiered tariffs charge past the last bounded slab at its rate", () => {
+  const tariff = { type: "tiered", tiers: [{ upTo: 1, rate: 4 }] };
+  assertCosts(calculateCosts([{ hour: 0, energy: 3 }], tariff), [12]);
+});
+
+test("time-of-use periods may wrap around midnight", () => {
+  const tariff = {
+    type: "tou",
+    rate: 6,
+    periods: [
+      { startHour: 17, endHour: 23, rate: 12 },
+      { startHour: 23, endHour: 6, rate: 4 },
+    ],
+  };
+  const entries = [0, 5, 6, 16, 17, 22, 23].map((hour) => ({
+    hour,
+    energy: 1,
+  }));
+  assertCosts(calculateCosts(entries, tariff), [4, 4, 6, 6, 12, 12, 4]);
+});
+
+test("costs are null without a tariff", () => {
+  assert.deepEqual(calculateCosts([{ hour: 0, energy: 1 }], null), [null]);
+});
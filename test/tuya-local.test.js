@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crc32 } from "zlib";
+import {
+  COMMANDS,
+  decryptPayload,
+  deriveSessionKey,
+  encryptPayload,
+  hmacSha256,
+  packMessage,
+  readFrame,
+} from "../tuya-local.js";
+
+const LOCAL_KEY = Buffer.from("0123456789abcdef", "latin1");
+
+test("3.3 frames end with the CRC32 of header and payload", () => {
+  const payload = encryptPayload(
+    "3.3",
+    LOCAL_KEY,
+    COMMANDS.CONTROL,
+    Buffer.from('{"dps":{"1":true}}'),
+  );
+  const frame = packMessage({
+    seq: 7,
+    command: COMMANDS.CONTROL,
+    payload,
+    key: LOCAL_KEY,
+    version: "3.3",
+  });
+
+  assert.equal(frame.readUInt32BE(0), 0x000055aa);
+  assert.equal(frame.readUInt32BE(frame.length - 4), 0x0000aa55);
+  assert.equal(frame.readUInt32BE(12), payload.length + 8);
+  assert.equal(
+    frame.readUInt32BE(frame.length - 8),
+    crc32(frame.subarray(0, frame.length - 8)),
+  );
+  // 3.3 sends the version header in clear before the ciphertext
+  assert.equal(payload.subarray(0, 3).toString("latin1"), "3.3");
+});
+
+test("3.4 frames end with an HMAC-SHA256 keyed with the session key", () => {
+  const sessionKey = deriveSessionKey(
+    LOCAL_KEY,
+    Buffer.alloc(16, 1),
+    Buffer.alloc(16, 2),
+  );
+  const payload = encryptPayload(
+    "3.4",
+    sessionKey,
+    COMMANDS.CONTROL_NEW,
+    Buffer.from('{"data":{"dps":{"1":false}}}'),
+  );
+  const frame = packMessage({
+    seq: 3,
+    command: COMMANDS.CONTROL_NEW,
+    payload,
+    key: sessionKey,
+    version: "3.4",
+  });
+
+  const bodyEnd = frame.length - 36;
+  assert.deepEqual(
+    frame.subarray(bodyEnd, frame.length - 4),
+    hmacSha256(sessionKey, frame.subarray(0, bodyEnd)),
+  );
+});
+
+for (const version of ["3.3", "3.4"]) {
+  test(`${version} device frames round-trip through readFrame`, () => {
+    const plaintext = Buffer.from('{"dps":{"1":true,"19":1234}}');
+    const payload = encryptPayload(
+      version,
+      LOCAL_KEY,
+      COMMANDS.STATUS,
+      plaintext,
+    );
+    const frame = packMessage({
+      seq: 42,
+      command: COMMANDS.STATUS,
+      payload,
+      retcode: 0,
+      key: LOCAL_KEY,
+      version,
+    });
+    const next = Buffer.from([0x00, 0x00, 0x55]);
+
+    const { message, rest } = readFrame(Buffer.concat([frame, next]), {
+      key: LOCAL_KEY,
+      version,
+    });
+    assert.equal(message.seq, 42);
+    assert.equal(message.command, COMMANDS.STATUS);
+    assert.equal(message.retcode, 0);
+    assert.deepEqual(
+      decryptPayload(version, LOCAL_KEY, message.payload),
+      plaintext,
+    );
+    assert.deepEqual(rest, next);
+  });
+
+  test(`${version} frames fail the integrity check when tampered with`, () => {
+    const frame = packMessage({
+      seq: 1,
+      command: COMMANDS.HEART_BEAT,
+      payload: Buffer.alloc(0),
+      retcode: 0,
+      key: LOCAL_KEY,
+      version,
+    });
+    frame[8] ^= 0x01;
+    assert.throws(
+      () => readFrame(frame, { key: LOCAL_KEY, version }),
+      /integrity check failed/,
+    );
+  });
+}
+
+test("incomplete frames are left for the next chunk", () => {
+  const frame = packMessage({
+    seq: 1,
+    command: COMMANDS.HEART_BEAT,
+    payload: Buffer.alloc(0),
+    key: LOCAL_KEY,
+    version: "3.3",
+  });
+  assert.equal(
+    readFrame(frame.subarray(0, frame.length - 1), {
+      key: LOCAL_KEY,
+      version: "3.3",
+    }),
+    null,
+  );
+  assert.throws(
+    () => readFrame(Buffer.alloc(16, 0xff), { key: LOCAL_KEY, version: "3.3" }),
+    /Invalid frame prefix/,
+  );
+});
@@ -0,0 +1,146 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.TUYA_SIMULATOR_PROFILES = "sim-heater:heater,sim-fridge:fridge";
+const { clearFaults, handleSimulatedRequest, injectFault, validateFault } =
+  await import("../tuya-simulator.js");
+
+// 06:00 in Asia/Dhaka, when the heater runs most of the time
+const START = Date.parse("2026-10-19T00:00:00Z");
+
+function request(method, path, body) {
+  return handleSimulatedRequest({ method, path, body, timeout: 1000 });
+}
+
+async function getStatus(deviceId) {
+  const { result } = await request("GET", `/v1.0/devices/${deviceId}/status`);
+  return Object.fromEntries(result.map(({ code, value }) => [code, value]));
+}
+
+async function getReports(deviceId, from, to) {
+  const logs = [];
+  let rowKey = "";
+  for (;;) {
+    const { result } = await request(
+      "GET",
+      `/v1.0/devices/${deviceId}/logs?start_time=${from}&end_time=${to}&type=7&size=100&start_row_key=${rowKey}`,
+    );
+    logs.push(...result.logs);
+    if (!result.has_next) return logs;
+    rowKey = result.next_row_key;
+  }
+}
+
+test("add_ele reports the energy metered since the previous report", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: START });
+
+  let previous = await getStatus("sim-heater");
+  let polled = 0; // kWh, from the power seen every 10 s
+  const seen = new Set();
+  for (let i = 0; i < 360; i++) {
+    t.mock.timers.tick(10 * 1000);
+    const status = await getStatus("sim-heater");
+    polled += (((previous.cur_power + status.cur_power) / 20) * 10) / 3.6e6;
+    seen.add(status.add_ele);
+    previous = status;
+  }
+
+  const reports = (await getReports("sim-heater", START + 1, Date.now()))
+    .filter((log) => log.code === "add_ele")
+    .map((log) => Number(log.value));
+  const reported = reports.reduce((sum, value) => sum + value, 0) / 1000;
+
+  assert.ok(polled > 0.5, `heater used ${polled} kWh`);
+  // Reports lag by at most one report interval of a 1.5 kW load
+  assert.ok(Math.abs(reported - polled) < 0.03, `${reported} vs ${polled}`);
+  // Increments of about a minute, never a running total
+  assert.ok(Math.max(...reports) < 40);
+  // Polls between two reports see the same value again
+  assert.ok(seen.size <= reports.length + 1);
+});
+
+test("statuses use the units and scales of a real plug", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: START });
+  const status = await getStatus("sim-fridge");
+  assert.equal(status.switch_1, true);
+  assert.ok(status.cur_voltage > 2100 && status.cur_voltage < 2400);
+  assert.ok(Number.isInteger(status.cur_power));
+  assert.ok(Number.isInteger(status.cur_current));
+});
+
+test("validates faults", () => {
+  assert.match(validateFault({ type: "flood" }).error, /type must be one of/);
+  assert.match(
+    validateFault({ type: "offline", durationSeconds: 0 }).error,
+    /durationSeconds/,
+  );
+  assert.match(
+    validateFault({ type: "voltage_sag", voltage: -1 }).error,
+    /voltage/,
+  );
+  const { value } = validateFault({ type: "voltage_swell", deviceId: "a" });
+  assert.equal(value.voltage, 265);
+  assert.equal(value.endsAt - value.startsAt, 60 * 1000);
+});
+
+test("voltage faults move the reported voltage", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: START });
+  await getStatus("sim-fridge");
+  injectFault(
+    validateFault({ type: "voltage_sag", deviceId: "sim-fridge", voltage: 180 })
+      .value,
+  );
+  t.mock.timers.tick(10 * 1000);
+  const status = await getStatus("sim-fridge");
+  assert.ok(Math.abs(status.cur_voltage - 1800) < 10);
+  clearFaults();
+});
+
+test("offline faults take the device offline until they lift", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: START });
+  await getStatus("sim-fridge");
+  const { value } = validateFault({
+    type: "offline",
+    deviceId: "sim-fridge",
+    durationSeconds: 60,
+  });
+  injectFault(value);
+  t.mock.timers.tick(10 * 1000);
+
+  const info = await request("GET", "/v1.0/devices/sim-fridge");
+  assert.equal(info.result.online, false);
+  const command = await request(
+    "POST",
+    "/v1.0/devices/sim-fridge/commands",
+    JSON.stringify({ commands: [{ code: "switch_1", value: false }] }),
+  );
+  assert.deepEqual([command.success, command.code], [false, 2001]);
+
+  t.mock.timers.tick(60 * 1000);
+  const back = await request("GET", "/v1.0/devices/sim-fridge");
+  assert.equal(back.result.online, true);
+
+  const { result } = await request(
+    "GET",
+    `/v1.0/devices/sim-fridge/logs?start_time=${START}&end_time=${Date.now()}&type=1,2&size=100`,
+  );
+  assert.deepEqual(
+    result.logs.map((log) => log.event_id),
+    [2, 1],
+  );
+  clearFaults();
+});
+
+test("timeout faults reject like an axios timeout", async () => {
+  const { value } = validateFault({
+    type: "timeout",
+    deviceId: "sim-fridge",
+    delayMs: 0,
+  });
+  const fault = injectFault(value);
+  await assert.rejects(request("GET", "/v1.0/devices/sim-fridge/status"), {
+    code: "ECONNABORTED",
+  });
+  assert.equal(clearFaults(fault.id), 1);
+  assert.equal((await request("GET", "/v1.0/token")).success, true);
+});
@@ -0,0 +1,224 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-CA", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+function formatDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// Wall-clock fields of `date` as seen in `timezone`
+export function getZonedParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    date: formatDate(parts),
+  };
+}
+
+// Canonical name of an IANA timezone ("asia/dhaka" -> "Asia/Dhaka"), or null
+// when the zone is unknown
+export function normalizeTimezone(timezone) {
+  if (typeof timezone !== "string" || timezone === "") return null;
+  try {
+    return getFormatter(timezone).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+// Offset of `timezone` from UTC at `date`, in milliseconds
+function getTimezoneOffset(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second,
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// UTC instant of a wall-clock time in `timezone`. Times repeated by a DST
+// fall-back resolve to the first occurrence; times skipped by a spring-forward
+// jump are shifted forward by the length of the gap.
+export function zonedTimeToUtc(
+  { year, month, day, hour = 0, minute = 0, second = 0 },
+  timezone,
+) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetBefore = getTimezoneOffset(new Date(asUtc - DAY_MS), timezone);
+  const offsetAfter = getTimezoneOffset(new Date(asUtc + DAY_MS), timezone);
+
+  const matches = [asUtc - offsetBefore, asUtc - offsetAfter].filter((t) => {
+    const p = getZonedParts(new Date(t), timezone);
+    return p.day === day && p.hour === hour && p.minute === minute;
+  });
+
+  return new Date(matches.length ? Math.min(...matches) : asUtc - offsetBefore);
+}
+
+// Calendar date `days` after { year, month, day }; negative values go back
+export function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+}
+
+// ISO weekday of a calendar date: 1 (Monday) to 7 (Sunday)
+export function getIsoWeekday({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
+}
+
+// ISO week label of a calendar date, e.g. "2026-W43"
+function getIsoWeek(date) {
+  const thursday = addDays(date, 4 - getIsoWeekday(date));
+  const week =
+    Math.floor(
+      (Date.UTC(thursday.year, thursday.month - 1, thursday.day) -
+        Date.UTC(thursday.year, 0, 1)) /
+        (7 * DAY_MS),
+    ) + 1;
+  return `${thursday.year}-W${String(week).padStart(2, "0")}`;
+}
+
+// UTC instant of local midnight at the start of a calendar date. Days are not
+// always 24 hours long, so day ends are taken as the next day's start.
+export function startOfDay({ year, month, day }, timezone) {
+  return zonedTimeToUtc({ year, month, day }, timezone);
+}
+
+// Rolling periods end with today; calendar periods cover the whole ISO week
+// (Monday first) or month, including days that are still to come
+const PERIODS = {
+  today: (today) => ({ first: today, length: 1, label: formatDate(today) }),
+  last7days: (today) => ({ first: addDays(today, -6), length: 7 }),
+  last30days: (today) => ({ first: addDays(today, -29), length: 30 }),
+  isoWeek: (today) => ({
+    first: addDays(today, 1 - getIsoWeekday(today)),
+    length: 7,
+    label: getIsoWeek(today),
+  }),
+  calendarMonth: ({ year, month }) => ({
+    first: { year, month, day: 1 },
+    length: new Date(Date.UTC(year, month, 0)).getUTCDate(),
+    label: `${year}-${String(month).padStart(2, "0")}`,
+  }),
+};
+
+// Local calendar days of `period` around `now`, and the UTC instants
+// bounding them: { label, start, end, dates: ["YYYY-MM-DD", ...] } with end
+// exclusive. Rolling periods have no label.
+export function getPeriod(period, timezone, now = new Date()) {
+  const {
+    first,
+    length,
+    label = null,
+  } = PERIODS[period](getZonedParts(now, timezone));
+  const days = Array.from({ length }, (_, i) => addDays(first, i));
+  return {
+    label,
+    start: startOfDay(first, timezone),
+    end: startOfDay(addDays(first, length), timezone),
+    dates: days.map(formatDate),
+  };
+}
+
+// First day of the billing cycle starting on `cycleDay` in a month; months
+// without that day start the cycle on their last day. `month` may be out of
+// range (0 is December of the year before).
+function cycleStartIn(year, month, cycleDay) {
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  const y = first.getUTCFullYear();
+  const m = first.getUTCMonth() + 1;
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return { year: y, month: m, day: Math.min(cycleDay, lastDay) };
+}
+
+// Billing cycle starting on day `cycleDay` (1-31) of each month that
+// contains `now`, or `offset` cycles away from it (-1 is the previous one),
+// in the same shape as getPeriod with the first day as label
+export function getBillingCycle(
+  cycleDay,
+  timezone,
+  now = new Date(),
+  offset = 0,
+) {
+  const today = getZonedParts(now, timezone);
+  let month = today.month + offset;
+  if (today.day < cycleStartIn(today.year, today.month, cycleDay).day) month--;
+
+  const first = cycleStartIn(today.year, month, cycleDay);
+  const next = cycleStartIn(first.year, first.month + 1, cycleDay);
+  const length = Math.round(
+    (Date.UTC(next.year, next.month - 1, next.day) -
+      Date.UTC(first.year, first.month - 1, first.day)) /
+      DAY_MS,
+  );
+  return {
+    label: formatDate(first),
+    start: startOfDay(first, timezone),
+    end: startOfDay(next, timezone),
+    dates: Array.from({ length }, (_, i) => formatDate(addDays(first, i))),
+  };
+}
+
+// Timezone of requests that do not name one, and of server-side jobs that
+// need local days or hours
+export const DEFAULT_TIMEZONE =
+  normalizeTimezone(process.env.DEFAULT_TIMEZONE) ?? "Asia/Dhaka";
+
+// Try to get timezone from request headers or query params, default to
+// DEFAULT_TIMEZONE
+export function getUserTimezone(req) {
+  return req.query.timezone || req.headers["x-timezone"] || DEFAULT_TIMEZONE;
+}
+
+// Resolves the request timezone into req.timezone, rejecting unknown zones
+// instead of bucketing data on the wrong day boundaries
+export function loadTimezone(req, res, next) {
+  const requested = getUserTimezone(req);
+  const timezone = normalizeTimezone(requested);
+  if (!timezone) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid timezone: ${requested}. Must be an IANA timezone such as Asia/Dhaka`,
+    });
+  }
+  req.timezone = timezone;
+  next();
+}
@@ -0,0 +1,75 @@
+import * as cloud from "./tuya.js";
+import * as local from "./tuya-local.js";
+import { getDevice } from "./devices.js";
+import { auditCommand } from "./audit.js";
+
+export { getCircuitState, onCircuitStateChange } from "./tuya.js";
+
+// Routes device I/O over the transport configured in the registry. Devices
+// on the "local" transport fall back to the cloud API when the LAN request
+// fails, unless local.fallbackToCloud is false.
+async function withTransport(deviceId, operation, run) {
+  const device = await getDevice(deviceId);
+  if (device?.transport !== "local") return run(cloud, deviceId);
+
+  try {
+    return await run(local, device);
+  } catch (error) {
+    if (device.local.fallbackToCloud === false) throw error;
+    console.warn(
+      `⚠️ Local ${operation} failed for ${deviceId} (${error.message}), falling back to cloud`,
+    );
+    return run(cloud, deviceId);
+  }
+}
+
+export function fetchDeviceStatus(deviceId) {
+  return withTransport(deviceId, "status read", (transport, device) =>
+    transport.fetchDeviceStatus(device),
+  );
+}
+
+// Current values of the given DP codes: { code: value }
+async function readStatusValues(deviceId, codes) {
+  const status = await fetchDeviceStatus(deviceId);
+  if (!Array.isArray(status)) throw new Error("Invalid device status");
+  const values = {};
+  for (const { code, value } of status) {
+    if (codes.includes(code)) values[code] = value;
+  }
+  return values;
+}
+
+// Every command is recorded in the audit log; `origin` says who sent it:
+// { source: "api" | "schedule" | "rule" | "websocket", actor, ip }
+export function controlDeviceSwitch(deviceId, switchState, origin) {
+  return auditCommand(
+    { deviceId, command: "switch", value: switchState, origin },
+    () =>
+      withTransport(deviceId, "switch command", (transport, device) =>
+        transport.controlDeviceSwitch(device, switchState),
+      ),
+    async () => {
+      const { switch_1: state } = await readStatusValues(deviceId, [
+        "switch_1",
+      ]);
+      if (state === undefined) {
+        throw new Error("Switch status not found in device data");
+      }
+      return state;
+    },
+  );
+}
+
+// Sets any data points at once, e.g. { countdown_1: 600, child_lock: true }.
+// Values must already be validated against the device specification.
+export function sendDeviceCommands(deviceId, values, origin) {
+  return auditCommand(
+    { deviceId, command: "commands", value: values, origin },
+    () =>
+      withTransport(deviceId, "command", (transport, device) =>
+        transport.sendDeviceCommands(device, values),
+      ),
+    () => readStatusValues(deviceId, Object.keys(values)),
+  );
+}
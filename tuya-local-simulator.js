@@ -0,0 +1,183 @@
+import net from "net";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import dotenv from "dotenv";
+import {
+  COMMANDS,
+  decryptPayload,
+  deriveSessionKey,
+  encryptPayload,
+  hmacSha256,
+  packMessage,
+  readFrame,
+} from "./tuya-local.js";
+
+// A fake Tuya plug that speaks the local protocol, for developing and
+// testing the LAN transport without hardware
+
+const DEFAULT_DPS = {
+  1: true, // switch_1
+  9: 0, // countdown_1
+  17: 0, // add_ele
+  18: 450, // cur_current (mA)
+  19: 1012, // cur_power (W x 10)
+  20: 2301, // cur_voltage (V x 10)
+};
+
+export function startLocalDeviceSimulator({
+  id,
+  localKey,
+  version = "3.3",
+  host = "127.0.0.1",
+  port = 0,
+  dps = {},
+}) {
+  const key = Buffer.from(localKey, "utf8");
+  const state = { ...DEFAULT_DPS, ...dps };
+
+  function handleConnection(socket) {
+    let buffer = Buffer.alloc(0);
+    // 3.4 connections switch to the negotiated key after the handshake
+    let sessionKey = version === "3.4" ? null : key;
+    let localNonce = null;
+    let remoteNonce = null;
+
+    function reply(seq, command, plaintext, replyKey = sessionKey) {
+      const payload = plaintext
+        ? encryptPayload(version, replyKey, command, plaintext)
+        : Buffer.alloc(0);
+      socket.write(
+        packMessage({
+          seq,
+          command,
+          payload,
+          retcode: 0,
+          key: replyKey,
+          version,
+        }),
+      );
+    }
+
+    function json(value) {
+      return Buffer.from(JSON.stringify(value), "utf8");
+    }
+
+    function statusBody() {
+      return version === "3.4"
+        ? {
+            protocol: 4,
+            t: Math.floor(Date.now() / 1000),
+            data: { dps: state },
+          }
+        : { devId: id, dps: state };
+    }
+
+    function handle({ seq, command, payload }) {
+      const messageKey = sessionKey ?? key;
+      const data = decryptPayload(version, messageKey, payload);
+
+      switch (command) {
+        case COMMANDS.SESS_KEY_NEG_START:
+          localNonce = data.subarray(0, 16);
+          remoteNonce = crypto.randomBytes(16);
+          reply(
+            seq,
+            COMMANDS.SESS_KEY_NEG_RESP,
+            Buffer.concat([remoteNonce, hmacSha256(key, localNonce)]),
+            key,
+          );
+          break;
+
+        case COMMANDS.SESS_KEY_NEG_FINISH:
+          if (!data.equals(hmacSha256(key, remoteNonce))) {
+            socket.destroy();
+            return;
+          }
+          sessionKey = deriveSessionKey(key, localNonce, remoteNonce);
+          break;
+
+        case COMMANDS.DP_QUERY:
+        case COMMANDS.DP_QUERY_NEW:
+          reply(seq, command, json(statusBody()));
+          break;
+
+        case COMMANDS.CONTROL:
+        case COMMANDS.CONTROL_NEW: {
+          const body = JSON.parse(data.toString("utf8"));
+          const changes = body.dps ?? body.data?.dps ?? {};
+          Object.assign(state, changes);
+          // A plug that is off draws nothing
+          if (state[1] === false) Object.assign(state, { 18: 0, 19: 0 });
+          if (changes[1] === true && state[19] === 0) {
+            Object.assign(state, { 18: DEFAULT_DPS[18], 19: DEFAULT_DPS[19] });
+          }
+          reply(seq, command, null);
+          reply(0, COMMANDS.STATUS, json(statusBody()));
+          break;
+        }
+
+        case COMMANDS.HEART_BEAT:
+          reply(seq, command, null);
+          break;
+
+        default:
+          console.warn(`Simulator ignoring command 0x${command.toString(16)}`);
+      }
+    }
+
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        let result;
+        while (
+          (result = readFrame(buffer, {
+            key: sessionKey ?? key,
+            version,
+            hasRetcode: false,
+          }))
+        ) {
+          buffer = result.rest;
+          handle(result.message);
+        }
+      } catch (error) {
+        console.error("Simulator dropped connection:", error.message);
+        socket.destroy();
+      }
+    });
+    socket.on("error", () => {});
+  }
+
+  const server = net.createServer(handleConnection);
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        dps: state,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+// node tuya-local-simulator.js — configured through SIM_LOCAL_* variables
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  dotenv.config();
+  const {
+    SIM_LOCAL_DEVICE_ID = "simulated-plug",
+    SIM_LOCAL_KEY = "0123456789abcdef",
+    SIM_LOCAL_VERSION = "3.3",
+    SIM_LOCAL_PORT = "6668",
+  } = process.env;
+
+  const simulator = await startLocalDeviceSimulator({
+    id: SIM_LOCAL_DEVICE_ID,
+    localKey: SIM_LOCAL_KEY,
+    version: SIM_LOCAL_VERSION,
+    port: Number(SIM_LOCAL_PORT),
+  });
+  console.log(
+    `🧪 Simulated Tuya ${SIM_LOCAL_VERSION} device ${SIM_LOCAL_DEVICE_ID} listening on port ${simulator.port}`,
+  );
+}
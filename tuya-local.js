@@ -0,0 +1,420 @@
+import net from "net";
+import crypto from "crypto";
+
+// Tuya local (LAN) protocol, versions 3.3 and 3.4, over TCP port 6668.
+//
+// Frame: prefix | seq | command | length | [retcode] | payload | check | suffix
+// where check is a CRC32 (3.3) or an HMAC-SHA256 keyed with the session key
+// (3.4). Payloads are AES-128-ECB encrypted with the device local key (3.3)
+// or with a session key negotiated per connection (3.4).
+
+const DEFAULT_PORT = 6668;
+const DEFAULT_TIMEOUT_MS = 5000;
+const PREFIX = 0x000055aa;
+const SUFFIX = 0x0000aa55;
+const HEADER_LENGTH = 16;
+const VERSION_HEADER_LENGTH = 15; // "3.x" followed by 12 zero bytes
+
+export const SUPPORTED_VERSIONS = ["3.3", "3.4"];
+
+export const COMMANDS = {
+  SESS_KEY_NEG_START: 0x03,
+  SESS_KEY_NEG_RESP: 0x04,
+  SESS_KEY_NEG_FINISH: 0x05,
+  CONTROL: 0x07,
+  STATUS: 0x08,
+  HEART_BEAT: 0x09,
+  DP_QUERY: 0x0a,
+  CONTROL_NEW: 0x0d,
+  DP_QUERY_NEW: 0x10,
+};
+
+// Commands whose payload carries no "3.x" version header
+const NO_HEADER_COMMANDS = new Set([
+  COMMANDS.SESS_KEY_NEG_START,
+  COMMANDS.SESS_KEY_NEG_RESP,
+  COMMANDS.SESS_KEY_NEG_FINISH,
+  COMMANDS.HEART_BEAT,
+  COMMANDS.DP_QUERY,
+  COMMANDS.DP_QUERY_NEW,
+]);
+
+// DP ids of a standard Tuya smart plug with energy metering
+export const DEFAULT_DP_MAP = {
+  1: "switch_1",
+  9: "countdown_1",
+  17: "add_ele",
+  18: "cur_current",
+  19: "cur_power",
+  20: "cur_voltage",
+  38: "relay_status",
+  40: "light_mode",
+  41: "child_lock",
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function aesEncrypt(key, data, pad = true) {
+  const cipher = crypto.createCipheriv("aes-128-ecb", key, null);
+  cipher.setAutoPadding(pad);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+export function aesDecrypt(key, data, pad = true) {
+  const decipher = crypto.createDecipheriv("aes-128-ecb", key, null);
+  decipher.setAutoPadding(pad);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+export function hmacSha256(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// 3.4 session key: the XOR of both nonces, encrypted with the local key
+export function deriveSessionKey(localKey, localNonce, remoteNonce) {
+  const mixed = Buffer.alloc(16);
+  for (let i = 0; i < 16; i++) mixed[i] = localNonce[i] ^ remoteNonce[i];
+  return aesEncrypt(localKey, mixed, false);
+}
+
+function versionHeader(version) {
+  const header = Buffer.alloc(VERSION_HEADER_LENGTH);
+  header.write(version, 0, "latin1");
+  return header;
+}
+
+function startsWithVersion(data) {
+  return (
+    data.length >= VERSION_HEADER_LENGTH &&
+    SUPPORTED_VERSIONS.includes(data.subarray(0, 3).toString("latin1"))
+  );
+}
+
+export function encryptPayload(version, key, command, plaintext) {
+  const withHeader = !NO_HEADER_COMMANDS.has(command);
+  // 3.4 encrypts the version header, 3.3 prepends it to the ciphertext
+  if (version === "3.4") {
+    return aesEncrypt(
+      key,
+      withHeader
+        ? Buffer.concat([versionHeader(version), plaintext])
+        : plaintext,
+    );
+  }
+  const encrypted = aesEncrypt(key, plaintext);
+  return withHeader
+    ? Buffer.concat([versionHeader(version), encrypted])
+    : encrypted;
+}
+
+export function decryptPayload(version, key, payload) {
+  if (payload.length === 0) return payload;
+  let data = payload;
+  if (version !== "3.4" && startsWithVersion(data)) {
+    data = data.subarray(VERSION_HEADER_LENGTH);
+  }
+  data = aesDecrypt(key, data);
+  return startsWithVersion(data) ? data.subarray(VERSION_HEADER_LENGTH) : data;
+}
+
+function checkLength(version) {
+  return version === "3.4" ? 32 : 4;
+}
+
+export function packMessage({ seq, command, payload, retcode, key, version }) {
+  const retcodeLength = retcode === undefined ? 0 : 4;
+  const header = Buffer.alloc(HEADER_LENGTH + retcodeLength);
+  header.writeUInt32BE(PREFIX, 0);
+  header.writeUInt32BE(seq, 4);
+  header.writeUInt32BE(command, 8);
+  header.writeUInt32BE(
+    retcodeLength + payload.length + checkLength(version) + 4,
+    12,
+  );
+  if (retcodeLength) header.writeUInt32BE(retcode, HEADER_LENGTH);
+
+  const body = Buffer.concat([header, payload]);
+  let check;
+  if (version === "3.4") {
+    check = hmacSha256(key, body);
+  } else {
+    check = Buffer.alloc(4);
+    check.writeUInt32BE(crc32(body));
+  }
+  const suffix = Buffer.alloc(4);
+  suffix.writeUInt32BE(SUFFIX);
+
+  return Buffer.concat([body, check, suffix]);
+}
+
+// Reads one frame from the start of `buffer`. Returns { message, rest }, or
+// null when the frame is still incomplete. Frames sent by a device carry a
+// return code before the payload; frames sent to a device don't.
+export function readFrame(buffer, { key, version, hasRetcode = true }) {
+  if (buffer.length < HEADER_LENGTH) return null;
+  if (buffer.readUInt32BE(0) !== PREFIX) {
+    throw new Error("Invalid frame prefix from device");
+  }
+
+  const total = HEADER_LENGTH + buffer.readUInt32BE(12);
+  if (buffer.length < total) return null;
+
+  const frame = buffer.subarray(0, total);
+  const bodyEnd = total - 4 - checkLength(version);
+  const body = frame.subarray(0, bodyEnd);
+  const check = frame.subarray(bodyEnd, total - 4);
+
+  if (frame.readUInt32BE(total - 4) !== SUFFIX) {
+    throw new Error("Invalid frame suffix from device");
+  }
+  const valid =
+    version === "3.4"
+      ? hmacSha256(key, body).equals(check)
+      : crc32(body) === check.readUInt32BE(0);
+  if (!valid) throw new Error("Frame integrity check failed");
+
+  let payload = frame.subarray(HEADER_LENGTH, bodyEnd);
+  let retcode = null;
+  // Some frames omit the return code; a real one has its upper bytes unset
+  if (
+    hasRetcode &&
+    payload.length >= 4 &&
+    (payload.readUInt32BE(0) & 0xffffff00) === 0
+  ) {
+    retcode = payload.readUInt32BE(0);
+    payload = payload.subarray(4);
+  }
+
+  return {
+    message: {
+      seq: frame.readUInt32BE(4),
+      command: frame.readUInt32BE(8),
+      retcode,
+      payload,
+    },
+    rest: buffer.subarray(total),
+  };
+}
+
+function connect({ host, port, version, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Local connection to ${host}:${port} timed out`));
+    }, timeoutMs);
+
+    socket.once("connect", () => {
+      clearTimeout(timer);
+      resolve(wrapSocket(socket, { version, timeoutMs }));
+    });
+    socket.once("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+function wrapSocket(socket, { version, timeoutMs }) {
+  let buffer = Buffer.alloc(0);
+  let waiter = null;
+  let failure = null;
+  let seq = 1;
+
+  function settle(error, message) {
+    if (!waiter) return;
+    const { resolve, reject, timer } = waiter;
+    waiter = null;
+    clearTimeout(timer);
+    if (error) reject(error);
+    else resolve(message);
+  }
+
+  function drain() {
+    if (!waiter) return;
+    try {
+      let result;
+      while ((result = readFrame(buffer, { key: waiter.key, version }))) {
+        buffer = result.rest;
+        if (waiter.match(result.message)) return settle(null, result.message);
+      }
+    } catch (error) {
+      settle(error);
+    }
+  }
+
+  function fail(error) {
+    failure ??= error;
+    settle(failure);
+  }
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    drain();
+  });
+  socket.on("error", fail);
+  socket.on("close", () => fail(new Error("Device closed the connection")));
+
+  return {
+    send(command, payload, key) {
+      socket.write(packMessage({ seq: seq++, command, payload, key, version }));
+    },
+    // Resolves with the next frame from the device matching `match`
+    receive(match, key) {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(
+          () => settle(new Error("Device did not answer in time")),
+          timeoutMs,
+        );
+        waiter = { match, key, resolve, reject, timer };
+        drain();
+      });
+    },
+    close() {
+      socket.destroy();
+    },
+  };
+}
+
+async function negotiateSessionKey(conn, localKey) {
+  const version = "3.4";
+  const localNonce = crypto.randomBytes(16);
+  conn.send(
+    COMMANDS.SESS_KEY_NEG_START,
+    encryptPayload(version, localKey, COMMANDS.SESS_KEY_NEG_START, localNonce),
+    localKey,
+  );
+
+  const reply = await conn.receive(
+    (m) => m.command === COMMANDS.SESS_KEY_NEG_RESP,
+    localKey,
+  );
+  const data = decryptPayload(version, localKey, reply.payload);
+  const remoteNonce = data.subarray(0, 16);
+  if (!data.subarray(16, 48).equals(hmacSha256(localKey, localNonce))) {
+    throw new Error("Session key negotiation failed - check the local key");
+  }
+
+  conn.send(
+    COMMANDS.SESS_KEY_NEG_FINISH,
+    encryptPayload(
+      version,
+      localKey,
+      COMMANDS.SESS_KEY_NEG_FINISH,
+      hmacSha256(localKey, remoteNonce),
+    ),
+    localKey,
+  );
+
+  return deriveSessionKey(localKey, localNonce, remoteNonce);
+}
+
+// Opens a connection, sends one command and returns the decoded JSON reply
+async function exchange(device, command, body) {
+  const { ip, port = DEFAULT_PORT, localKey, version = "3.3" } = device.local;
+  const conn = await connect({
+    host: ip,
+    port,
+    version,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+  });
+
+  try {
+    let key = Buffer.from(localKey, "utf8");
+    if (version === "3.4") key = await negotiateSessionKey(conn, key);
+
+    const plaintext = Buffer.from(JSON.stringify(body), "utf8");
+    conn.send(command, encryptPayload(version, key, command, plaintext), key);
+
+    const reply = await conn.receive((m) => m.command === command, key);
+    if (reply.retcode) {
+      throw new Error(`Device rejected command (return code ${reply.retcode})`);
+    }
+
+    const data = decryptPayload(version, key, reply.payload);
+    if (data.length === 0) return null;
+    try {
+      return JSON.parse(data.toString("utf8"));
+    } catch {
+      throw new Error(`Unexpected reply from device: ${data.toString("utf8")}`);
+    }
+  } finally {
+    conn.close();
+  }
+}
+
+function getDpMap(device) {
+  return device.local.dpMap ?? DEFAULT_DP_MAP;
+}
+
+export async function fetchDeviceStatus(device) {
+  const { id, local } = device;
+  const t = Math.floor(Date.now() / 1000).toString();
+  const reply =
+    local.version === "3.4"
+      ? await exchange(device, COMMANDS.DP_QUERY_NEW, {})
+      : await exchange(device, COMMANDS.DP_QUERY, {
+          gwId: id,
+          devId: id,
+          uid: id,
+          t,
+        });
+
+  const dps = reply?.dps ?? reply?.data?.dps;
+  if (!dps) throw new Error("Device reply did not contain data points");
+
+  // Same shape as the cloud status: [{ code, value }]
+  const dpMap = getDpMap(device);
+  return Object.entries(dps)
+    .filter(([dp]) => dpMap[dp])
+    .map(([dp, value]) => ({ code: dpMap[dp], value }));
+}
+
+// Writes data points given as { code: value }
+export async function sendDeviceCommands(device, values) {
+  const codeToDp = Object.fromEntries(
+    Object.entries(getDpMap(device)).map(([dp, code]) => [code, dp]),
+  );
+
+  const dps = {};
+  for (const [code, value] of Object.entries(values)) {
+    if (!codeToDp[code]) {
+      throw new Error(`No local DP id known for ${code} on ${device.id}`);
+    }
+    dps[codeToDp[code]] = value;
+  }
+
+  const t = Math.floor(Date.now() / 1000);
+  if (device.local.version === "3.4") {
+    await exchange(device, COMMANDS.CONTROL_NEW, {
+      protocol: 5,
+      t,
+      data: { dps },
+    });
+  } else {
+    await exchange(device, COMMANDS.CONTROL, {
+      devId: device.id,
+      uid: device.id,
+      t: t.toString(),
+      dps,
+    });
+  }
+
+  // Mirrors the cloud command response
+  return { success: true, result: true, t: Date.now() };
+}
+
+export async function controlDeviceSwitch(device, switchState) {
+  return sendDeviceCommands(device, { switch_1: switchState });
+}
@@ -0,0 +1,623 @@
+import express from "express";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { requireRole } from "./auth.js";
+import { DEFAULT_TIMEZONE, getIsoWeekday, getZonedParts } from "./timezone.js";
+
+dotenv.config();
+
+// Virtual smart plugs that answer Tuya's cloud API in place of the real one,
+// for running the whole stack without credentials or hardware. With
+// TUYA_SIMULATOR=true every request tuya.js would send is answered here, so
+// the retries, circuit breaker and metrics around it behave as in production.
+export const SIMULATOR_ENABLED = process.env.TUYA_SIMULATOR === "true";
+
+const NOMINAL_VOLTAGE = Number(process.env.NOMINAL_VOLTAGE) || 230;
+
+// Simulated time between two meter samples, and between two log reports
+// while the readings stay steady
+const STEP_MS = 10 * 1000;
+const REPORT_INTERVAL_MS = 60 * 1000;
+// Devices left unqueried for longer than this skip ahead instead of replaying
+// every step
+const MAX_CATCH_UP_MS = 24 * 60 * 60 * 1000;
+const MAX_LOG_EVENTS = 20000;
+
+const MAX_FAULT_SECONDS = 24 * 60 * 60;
+const MAX_TIMEOUT_DELAY_MS = 60 * 1000;
+const FAULT_TYPES = ["timeout", "offline", "voltage_sag", "voltage_swell"];
+// Voltage during a sag or swell when the fault does not set one
+const DEFAULT_FAULT_VOLTAGE = {
+  voltage_sag: Math.round(NOMINAL_VOLTAGE * 0.8),
+  voltage_swell: Math.round(NOMINAL_VOLTAGE * 1.15),
+};
+
+// Deterministic noise in [0, 1) for a device seed and a sample number, so a
+// device draws the same curve for the same moment
+function noise(seed, n) {
+  let x = (seed ^ Math.imul(n, 0x9e3779b1)) >>> 0;
+  x = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+  x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35);
+  return ((x ^ (x >>> 16)) >>> 0) / 2 ** 32;
+}
+
+function hashSeed(text) {
+  return crypto.createHash("sha1").update(text).digest().readUInt32BE(0);
+}
+
+// Local time of `t` as fractional hours, plus whether it falls on a weekend
+function localClock(t) {
+  const p = getZonedParts(new Date(t), DEFAULT_TIMEZONE);
+  return {
+    hour: p.hour + p.minute / 60 + p.second / 3600,
+    weekend: getIsoWeekday(p) >= 6,
+    day: Math.floor(Date.UTC(p.year, p.month - 1, p.day) / 86400000),
+  };
+}
+
+// Load profiles: watts drawn at `t` while the plug is on, and the power
+// factor relating them to the current. Resistive loads draw less during a
+// sag (P ~ V²); the others are regulated and keep their power.
+const PROFILES = {
+  // Compressor cycles of about 45 minutes, running longer in the warm
+  // afternoon, with an inrush spike as it starts
+  fridge: {
+    powerFactor: 0.85,
+    resistive: false,
+    power(t, seed, { hour }) {
+      const warmth = Math.cos(((hour - 15) / 24) * 2 * Math.PI);
+      const duty = 0.4 + 0.1 * warmth;
+      const periodMs = 45 * 60 * 1000;
+      const position = ((t + seed * 1000) % periodMs) / periodMs;
+      const jitter = noise(seed, Math.floor(t / STEP_MS));
+      if (position >= duty) return 1.2 + jitter * 0.4;
+      if (position * periodMs < STEP_MS) return 320 + jitter * 40;
+      return 120 - 20 * (position / duty) + jitter * 4;
+    },
+  },
+  // Thermostat-controlled 1.5 kW heater, busiest on mornings and evenings
+  heater: {
+    powerFactor: 1,
+    resistive: true,
+    power(t, seed, { hour }) {
+      const duty =
+        hour < 5
+          ? 0.2
+          : hour < 9
+            ? 0.7
+            : hour < 17
+              ? 0.15
+              : hour < 23
+                ? 0.6
+                : 0.3;
+      const periodMs = 12 * 60 * 1000;
+      const position = ((t + seed * 1000) % periodMs) / periodMs;
+      const jitter = noise(seed, Math.floor(t / STEP_MS));
+      return position < duty ? 1480 + jitter * 40 : 0.4;
+    },
+  },
+  // Watched in the evening, and around noon on weekends; the picture makes
+  // the draw wander
+  tv: {
+    powerFactor: 0.95,
+    resistive: false,
+    power(t, seed, { hour, weekend, day }) {
+      const start = 18 + noise(seed, day) * 1.5;
+      const end = 22.5 + noise(seed + 1, day) * 1.5;
+      const watching =
+        (hour >= start && hour < end) || (weekend && hour >= 11 && hour < 14);
+      if (!watching) return 0.5;
+      return 70 + noise(seed, Math.floor(t / 20000)) * 45;
+    },
+  },
+  // Office hours on weekdays with bursty load, idle over lunch, asleep
+  // otherwise
+  computer: {
+    powerFactor: 0.9,
+    resistive: false,
+    power(t, seed, { hour, weekend }) {
+      if (weekend || hour < 9 || hour >= 18) return 2;
+      if (hour >= 13 && hour < 14)
+        return 45 + noise(seed, Math.floor(t / STEP_MS)) * 5;
+      return 60 + noise(seed, Math.floor(t / 30000)) * 90;
+    },
+  },
+};
+
+const PROFILE_NAMES = Object.keys(PROFILES);
+
+// TUYA_SIMULATOR_PROFILES=<deviceId>:<profile>,... pins profiles; other
+// devices get one picked from their id
+const configuredProfiles = new Map(
+  (process.env.TUYA_SIMULATOR_PROFILES ?? "")
+    .split(",")
+    .map((entry) => entry.trim().split(":"))
+    .filter(([id, profile]) => id && PROFILES[profile]),
+);
+
+const devices = new Map();
+let faults = [];
+
+function getSimulatedDevice(deviceId) {
+  let device = devices.get(deviceId);
+  if (!device) {
+    const seed = hashSeed(deviceId);
+    const now = Date.now();
+    device = {
+      id: deviceId,
+      seed,
+      profile:
+        configuredProfiles.get(deviceId) ??
+        PROFILE_NAMES[seed % PROFILE_NAMES.length],
+      createdAt: now,
+      on: true,
+      countdownUntil: null,
+      energy: 0, // kWh metered so far
+      reportedEnergy: 0, // kWh of it sent in add_ele reports
+      addEle: 0,
+      online: !findFault(deviceId, ["offline"], now),
+      settledAt: now,
+      reading: null,
+      reportedAt: now,
+      reported: null,
+      logs: [],
+    };
+    devices.set(deviceId, device);
+    sampleDevice(device, now);
+    report(device, now, true);
+    console.log(`🧪 Simulating ${deviceId} as a ${device.profile}`);
+  }
+  settleDevice(device, Date.now());
+  return device;
+}
+
+// --- Faults ---
+
+function activeFaults(deviceId, t = Date.now()) {
+  return faults.filter(
+    (fault) =>
+      (fault.deviceId === null || fault.deviceId === deviceId) &&
+      fault.startsAt.getTime() <= t &&
+      fault.endsAt.getTime() > t,
+  );
+}
+
+function findFault(deviceId, types, t) {
+  return activeFaults(deviceId, t).find((fault) => types.includes(fault.type));
+}
+
+function dropExpiredFaults() {
+  const now = Date.now();
+  faults = faults.filter((fault) => fault.endsAt.getTime() > now);
+}
+
+export function validateFault(body = {}) {
+  const {
+    type,
+    deviceId = null,
+    durationSeconds = 60,
+    startInSeconds = 0,
+    voltage,
+    delayMs,
+  } = body;
+  if (!FAULT_TYPES.includes(type)) {
+    return { error: `type must be one of: ${FAULT_TYPES.join(", ")}` };
+  }
+  if (deviceId !== null && (typeof deviceId !== "string" || deviceId === "")) {
+    return { error: "deviceId must be a device id, or null for every device" };
+  }
+  if (
+    typeof durationSeconds !== "number" ||
+    !(durationSeconds > 0 && durationSeconds <= MAX_FAULT_SECONDS)
+  ) {
+    return {
+      error: `durationSeconds must be a number between 0 and ${MAX_FAULT_SECONDS}`,
+    };
+  }
+  if (
+    typeof startInSeconds !== "number" ||
+    !(startInSeconds >= 0 && startInSeconds <= MAX_FAULT_SECONDS)
+  ) {
+    return {
+      error: `startInSeconds must be a number between 0 and ${MAX_FAULT_SECONDS}`,
+    };
+  }
+
+  const fault = { type, deviceId };
+  if (type === "voltage_sag" || type === "voltage_swell") {
+    if (
+      voltage !== undefined &&
+      (typeof voltage !== "number" || !(voltage > 0 && voltage < 1000))
+    ) {
+      return { error: "voltage must be a number of volts between 0 and 1000" };
+    }
+    fault.voltage = voltage ?? DEFAULT_FAULT_VOLTAGE[type];
+  }
+  if (type === "timeout") {
+    if (
+      delayMs !== undefined &&
+      (!Number.isInteger(delayMs) ||
+        delayMs < 0 ||
+        delayMs > MAX_TIMEOUT_DELAY_MS)
+    ) {
+      return {
+        error: `delayMs must be an integer between 0 and ${MAX_TIMEOUT_DELAY_MS}`,
+      };
+    }
+    // null waits as long as the client's own request timeout
+    fault.delayMs = delayMs ?? null;
+  }
+
+  const startsAt = new Date(Date.now() + startInSeconds * 1000);
+  fault.startsAt = startsAt;
+  fault.endsAt = new Date(startsAt.getTime() + durationSeconds * 1000);
+  return { value: fault };
+}
+
+// Schedules a validated fault; it lifts by itself at endsAt
+export function injectFault(fault) {
+  dropExpiredFaults();
+  const injected = { id: crypto.randomUUID(), ...fault, createdAt: new Date() };
+  faults.push(injected);
+  console.log(
+    `🧪 Simulated ${injected.type} on ${injected.deviceId ?? "every device"} from ${injected.startsAt.toISOString()} to ${injected.endsAt.toISOString()}`,
+  );
+  return injected;
+}
+
+export function clearFaults(id = null) {
+  const before = faults.length;
+  faults = id === null ? [] : faults.filter((fault) => fault.id !== id);
+  return before - faults.length;
+}
+
+// --- Meter ---
+
+function voltageAt(device, t, clock) {
+  const fault = findFault(device.id, ["voltage_sag", "voltage_swell"], t);
+  const jitter =
+    (noise(device.seed + 7, Math.floor(t / STEP_MS)) - 0.5) * 0.008;
+  if (fault) return fault.voltage * (1 + jitter);
+  // The grid runs a little high overnight and dips with the evening peak
+  const evening = Math.exp(-((clock.hour - 19.5) ** 2) / 4);
+  return NOMINAL_VOLTAGE * (1.01 - 0.035 * evening + jitter);
+}
+
+function sampleDevice(device, t) {
+  const clock = localClock(t);
+  const profile = PROFILES[device.profile];
+  const voltage = voltageAt(device, t, clock);
+  let power = 0;
+  if (device.on) {
+    power = profile.power(t, device.seed, clock);
+    if (profile.resistive) power *= (voltage / NOMINAL_VOLTAGE) ** 2;
+  }
+  device.reading = {
+    power,
+    voltage,
+    current: power / (voltage * profile.powerFactor),
+  };
+  return device.reading;
+}
+
+// Data points in the units a typical plug reports: W x 10, V x 10, mA and
+// kWh x 1000. Like real plugs, add_ele is the energy of the last report and
+// reads the same until the next one.
+function toDataPoints(device, reading = device.reading) {
+  const countdown = device.countdownUntil
+    ? Math.max(0, Math.ceil((device.countdownUntil - Date.now()) / 1000))
+    : 0;
+  return {
+    switch_1: device.on,
+    countdown_1: countdown,
+    add_ele: device.addEle,
+    cur_current: Math.round(reading.current * 1000),
+    cur_power: Math.round(reading.power * 10),
+    cur_voltage: Math.round(reading.voltage * 10),
+  };
+}
+
+// Appends a device log event; Tuya logs every value as a string
+function logEvent(device, t, eventId, code = null, value = null) {
+  device.logs.push({
+    event_id: eventId,
+    event_time: t,
+    ...(code && { code, value: String(value) }),
+  });
+  if (device.logs.length > MAX_LOG_EVENTS) {
+    device.logs.splice(0, device.logs.length - MAX_LOG_EVENTS);
+  }
+}
+
+// Reports the data points that changed since the last report, or all of
+// them once REPORT_INTERVAL_MS has passed, as an online plug does
+function report(device, t, force = false) {
+  const values = toDataPoints(device);
+  const periodic = t - device.reportedAt >= REPORT_INTERVAL_MS;
+  const powerJump =
+    device.reported !== null &&
+    Math.abs(values.cur_power - device.reported.cur_power) >
+      Math.max(50, device.reported.cur_power * 0.2);
+  if (!force && !periodic && !powerJump) return;
+
+  // Every report carries the energy metered since the previous one; the
+  // fraction of a unit left over goes into the next
+  values.add_ele = Math.floor((device.energy - device.reportedEnergy) * 1000);
+  device.reportedEnergy += values.add_ele / 1000;
+  device.addEle = values.add_ele;
+
+  for (const [code, value] of Object.entries(values)) {
+    if (
+      force ||
+      periodic ||
+      code === "add_ele" ||
+      device.reported[code] !== value
+    ) {
+      logEvent(device, t, 7, code, value);
+    }
+  }
+  device.reported = values;
+  device.reportedAt = t;
+}
+
+function setSwitch(device, on, t) {
+  if (device.on === on) return;
+  device.on = on;
+  device.countdownUntil = null;
+  sampleDevice(device, t);
+  if (device.online) report(device, t, true);
+}
+
+// Advances a device's meter to `now` in STEP_MS steps: integrates energy,
+// fires countdowns, follows offline faults and logs what the plug reports
+function settleDevice(device, now) {
+  if (now - device.settledAt > MAX_CATCH_UP_MS) {
+    device.settledAt = now - MAX_CATCH_UP_MS;
+  }
+  let previous = device.settledAt;
+  while (previous < now) {
+    const t = Math.min(previous + STEP_MS, now);
+    if (device.countdownUntil && device.countdownUntil <= t) {
+      setSwitch(device, !device.on, t);
+    }
+
+    const online = !findFault(device.id, ["offline"], t);
+    if (online !== device.online) {
+      device.online = online;
+      logEvent(device, t, online ? 1 : 2);
+    }
+
+    const before = device.reading.power;
+    const { power } = sampleDevice(device, t);
+    device.energy += (((before + power) / 2) * (t - previous)) / 3600000 / 1000;
+    if (device.online) report(device, t);
+    previous = t;
+  }
+  device.settledAt = now;
+}
+
+// --- Cloud API ---
+
+function ok(result) {
+  return { success: true, result, t: Date.now() };
+}
+
+function fail(code, msg) {
+  return { success: false, code, msg, t: Date.now() };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const SPECIFICATION = {
+  category: "cz",
+  functions: [
+    { code: "switch_1", type: "Boolean", values: "{}" },
+    {
+      code: "countdown_1",
+      type: "Integer",
+      values: '{"unit":"s","min":0,"max":86400,"scale":0,"step":1}',
+    },
+  ],
+  status: [
+    { code: "switch_1", type: "Boolean", values: "{}" },
+    {
+      code: "countdown_1",
+      type: "Integer",
+      values: '{"unit":"s","min":0,"max":86400,"scale":0,"step":1}',
+    },
+    {
+      code: "add_ele",
+      type: "Integer",
+      values: '{"unit":"kW·h","min":0,"max":50000,"scale":3,"step":100}',
+    },
+    {
+      code: "cur_current",
+      type: "Integer",
+      values: '{"unit":"mA","min":0,"max":30000,"scale":0,"step":1}',
+    },
+    {
+      code: "cur_power",
+      type: "Integer",
+      values: '{"unit":"W","min":0,"max":50000,"scale":1,"step":1}',
+    },
+    {
+      code: "cur_voltage",
+      type: "Integer",
+      values: '{"unit":"V","min":0,"max":5000,"scale":1,"step":1}',
+    },
+  ],
+};
+
+function handleCommands(device, body) {
+  if (!device.online) return fail(2001, "device is offline");
+  const { commands } = JSON.parse(body);
+  const now = Date.now();
+  for (const { code, value } of commands) {
+    const valid =
+      (code === "switch_1" && typeof value === "boolean") ||
+      (code === "countdown_1" &&
+        Number.isInteger(value) &&
+        value >= 0 &&
+        value <= 86400);
+    if (!valid) return fail(2008, "command or value not support");
+  }
+  for (const { code, value } of commands) {
+    if (code === "switch_1") setSwitch(device, value, now);
+    if (code === "countdown_1") {
+      device.countdownUntil = value > 0 ? now + value * 1000 : null;
+      report(device, now, true);
+    }
+  }
+  return ok(true);
+}
+
+function handleLogs(device, query) {
+  const startTime = Number(query.get("start_time"));
+  const endTime = Number(query.get("end_time"));
+  const types = (query.get("type") ?? "1,2,7").split(",").map(Number);
+  const size = Math.min(Number(query.get("size")) || 20, 100);
+  const offset = Number(query.get("start_row_key")) || 0;
+
+  const matching = device.logs.filter(
+    (log) =>
+      log.event_time >= startTime &&
+      log.event_time <= endTime &&
+      types.includes(log.event_id),
+  );
+  const logs = matching.slice(offset, offset + size);
+  const hasNext = offset + size < matching.length;
+  return ok({
+    device_id: device.id,
+    logs,
+    has_next: hasNext,
+    next_row_key: hasNext ? String(offset + size) : null,
+  });
+}
+
+function handleInfo(device) {
+  return ok({
+    id: device.id,
+    name: `Simulated ${device.profile}`,
+    category: "cz",
+    product_name: "Simulated smart plug",
+    online: device.online,
+    active_time: Math.floor(device.createdAt / 1000),
+    create_time: Math.floor(device.createdAt / 1000),
+    update_time: Math.floor(device.reportedAt / 1000),
+    status: Object.entries(device.reported).map(([code, value]) => ({
+      code,
+      value,
+    })),
+  });
+}
+
+// Answers one Tuya cloud request with the body Tuya would send. Timeout
+// faults reject the way axios does when `timeout` runs out.
+export async function handleSimulatedRequest({ method, path, body, timeout }) {
+  const url = new URL(path, "http://tuya.simulator");
+  const match = url.pathname.match(
+    /^\/v1\.0\/devices\/([^/]+)(?:\/(status|commands|specifications|logs))?$/,
+  );
+  const deviceId = match ? decodeURIComponent(match[1]) : null;
+
+  const timeoutFault = findFault(deviceId, ["timeout"], Date.now());
+  if (timeoutFault) {
+    const delay = timeoutFault.delayMs ?? timeout;
+    await sleep(delay);
+    throw Object.assign(new Error(`timeout of ${delay}ms exceeded`), {
+      code: "ECONNABORTED",
+    });
+  }
+
+  if (url.pathname === "/v1.0/token") {
+    return ok({
+      access_token: "simulated",
+      refresh_token: "simulated",
+      expire_time: 7200,
+      uid: "simulator",
+    });
+  }
+  if (!match) return fail(1108, "uri path invalid");
+
+  const device = getSimulatedDevice(deviceId);
+  const resource = match[2] ?? "info";
+  if (method === "GET" && resource === "status") {
+    const values = device.online ? toDataPoints(device) : device.reported;
+    return ok(Object.entries(values).map(([code, value]) => ({ code, value })));
+  }
+  if (method === "POST" && resource === "commands") {
+    return handleCommands(device, body);
+  }
+  if (method === "GET" && resource === "specifications") {
+    return ok(SPECIFICATION);
+  }
+  if (method === "GET" && resource === "logs") {
+    return handleLogs(device, url.searchParams);
+  }
+  if (method === "GET" && resource === "info") return handleInfo(device);
+  return fail(1108, "uri path invalid");
+}
+
+function toSimulatedDevice(device) {
+  const { power, voltage, current } = device.reading;
+  return {
+    deviceId: device.id,
+    profile: device.profile,
+    online: device.online,
+    switch: device.on,
+    countdownUntil: device.countdownUntil
+      ? new Date(device.countdownUntil).toISOString()
+      : null,
+    power: Math.round(power * 10) / 10,
+    voltage: Math.round(voltage * 10) / 10,
+    current: Math.round(current * 1000) / 1000,
+    energyTotal: Math.round(device.energy * 1000) / 1000,
+    reportedAt: new Date(device.reportedAt).toISOString(),
+  };
+}
+
+export const simulatorRouter = express.Router();
+
+// Virtual devices created so far (one per device id the backend has asked
+// about) and the faults that are active or scheduled
+simulatorRouter.get("/simulator", requireRole("viewer"), (req, res) => {
+  dropExpiredFaults();
+  res.json({
+    success: true,
+    data: {
+      profiles: PROFILE_NAMES,
+      nominalVoltage: NOMINAL_VOLTAGE,
+      devices: [...devices.keys()].map((id) =>
+        toSimulatedDevice(getSimulatedDevice(id)),
+      ),
+      faults,
+    },
+  });
+});
+
+simulatorRouter.post("/simulator/faults", requireRole("admin"), (req, res) => {
+  const { value, error } = validateFault(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  res.status(201).json({ success: true, data: injectFault(value) });
+});
+
+simulatorRouter.delete(
+  "/simulator/faults",
+  requireRole("admin"),
+  (req, res) => {
+    res.json({ success: true, data: { cleared: clearFaults() } });
+  },
+);
+
+simulatorRouter.delete(
+  "/simulator/faults/:id",
+  requireRole("admin"),
+  (req, res) => {
+    if (clearFaults(req.params.id) === 0) {
+      return res.status(404).json({ success: false, error: "Fault not found" });
+    }
+    res.json({ success: true, data: { cleared: 1 } });
+  },
+);
@@ -1,6 +1,8 @@
 import crypto from "crypto";
 import axios from "axios";
 import dotenv from "dotenv";
+import { counter, gauge } from "./metrics.js";
+import { handleSimulatedRequest, SIMULATOR_ENABLED } from "./tuya-simulator.js";
 
 dotenv.config();
 
@@ -8,8 +10,56 @@ const { TUYA_CLIENT_ID, TUYA_CLIENT_SECRET, TUYA_API_REGION } = process.env;
 
 const BASE_URL = `https://openapi.${TUYA_API_REGION}.com`;
 
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Retries with full-jitter exponential backoff
+const MAX_RETRIES = Number(process.env.TUYA_MAX_RETRIES ?? 3);
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+// Requests per second allowed towards the Tuya API, shared by every caller
+const RATE_LIMIT_PER_SECOND = Number(process.env.TUYA_RATE_LIMIT) || 10;
+
+// Consecutive failed requests that open the circuit, and how long it stays
+// open before a trial request is let through
+const BREAKER_THRESHOLD = Number(process.env.TUYA_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS =
+  Number(process.env.TUYA_BREAKER_COOLDOWN_MS) || 30000;
+
+// Tuya answers these when the access token is invalid or expired
+const TOKEN_ERROR_CODES = new Set([1010, 1011]);
+const RETRYABLE_NETWORK_CODES = new Set([
+  "ECONNABORTED",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+]);
+
 let cachedToken = null;
 let cachedTokenExpire = 0;
+// Why the next token is fetched: "expired" unless Tuya rejected the last one
+let tokenRefreshReason = "expired";
+
+const apiErrors = counter(
+  "tuya_api_errors_total",
+  "Failed Tuya API calls by Tuya error code, network error or HTTP status",
+);
+const tokenRefreshes = counter(
+  "tuya_token_refreshes_total",
+  "Tuya access tokens fetched, by reason",
+);
+
+export class TuyaApiError extends Error {
+  constructor(message, { code = null, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = "TuyaApiError";
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
 
 function genSignature({ method, url, body, t, accessToken = "" }) {
   const contentHash = crypto
@@ -25,120 +75,362 @@ function genSignature({ method, url, body, t, accessToken = "" }) {
     .toUpperCase();
 }
 
-async function getAccessToken() {
-  try {
-    const now = Date.now();
-    if (cachedToken && now < cachedTokenExpire) return cachedToken;
-
-    const t = now.toString();
-    const method = "GET";
-    const url = "/v1.0/token?grant_type=1";
-    const sign = genSignature({ method, url, t });
-
-    const res = await axios.get(`${BASE_URL}${url}`, {
-      headers: {
-        client_id: TUYA_CLIENT_ID,
-        sign,
-        t,
-        sign_method: "HMAC-SHA256",
-      },
-      timeout: 10000, // 10 second timeout
-    });
+// --- Rate limiting (token bucket) ---
 
-    cachedToken = res.data.result.access_token;
-    cachedTokenExpire = now + res.data.result.expire_time - 60 * 1000; // refresh 1 min before expiry
-    return cachedToken;
-  } catch (error) {
-    console.error("Error getting access token:", error.message);
-    if (error.code === 'ECONNABORTED') {
-      throw new Error('Token request timeout - Tuya API is not responding');
-    }
-    if (error.code === 'ECONNRESET' || error.code === 'ECONNREFUSED') {
-      throw new Error('Token connection failed - Network or Tuya API issue');
-    }
-    throw error;
+let availableTokens = RATE_LIMIT_PER_SECOND;
+let lastRefill = Date.now();
+
+function refillBucket() {
+  const now = Date.now();
+  availableTokens = Math.min(
+    RATE_LIMIT_PER_SECOND,
+    availableTokens + ((now - lastRefill) / 1000) * RATE_LIMIT_PER_SECOND,
+  );
+  lastRefill = now;
+}
+
+async function acquireRateLimit() {
+  refillBucket();
+  while (availableTokens < 1) {
+    const waitMs = ((1 - availableTokens) / RATE_LIMIT_PER_SECOND) * 1000;
+    await sleep(Math.ceil(waitMs));
+    refillBucket();
   }
+  availableTokens -= 1;
 }
 
-export async function fetchDeviceStatus(deviceId) {
-  try {
-    const token = await getAccessToken();
-    const t = Date.now().toString();
-    const method = "GET";
-    const urlPath = `/v1.0/devices/${deviceId}/status`;
-    const sign = genSignature({ method, url: urlPath, t, accessToken: token });
-
-    const res = await axios.get(`${BASE_URL}${urlPath}`, {
-      headers: {
-        client_id: TUYA_CLIENT_ID,
-        sign,
-        t,
-        sign_method: "HMAC-SHA256",
-        access_token: token,
-      },
-      timeout: 10000, // 10 second timeout
-    });
+// --- Circuit breaker ---
 
-    return res.data.result; // returns array of status
-  } catch (error) {
-    console.error("Error in fetchDeviceStatus:", error.message);
-    if (error.code === 'ECONNABORTED') {
-      throw new Error('Request timeout - Tuya API is not responding');
+const circuit = {
+  state: "closed", // closed | open | half-open
+  failures: 0,
+  openedAt: null,
+  lastError: null,
+  trialInFlight: false,
+};
+const circuitListeners = [];
+
+const CIRCUIT_STATE_VALUES = { closed: 0, "half-open": 1, open: 2 };
+gauge(
+  "tuya_circuit_state",
+  "Tuya API circuit breaker state: 0 closed, 1 half-open, 2 open",
+  () => [{ value: CIRCUIT_STATE_VALUES[circuit.state] }],
+);
+
+export function getCircuitState() {
+  return {
+    state: circuit.state,
+    failures: circuit.failures,
+    openedAt: circuit.openedAt?.toISOString() ?? null,
+    retryAt:
+      circuit.state === "open"
+        ? new Date(
+            circuit.openedAt.getTime() + BREAKER_COOLDOWN_MS,
+          ).toISOString()
+        : null,
+    lastError: circuit.lastError,
+  };
+}
+
+// listener(state) is called whenever the circuit changes state
+export function onCircuitStateChange(listener) {
+  circuitListeners.push(listener);
+}
+
+function setCircuitState(state) {
+  if (circuit.state === state) return;
+  circuit.state = state;
+  if (state === "open") circuit.openedAt = new Date();
+  console.log(`⚡ Tuya circuit breaker ${state}`);
+  for (const listener of circuitListeners) {
+    try {
+      listener(getCircuitState());
+    } catch (error) {
+      console.error("Error in circuit breaker listener:", error.message);
     }
-    if (error.code === 'ECONNRESET' || error.code === 'ECONNREFUSED') {
-      throw new Error('Connection failed - Network or Tuya API issue');
+  }
+}
+
+function enterCircuit() {
+  if (circuit.state === "open") {
+    if (Date.now() - circuit.openedAt.getTime() < BREAKER_COOLDOWN_MS) {
+      throw new TuyaApiError(
+        "Tuya API circuit is open; requests are paused after repeated failures",
+        { code: "CIRCUIT_OPEN" },
+      );
     }
-    if (error.response) {
-      console.error("Response status:", error.response.status);
-      console.error("Response data:", JSON.stringify(error.response.data, null, 2));
+    setCircuitState("half-open");
+  }
+  if (circuit.state === "half-open") {
+    if (circuit.trialInFlight) {
+      throw new TuyaApiError(
+        "Tuya API circuit is half-open; waiting for the trial request",
+        { code: "CIRCUIT_OPEN" },
+      );
     }
-    throw error;
+    circuit.trialInFlight = true;
   }
 }
 
-export async function controlDeviceSwitch(deviceId, switchState) {
-  try {
-    const token = await getAccessToken();
-    const t = Date.now().toString();
-    const method = "POST";
-    const urlPath = `/v1.0/devices/${deviceId}/commands`;
-
-    // Prepare the request body for standard device control
-    const body = JSON.stringify({
-      commands: [
-        {
-          code: "switch_1",
-          value: switchState
-        }
-      ]
+function recordSuccess() {
+  circuit.failures = 0;
+  circuit.trialInFlight = false;
+  setCircuitState("closed");
+}
+
+// Only failures that say the API is unreachable count towards opening the
+// circuit; errors about a single device or request do not
+function recordFailure(error) {
+  circuit.trialInFlight = false;
+  if (!error.retryable) {
+    if (circuit.state === "half-open") setCircuitState("closed");
+    return;
+  }
+  circuit.failures++;
+  circuit.lastError = error.message;
+  if (circuit.state === "half-open" || circuit.failures >= BREAKER_THRESHOLD) {
+    setCircuitState("open");
+  }
+}
+
+// --- Requests ---
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt) {
+  const cap = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.random() * cap;
+}
+
+function toTuyaError(error) {
+  if (error instanceof TuyaApiError) return error;
+  if (error.response) {
+    const { status } = error.response;
+    return new TuyaApiError(`Tuya API responded with HTTP ${status}`, {
+      status,
+      retryable: status === 429 || status >= 500,
+    });
+  }
+  if (error.code === "ECONNABORTED") {
+    return new TuyaApiError("Request timeout - Tuya API is not responding", {
+      code: error.code,
+      retryable: true,
+    });
+  }
+  if (RETRYABLE_NETWORK_CODES.has(error.code)) {
+    return new TuyaApiError("Connection failed - Network or Tuya API issue", {
+      code: error.code,
+      retryable: true,
+    });
+  }
+  return new TuyaApiError(error.message);
+}
+
+// One signed HTTP call; Tuya reports most errors as HTTP 200 with
+// { success: false, code, msg }. In simulator mode the virtual devices
+// answer instead.
+async function send({ method, path, body, accessToken = "" }) {
+  await acquireRateLimit();
+  if (SIMULATOR_ENABLED) {
+    return handleSimulatedRequest({
+      method,
+      path,
+      body,
+      timeout: REQUEST_TIMEOUT_MS,
     });
+  }
+  const t = Date.now().toString();
+  const sign = genSignature({ method, url: path, body, t, accessToken });
 
-    console.log(`Making request to: ${BASE_URL}${urlPath}`);
-    console.log(`Request body: ${body}`);
+  const res = await axios.request({
+    method,
+    url: `${BASE_URL}${path}`,
+    data: body,
+    headers: {
+      client_id: TUYA_CLIENT_ID,
+      sign,
+      t,
+      sign_method: "HMAC-SHA256",
+      ...(accessToken && { access_token: accessToken }),
+      ...(body && { "Content-Type": "application/json" }),
+    },
+    timeout: REQUEST_TIMEOUT_MS,
+  });
+  return res.data;
+}
 
-    const sign = genSignature({ method, url: urlPath, body, t, accessToken: token });
+async function getAccessToken() {
+  const now = Date.now();
+  if (cachedToken && now < cachedTokenExpire) return cachedToken;
 
-    const res = await axios.post(`${BASE_URL}${urlPath}`, body, {
-      headers: {
-        client_id: TUYA_CLIENT_ID,
-        sign,
-        t,
-        sign_method: "HMAC-SHA256",
-        access_token: token,
-        "Content-Type": "application/json",
-      },
+  const data = await send({ method: "GET", path: "/v1.0/token?grant_type=1" });
+  if (!data.success) {
+    throw new TuyaApiError(`Token request failed: ${data.msg}`, {
+      code: data.code,
     });
+  }
 
-    console.log(`Tuya API response status: ${res.status}`);
-    console.log(`Tuya API response data:`, JSON.stringify(res.data, null, 2));
+  tokenRefreshes.inc({
+    reason: cachedTokenExpire === 0 ? "initial" : tokenRefreshReason,
+  });
+  tokenRefreshReason = "expired";
+  cachedToken = data.result.access_token;
+  // expire_time is in seconds; refresh 1 min before expiry
+  cachedTokenExpire = now + data.result.expire_time * 1000 - 60 * 1000;
+  return cachedToken;
+}
 
-    return res.data;
+// Authenticated request with retries, token refresh and the circuit breaker.
+// Resolves with Tuya's response body, including { success: false } answers
+// that are not worth retrying.
+async function tuyaRequest({ method, path, body }) {
+  try {
+    enterCircuit();
   } catch (error) {
-    console.error("Error in controlDeviceSwitch:", error.message);
-    if (error.response) {
-      console.error("Response status:", error.response.status);
-      console.error("Response data:", JSON.stringify(error.response.data, null, 2));
-    }
+    apiErrors.inc({ code: error.code });
     throw error;
   }
+
+  let tokenRefreshed = false;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const accessToken = await getAccessToken();
+      const data = await send({ method, path, body, accessToken });
+      if (!data.success) apiErrors.inc({ code: String(data.code) });
+
+      if (
+        !data.success &&
+        TOKEN_ERROR_CODES.has(data.code) &&
+        !tokenRefreshed
+      ) {
+        console.warn(`⚠️ Tuya token rejected (${data.code}), refreshing`);
+        tokenRefreshed = true;
+        cachedToken = null;
+        tokenRefreshReason = "rejected";
+        attempt--; // a token refresh is not a failed attempt
+        continue;
+      }
+
+      recordSuccess();
+      return data;
+    } catch (err) {
+      const error = toTuyaError(err);
+      apiErrors.inc({
+        code: error.code ?? (error.status ? `HTTP_${error.status}` : "unknown"),
+      });
+      if (!error.retryable || attempt >= MAX_RETRIES) {
+        recordFailure(error);
+        throw error;
+      }
+      const delay = backoffDelay(attempt);
+      console.warn(
+        `⚠️ Tuya ${method} ${path} failed (${error.message}), retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`,
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+export async function fetchDeviceStatus(deviceId) {
+  const data = await tuyaRequest({
+    method: "GET",
+    path: `/v1.0/devices/${deviceId}/status`,
+  });
+  if (!data.success) {
+    throw new TuyaApiError(`Tuya status request failed: ${data.msg}`, {
+      code: data.code,
+    });
+  }
+  return data.result; // returns array of status
+}
+
+// { code: value } pairs sent as one command request. Setting data points is
+// idempotent, so retrying it is safe.
+export async function sendDeviceCommands(deviceId, values) {
+  return tuyaRequest({
+    method: "POST",
+    path: `/v1.0/devices/${deviceId}/commands`,
+    body: JSON.stringify({
+      commands: Object.entries(values).map(([code, value]) => ({
+        code,
+        value,
+      })),
+    }),
+  });
+}
+
+export async function controlDeviceSwitch(deviceId, switchState) {
+  return sendDeviceCommands(deviceId, { switch_1: switchState });
+}
+
+// Functions (writable data points) and status (reported data points) of a
+// device: { category, functions: [{ code, type, values }], status: [...] }
+// where values is a JSON string describing the type's constraints
+export async function fetchDeviceSpecification(deviceId) {
+  const data = await tuyaRequest({
+    method: "GET",
+    path: `/v1.0/devices/${deviceId}/specifications`,
+  });
+  if (!data.success) {
+    throw new TuyaApiError(`Tuya specification request failed: ${data.msg}`, {
+      code: data.code,
+    });
+  }
+  return data.result;
+}
+
+// Device details as Tuya's cloud sees them, including `online` and
+// `update_time` (seconds since the epoch of the last report)
+export async function fetchDeviceInfo(deviceId) {
+  const data = await tuyaRequest({
+    method: "GET",
+    path: `/v1.0/devices/${deviceId}`,
+  });
+  if (!data.success) {
+    throw new TuyaApiError(`Tuya device info request failed: ${data.msg}`, {
+      code: data.code,
+    });
+  }
+  return data.result;
+}
+
+// Device events between startTime and endTime (ms), oldest first:
+// [{ event_id, event_time, code, value }]. event_id 1 is online, 2 offline
+// and 7 a data point report; values are strings. Tuya keeps about a week.
+export async function fetchDeviceLogs(
+  deviceId,
+  { startTime, endTime, types = [1, 2, 7], maxEvents = 10000 },
+) {
+  const logs = [];
+  let rowKey = null;
+  do {
+    // Tuya signs the query string as sent, with its keys sorted
+    const params = {
+      end_time: endTime,
+      size: 100,
+      start_time: startTime,
+      type: types.join(","),
+      ...(rowKey && { start_row_key: rowKey }),
+    };
+    const query = Object.keys(params)
+      .sort()
+      .map((key) => `${key}=${params[key]}`)
+      .join("&");
+
+    const data = await tuyaRequest({
+      method: "GET",
+      path: `/v1.0/devices/${deviceId}/logs?${query}`,
+    });
+    if (!data.success) {
+      throw new TuyaApiError(`Tuya device log request failed: ${data.msg}`, {
+        code: data.code,
+      });
+    }
+    logs.push(...(data.result?.logs ?? []));
+    rowKey = data.result?.has_next ? data.result.next_row_key : null;
+  } while (rowKey && logs.length < maxEvents);
+
+  return logs.sort((a, b) => a.event_time - b.event_time);
 }